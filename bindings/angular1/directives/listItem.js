@@ -1,11 +1,68 @@
+/**
+ * @element ons-list-item
+ * @example
+ * <ons-list-item var="item" ons-swipeaction="remove($event.action)">
+ *   <div class="center">Swipe me</div>
+ *   <div class="right-actions">
+ *     <ons-button>Delete</ons-button>
+ *   </div>
+ * </ons-list-item>
+ */
+
+/**
+ * @attribute var
+ * @initonly
+ * @type {String}
+ * @description
+ *   [en]Variable name to refer this list item.[/en]
+ *   [ja][/ja]
+ */
+
+/**
+ * @attribute ons-swipeaction
+ * @initonly
+ * @type {Expression}
+ * @description
+ *  [en]Allows you to specify custom behavior when the "swipeaction" event is fired.[/en]
+ *  [ja][/ja]
+ */
+
+/**
+ * @attribute ons-destroy
+ * @initonly
+ * @type {Expression}
+ * @description
+ *  [en]Allows you to specify custom behavior when the "destroy" event is fired.[/en]
+ *  [ja][/ja]
+ */
+
 (function() {
   'use strict';
 
-  angular.module('onsen').directive('onsListItem', function($onsen, GenericView) {
+  angular.module('onsen').directive('onsListItem', function($onsen, ListItemView) {
     return {
       restrict: 'E',
       link: function(scope, element, attrs) {
-        GenericView.register(scope, element, attrs, {viewKey: 'ons-list-item'});
+        var listItem = new ListItemView(scope, element, attrs);
+
+        element.data('ons-list-item', listItem);
+
+        $onsen.registerEventHandlers(listItem, 'swipeaction destroy');
+        $onsen.declareVarAttribute(attrs, listItem);
+        $onsen.addModifierMethodsForCustomElements(listItem, element);
+
+        $onsen.cleaner.onDestroy(scope, function() {
+          listItem._events = undefined;
+          $onsen.removeModifierMethods(listItem);
+          element.data('ons-list-item', undefined);
+          $onsen.clearComponent({
+            element: element,
+            scope: scope,
+            attrs: attrs
+          });
+          element = attrs = scope = null;
+        });
+
         $onsen.fireComponentEvent(element[0], 'init');
       }
     };
@@ -70,13 +70,13 @@ limitations under the License.
     module.run(function($templateCache) {
       const tmp = ons._internal.getTemplateHTMLAsync;
 
-      ons._internal.getTemplateHTMLAsync = (page) => {
+      ons._internal.getTemplateHTMLAsync = (page, options) => {
         const cache = $templateCache.get(page);
 
         if (cache) {
           return Promise.resolve(cache);
         } else {
-          return tmp(page);
+          return tmp(page, options);
         }
       };
     });
@@ -6,6 +6,7 @@ import './fab.js';
 import './generic.js';
 import './lazyRepeatDelegate.js';
 import './lazyRepeat.js';
+import './listItem.js';
 import './modal.js';
 import './navigator.js';
 import './page.js';
@@ -30,7 +30,7 @@ limitations under the License.
 
         this._clearListener = scope.$on('$destroy', this._destroy.bind(this));
 
-        this._clearDerivingEvents = $onsen.deriveEvents(this, element[0], ['init', 'show', 'hide', 'destroy']);
+        this._clearDerivingEvents = $onsen.deriveEvents(this, element[0], ['init', 'show', 'hide', 'destroy', 'activate', 'deactivate']);
 
         Object.defineProperty(this, 'onDeviceBackButton', {
           get: () => this._element[0].onDeviceBackButton,
@@ -46,6 +46,8 @@ class Carousel extends SimpleWrapper {
     this.onChange = callback.bind(this, 'onPostChange');
     this.onRefresh = callback.bind(this, 'onRefresh');
     this.onOverscroll = callback.bind(this, 'onOverscroll');
+    this.onAutoplayStart = callback.bind(this, 'onAutoplayStart');
+    this.onAutoplayStop = callback.bind(this, 'onAutoplayStop');
   }
 
   _getDomNodeName() {
@@ -58,6 +60,8 @@ class Carousel extends SimpleWrapper {
     node.addEventListener('postchange', this.onChange);
     node.addEventListener('refresh', this.onRefresh);
     node.addEventListener('overscroll', this.onOverscroll);
+    node.addEventListener('autoplaystart', this.onAutoplayStart);
+    node.addEventListener('autoplaystop', this.onAutoplayStop);
     node.onSwipe = this.props.onSwipe || null;
   }
 
@@ -66,6 +70,8 @@ class Carousel extends SimpleWrapper {
     node.removeEventListener('postchange', this.onPostChange);
     node.removeEventListener('refresh', this.onRefresh);
     node.removeEventListener('overscroll', this.onOverscroll);
+    node.removeEventListener('autoplaystart', this.onAutoplayStart);
+    node.removeEventListener('autoplaystop', this.onAutoplayStop);
   }
 
   componentDidUpdate(props) {
@@ -155,6 +161,60 @@ Carousel.propTypes = {
    */
   itemHeight: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
 
+  /**
+   * @name loop
+   * @type bool
+   * @description
+   *  [en]If true, the carousel wraps around: the first item follows the last one.[/en]
+   *  [ja][/ja]
+   */
+  loop: PropTypes.bool,
+
+  /**
+   * @name indicator
+   * @type string
+   * @description
+   *  [en]Displays the position of the carousel. Can be either "dots" or "fraction".[/en]
+   *  [ja][/ja]
+   */
+  indicator: PropTypes.oneOf(['dots', 'fraction']),
+
+  /**
+   * @name arrows
+   * @type bool
+   * @description
+   *  [en]If true, the carousel displays buttons to show the previous and the next items.[/en]
+   *  [ja][/ja]
+   */
+  arrows: PropTypes.bool,
+
+  /**
+   * @name autoplay
+   * @type bool
+   * @description
+   *  [en]If true, the carousel shows the next item periodically. It pauses while the user drags it.[/en]
+   *  [ja][/ja]
+   */
+  autoplay: PropTypes.bool,
+
+  /**
+   * @name autoplayInterval
+   * @type number
+   * @description
+   *  [en]Time in milliseconds between the changes of `autoplay`. Default is 3000.[/en]
+   *  [ja][/ja]
+   */
+  autoplayInterval: PropTypes.number,
+
+  /**
+   * @name effect
+   * @type string
+   * @description
+   *  [en]Transition effect of the items: "fade", "cube", "coverflow", "stack" or one added with `ons.elements.Carousel.registerEffect()`.[/en]
+   *  [ja][/ja]
+   */
+  effect: PropTypes.string,
+
   /**
    * @name autoScroll
    * @type bool
@@ -236,6 +296,24 @@ Carousel.propTypes = {
    */
   onOverscroll: PropTypes.func,
 
+  /**
+   * @name onAutoplayStart
+   * @type function
+   * @description
+   *  [en]Called when the carousel starts or resumes advancing automatically.[/en]
+   *  [ja][/ja]
+   */
+  onAutoplayStart: PropTypes.func,
+
+  /**
+   * @name onAutoplayStop
+   * @type function
+   * @description
+   *  [en]Called when the carousel stops advancing automatically.[/en]
+   *  [ja][/ja]
+   */
+  onAutoplayStop: PropTypes.func,
+
   /**
    * @name animationOptions
    * @type object
@@ -25,6 +25,35 @@ import Util from './Util.js';
   />
  */
 class List extends BasicComponent {
+  constructor(...args) {
+    super(...args);
+
+    // The rows are rendered from `dataSource`, so the DOM is left to React
+    this.onReorder = event => {
+      if (this.props.onReorder) {
+        event.preventDefault();
+        this.props.onReorder(event);
+      }
+    };
+
+    this.onSelectionChange = event => {
+      if (this.props.onSelectionChange) {
+        return this.props.onSelectionChange(event);
+      }
+    };
+  }
+
+  componentDidMount() {
+    super.componentDidMount();
+    this._list.addEventListener('reorder', this.onReorder);
+    this._list.addEventListener('selectionchange', this.onSelectionChange);
+  }
+
+  componentWillUnmount() {
+    this._list.removeEventListener('reorder', this.onReorder);
+    this._list.removeEventListener('selectionchange', this.onSelectionChange);
+  }
+
   render() {
     const attrs = Util.getAttrs(this);
     const pages = this.props.dataSource.map((data, idx) => this.props.renderRow(data, idx));
@@ -95,7 +124,62 @@ List.propTypes = {
    *  [/en]
    *  [ja][/ja]
    */
-  renderFooter: PropTypes.func
+  renderFooter: PropTypes.func,
+
+  /**
+   * @name reorderable
+   * @type bool
+   * @description
+   *  [en]
+   *  Lets the user move the rows by dragging them. Rows containing a `.list-item__handle` element are dragged from the handle, other rows are held first.
+   *  [/en]
+   *  [ja][/ja]
+   */
+  reorderable: PropTypes.bool,
+
+  /**
+   * @name onReorder
+   * @type function
+   * @description
+   *  [en]
+   *  Called with an event with `from` and `to` indexes when a row is dropped at a new position. The DOM is not modified: move the item in `dataSource` to update the list.
+   *  [/en]
+   *  [ja][/ja]
+   */
+  onReorder: PropTypes.func,
+
+  /**
+   * @name selectable
+   * @type string
+   * @description
+   *  [en]
+   *  Either `"single"` or `"multiple"`. Makes the rows selectable. With `"multiple"`, holding a row enters the selection mode.
+   *  [/en]
+   *  [ja][/ja]
+   */
+  selectable: PropTypes.oneOf(['single', 'multiple']),
+
+  /**
+   * @name selectionToolbar
+   * @type string
+   * @description
+   *  [en]
+   *  ID of a `Toolbar` that gets the `selection` modifier and shows the count in its `.toolbar__selection-count` elements during the selection mode.
+   *  [/en]
+   *  [ja][/ja]
+   */
+  selectionToolbar: PropTypes.string,
+
+  /**
+   * @name onSelectionChange
+   * @type function
+   * @description
+   *  [en]
+   *  Called with an event with `selectedItems` and `selectionMode` when the selection changes.
+   *  [/en]
+   *  [ja][/ja]
+   */
+  onSelectionChange: PropTypes.func
 };
 
 List.defaultProps = {
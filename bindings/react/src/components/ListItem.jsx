@@ -18,8 +18,25 @@ import SimpleWrapper from './SimpleWrapper.jsx';
  *   <div className="right">Right</div>
  *   <div className="expandable-content">Expandable content</div>
  * </ListItem>
+ *
+ * <ListItem fullSwipe onSwipeAction={e => console.log(e.action.dataset.action)}>
+ *   <div className="center">Swipe me</div>
+ *   <div className="right-actions">
+ *     <div className="list-item__action" data-action="delete">Delete</div>
+ *   </div>
+ * </ListItem>
  */
 class ListItem extends SimpleWrapper {
+  constructor(...args) {
+    super(...args);
+
+    this.onSwipeAction = event => {
+      if (this.props.onSwipeAction) {
+        return this.props.onSwipeAction(event);
+      }
+    };
+  }
+
   _getDomNodeName() {
     return 'ons-list-item';
   }
@@ -27,12 +44,17 @@ class ListItem extends SimpleWrapper {
   componentDidMount() {
     super.componentDidMount();
     this.node = ReactDOM.findDOMNode(this);
+    this.node.addEventListener('swipeaction', this.onSwipeAction);
     this.node.expanded = this.props.expanded === true;
     if (this.node.expanded) {
       this.node.classList.add('expanded');
     }
   }
 
+  componentWillUnmount() {
+    this.node.removeEventListener('swipeaction', this.onSwipeAction);
+  }
+
   componentDidUpdate() {
     super.componentDidUpdate();
 
@@ -101,7 +123,25 @@ ListItem.propTypes = {
    *  [en]For expandable list items, specifies whether item is expanded[/en]
    *  [ja][/ja]
    */
-  expanded: PropTypes.bool
+  expanded: PropTypes.bool,
+
+  /**
+   * @name fullSwipe
+   * @type bool
+   * @description
+   *  [en]Swiping the item over most of its width triggers the outermost action of `div.left-actions` or `div.right-actions`.[/en]
+   *  [ja][/ja]
+   */
+  fullSwipe: PropTypes.bool,
+
+  /**
+   * @name onSwipeAction
+   * @type function
+   * @description
+   *  [en]Called when an action revealed by swiping is tapped or triggered with a full swipe. The event has `action`, `side` and `fullSwipe` properties.[/en]
+   *  [ja][/ja]
+   */
+  onSwipeAction: PropTypes.func
 };
 
 export default ListItem;
@@ -20,8 +20,9 @@ import BaseElement from './base-element';
 import ModifierUtil from '../../ons/internal/modifier-util';
 import AnimatorFactory from '../../ons/internal/animator-factory';
 import DoorLock from '../../ons/doorlock';
-import deviceBackButtonDispatcher from '../../ons/internal/device-back-button-dispatcher';
+import deviceBackButtonDispatcher, { BackButtonPriority } from '../../ons/internal/device-back-button-dispatcher';
 import contentReady from '../../ons/content-ready';
+import dialogStack from '../../ons/internal/dialog-stack';
 
 export default class BaseDialogElement extends BaseElement {
 
@@ -37,6 +38,11 @@ export default class BaseDialogElement extends BaseElement {
     this.style.display = shouldShow ? 'block' : 'none';
   }
 
+  // Dialogs that block the rest of the app join the dialog stack
+  get _stackable() {
+    return true;
+  }
+
   constructor() {
     super();
 
@@ -61,7 +67,11 @@ export default class BaseDialogElement extends BaseElement {
       this._backButtonHandler.destroy();
     }
 
-    this._backButtonHandler = deviceBackButtonDispatcher.createHandler(this, callback);
+    this._backButtonHandler = deviceBackButtonDispatcher.createHandler(this, callback, {
+      // The top dialog of the stack receives the event first
+      priority: () => BackButtonPriority.DIALOG + Math.max(dialogStack.indexOf(this), 0),
+      isVisible: () => this.visible
+    });
   }
 
   _cancel() {
@@ -119,9 +129,18 @@ export default class BaseDialogElement extends BaseElement {
         util.iosPageScrollFix(shouldShow);
 
         contentReady(this, () => {
+          const opener = shouldShow ? null : dialogStack.remove(this);
+          shouldShow && this._stackable && dialogStack.push(this);
+
           animator[action](this, () => {
             !shouldShow && this._toggleStyle(false, options);
 
+            if (shouldShow) {
+              this._stackable && dialogStack.focus(this);
+            } else {
+              dialogStack.restoreFocus(this, opener);
+            }
+
             unlock();
 
             util.propagateAction(this, '_' + action);
@@ -172,6 +191,10 @@ export default class BaseDialogElement extends BaseElement {
       this.onDeviceBackButton = this._defaultDBB.bind(this);
     }
 
+    if (this.visible && this._stackable) {
+      dialogStack.push(this);
+    }
+
     contentReady(this, () => {
       if (this._mask) {
         this._mask.addEventListener('click', this._cancel, false);
@@ -181,6 +204,8 @@ export default class BaseDialogElement extends BaseElement {
   }
 
   disconnectedCallback() {
+    dialogStack.remove(this);
+
     if (this._backButtonHandler) {
       this._backButtonHandler.destroy();
       this._backButtonHandler = null;
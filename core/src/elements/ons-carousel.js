@@ -20,6 +20,9 @@ import util from '../ons/util';
 import BaseElement from './base/base-element';
 import contentReady from '../ons/content-ready';
 import Swiper from '../ons/internal/swiper';
+import carouselEffects from '../ons/internal/carousel-effects';
+
+const _effectDict = { ...carouselEffects };
 
 /**
  * @element ons-carousel
@@ -45,6 +48,24 @@ import Swiper from '../ons/internal/swiper';
  *    ...
  *   </ons-carousel-item>
  * </ons-carousel>
+ *
+ * <ons-carousel swipeable auto-scroll loop indicator="dots" arrows autoplay style="height: 200px">
+ *   <ons-carousel-item>
+ *    ...
+ *   </ons-carousel-item>
+ * </ons-carousel>
+ *
+ * <ons-carousel id="photos" swipeable auto-scroll indicator="fraction" style="height: 300px"></ons-carousel>
+ * <script>
+ *   document.getElementById('photos').delegate = {
+ *     createItemContent: function(i) {
+ *       return ons.createElement('<ons-carousel-item><img data-src="' + photos[i] + '"></ons-carousel-item>');
+ *     },
+ *     countItems: function() {
+ *       return photos.length;
+ *     }
+ *   };
+ * </script>
  */
 export default class CarouselElement extends BaseElement {
 
@@ -102,6 +123,38 @@ export default class CarouselElement extends BaseElement {
    *   [ja]この関数はPromiseオブジェクトを引数として受け取ります。渡したPromiseオブジェクトがresolveされるかrejectされるまで、カルーセルはスクロールバックしません。[/ja]
    */
 
+  /**
+   * @event autoplaystart
+   * @description
+   *   [en]Fired when the carousel starts advancing automatically, also when it resumes after a pause.[/en]
+   *   [ja][/ja]
+   * @param {Object} event
+   *   [en]Event object.[/en]
+   *   [ja]イベントオブジェクトです。[/ja]
+   * @param {Object} event.carousel
+   *   [en]Carousel object.[/en]
+   *   [ja]イベントが発火したCarouselオブジェクトです。[/ja]
+   * @param {String} event.reason
+   *   [en]Either "play", "interaction", "hidden" or "document".[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @event autoplaystop
+   * @description
+   *   [en]Fired when the carousel stops advancing automatically. It happens with `pause()`, while the user drags the carousel and while the page or the document are hidden.[/en]
+   *   [ja][/ja]
+   * @param {Object} event
+   *   [en]Event object.[/en]
+   *   [ja]イベントオブジェクトです。[/ja]
+   * @param {Object} event.carousel
+   *   [en]Carousel object.[/en]
+   *   [ja]イベントが発火したCarouselオブジェクトです。[/ja]
+   * @param {String} event.reason
+   *   [en]Either "pause", "interaction", "hidden" or "document".[/en]
+   *   [ja][/ja]
+   */
+
   /**
    * @attribute direction
    * @type {String}
@@ -193,6 +246,61 @@ export default class CarouselElement extends BaseElement {
    *   [ja]この属性がある時、子要素の数が変わるとカルーセルは自動的に更新されるようになります。[/ja]
    */
 
+  /**
+   * @attribute loop
+   * @description
+   *   [en]If this attribute is set the carousel wraps around: the first item follows the last one when swiping or calling `next()` and `prev()`. Indexes are always the ones of the `<ons-carousel-item>` elements.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute indicator
+   * @type {String}
+   * @description
+   *   [en]Displays the position of the carousel. Can be either `"dots"`, with a dot per item that can be tapped, or `"fraction"`, e.g. "2 / 5".[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute arrows
+   * @description
+   *   [en]If this attribute is set the carousel displays buttons to show the previous and the next items.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute autoplay
+   * @description
+   *   [en]If this attribute is set the carousel shows the next item periodically. After the last item it goes back to the first one. It is ignored when the user prefers reduced motion, use `play()` to start it anyway.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute autoplay-interval
+   * @type {Number}
+   * @default 3000
+   * @description
+   *   [en]Time in milliseconds between the changes of `autoplay`.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute effect
+   * @type {String}
+   * @description
+   *   [en]Transition effect of the items: `"fade"`, `"cube"`, `"coverflow"` or `"stack"`. Items slide linearly by default. Other effects can be added with `ons.elements.Carousel.registerEffect()`.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute buffer-size
+   * @type {Number}
+   * @default 1
+   * @description
+   *   [en]Number of items kept in the DOM on each side of the visible ones when a `delegate` is set.[/en]
+   *   [ja][/ja]
+   */
+
   /**
    * @attribute animation
    * @type {String}
@@ -212,6 +320,10 @@ export default class CarouselElement extends BaseElement {
   constructor() {
     super();
 
+    this._autoplayPauses = {};
+    this._delegate = null;
+    this._virtualItems = {};
+    util.bindListeners(this, ['_onIndicatorClick', '_onVisibilityChange']);
     contentReady(this, () => this._compile());
   }
 
@@ -240,6 +352,13 @@ export default class CarouselElement extends BaseElement {
         isOverScrollable: () => this.overscrollable,
         isCentered: () => this.centered,
         isAutoScrollable: () => this.autoScroll,
+        isLooped: () => this.loop,
+        dragStartHook: () => this._setAutoplayPause('interaction', true),
+        dragEndHook: () => this._setAutoplayPause('interaction', false),
+        getItemCount: () => this._countVirtualItems(),
+        getBufferSize: () => this.bufferSize,
+        renderHook: this._renderVirtualItems.bind(this),
+        getEffect: () => _effectDict[this.getAttribute('effect')] || null,
         itemSize: this.itemSize,
         overScrollHook: this._onOverScroll.bind(this),
         preChangeHook: this._onChange.bind(this, 'prechange'),
@@ -248,11 +367,19 @@ export default class CarouselElement extends BaseElement {
         scrollHook: (...args) => this._onSwipe && this._onSwipe(...args)
       });
 
-      contentReady(this, () => this._swiper.init({
-        swipeable: this.hasAttribute('swipeable'),
-        autoRefresh: this.hasAttribute('auto-refresh')
-      }));
+      contentReady(this, () => {
+        this._swiper.init({
+          swipeable: this.hasAttribute('swipeable'),
+          autoRefresh: this.hasAttribute('auto-refresh')
+        });
+        this._updateControls();
+        this._autoplayPlaying = this._autoplayPlaying || this._shouldAutoplay();
+        this._updateAutoplay('play');
+      });
     }
+
+    document.addEventListener('visibilitychange', this._boundOnVisibilityChange);
+    this._autoplayPauses.document = document.visibilityState === 'hidden';
   }
 
   disconnectedCallback() {
@@ -260,10 +387,14 @@ export default class CarouselElement extends BaseElement {
       this._swiper.dispose();
       this._swiper = null;
     }
+
+    document.removeEventListener('visibilitychange', this._boundOnVisibilityChange);
+    clearTimeout(this._autoplayTimer);
+    this._autoplayRunning = false;
   }
 
   static get observedAttributes() {
-    return ['swipeable', 'auto-refresh', 'direction', 'item-height', 'item-width'];
+    return ['swipeable', 'auto-refresh', 'direction', 'item-height', 'item-width', 'loop', 'indicator', 'arrows', 'autoplay', 'effect'];
   }
 
   attributeChangedCallback(name, last, current) {
@@ -285,16 +416,166 @@ export default class CarouselElement extends BaseElement {
         this.vertical || this._swiper.updateItemSize(this.itemSize);
         break;
       case 'direction':
-        this._swiper.refresh();
+      case 'loop':
+      case 'effect':
+        this._swiper.initialized && this._swiper.refresh();
+        break;
+      case 'indicator':
+      case 'arrows':
+        this._updateControls();
+        break;
+      case 'autoplay':
+        this._shouldAutoplay() ? this.play() : this.pause();
+    }
+  }
+
+  _countVirtualItems() {
+    if (!this._delegate) {
+      return null;
+    }
+
+    const count = this._delegate.countItems();
+    if (typeof count !== 'number') {
+      util.throw('"countItems" must return a number');
+    }
+    return count;
+  }
+
+  _createVirtualItem(index) {
+    let element = this._delegate.createItemContent(index);
+    if (!(element instanceof Element)) {
+      util.throw('"createItemContent" must return an instance of Element');
+    }
+
+    if (element.tagName !== 'ONS-CAROUSEL-ITEM') {
+      const item = document.createElement('ons-carousel-item');
+      item.appendChild(element);
+      element = item;
+    }
+
+    this._loadImages(element);
+    return element;
+  }
+
+  // Images with `data-src` are loaded once their item is rendered
+  _loadImages(item) {
+    const images = util.arrayFrom(item.querySelectorAll('img[data-src]'));
+    let pending = images.length;
+
+    if (pending) {
+      item.classList.add('carousel-item--loading');
+      images.forEach(image => {
+        image.onload = image.onerror = () => {
+          image.onload = image.onerror = null;
+          --pending || item.classList.remove('carousel-item--loading');
+        };
+        image.src = image.getAttribute('data-src');
+        image.removeAttribute('data-src');
+      });
     }
   }
 
+  _destroyVirtualItem(index, element) {
+    element.remove();
+    this._delegate && this._delegate.destroyItem instanceof Function && this._delegate.destroyItem(index, element);
+  }
+
+  _renderVirtualItems(indexes) {
+    const target = this.children[0];
+    const items = {};
+
+    indexes.forEach(index => {
+      items[index] = this._virtualItems[index] || this._createVirtualItem(index);
+    });
+
+    Object.keys(this._virtualItems)
+      .filter(index => !items[index])
+      .forEach(index => this._destroyVirtualItem(Number(index), this._virtualItems[index]));
+
+    const elements = indexes.map(index => items[index]);
+    util.arrayFrom(target.children)
+      .filter(element => elements.indexOf(element) === -1)
+      .forEach(element => element.remove());
+
+    elements.forEach((element, i) => {
+      target.children[i] !== element && target.insertBefore(element, target.children[i] || null);
+    });
+
+    this._virtualItems = items;
+  }
+
+  _clearVirtualItems() {
+    Object.keys(this._virtualItems).forEach(index => this._destroyVirtualItem(Number(index), this._virtualItems[index]));
+    this._virtualItems = {};
+  }
+
   _show() {
     this._swiper.show();
+    this._setAutoplayPause('hidden', false);
   }
 
   _hide() {
     this._swiper.hide();
+    this._setAutoplayPause('hidden', true);
+  }
+
+  _shouldAutoplay() {
+    const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return this.hasAttribute('autoplay') && !reducedMotion;
+  }
+
+  _onVisibilityChange() {
+    this._setAutoplayPause('document', document.visibilityState === 'hidden');
+  }
+
+  _setAutoplayPause(reason, paused) {
+    this._autoplayPauses[reason] = paused;
+    this._updateAutoplay(reason);
+  }
+
+  _updateAutoplay(reason) {
+    const running = !!this._autoplayPlaying && !!this._swiper && !!this._swiper.initialized
+      && !Object.keys(this._autoplayPauses).some(key => this._autoplayPauses[key]);
+
+    if (running !== !!this._autoplayRunning) {
+      this._autoplayRunning = running;
+      running ? this._scheduleAutoplay() : clearTimeout(this._autoplayTimer);
+      util.triggerElementEvent(this, running ? 'autoplaystart' : 'autoplaystop', { carousel: this, reason });
+    }
+  }
+
+  _scheduleAutoplay() {
+    clearTimeout(this._autoplayTimer);
+    this._autoplayTimer = setTimeout(() => {
+      const promise = this.loop || this.getActiveIndex() < this.itemCount - 1 ? this.next() : this.first();
+      const reschedule = () => this._autoplayRunning && this._scheduleAutoplay();
+      // The move is canceled when the user drags the carousel meanwhile
+      promise.then(reschedule, reschedule);
+    }, this.autoplayInterval);
+  }
+
+  /**
+   * @method play
+   * @signature play()
+   * @description
+   *   [en]Starts showing the next item periodically, as with the `autoplay` attribute. It still pauses while the user drags the carousel and while the page or the document are hidden.[/en]
+   *   [ja][/ja]
+   */
+  play() {
+    this._autoplayPlaying = true;
+    this._updateAutoplay('play');
+  }
+
+  /**
+   * @method pause
+   * @signature pause()
+   * @description
+   *   [en]Stops showing the next item periodically.[/en]
+   *   [ja][/ja]
+   */
+  pause() {
+    this._autoplayPlaying = false;
+    this._updateAutoplay('pause');
   }
 
   _onOverScroll({ direction, killOverScroll }) {
@@ -313,13 +594,104 @@ export default class CarouselElement extends BaseElement {
   }
 
   _onChange(eventName, { activeIndex, lastActiveIndex }) {
+    if (eventName === 'postchange') {
+      this._updateControls();
+      this._autoplayRunning && this._scheduleAutoplay(); // Wait a whole interval after any change
+    }
+
     util.triggerElementEvent(this, eventName, { carousel: this, activeIndex, lastActiveIndex });
   }
 
   _onRefresh() {
+    this._updateControls();
     util.triggerElementEvent(this, 'refresh', { carousel: this });
   }
 
+  // Controls are siblings of the swiper target, `appendChild` is bound to the target
+  _appendControl(element) {
+    return HTMLElement.prototype.appendChild.call(this, element);
+  }
+
+  _updateControls() {
+    if (this._swiper && this._swiper.initialized) {
+      this._updateIndicator();
+      this._updateArrows();
+    }
+  }
+
+  _updateIndicator() {
+    const type = this.getAttribute('indicator');
+    let indicator = util.findChild(this, '.carousel__indicator');
+
+    if (type !== 'dots' && type !== 'fraction') {
+      indicator && indicator.remove();
+      return;
+    }
+
+    if (!indicator) {
+      indicator = this._appendControl(document.createElement('div'));
+      indicator.addEventListener('click', this._boundOnIndicatorClick);
+    }
+
+    const count = this.itemCount;
+    const index = this.getActiveIndex();
+    indicator.className = `carousel__indicator carousel__indicator--${type}`;
+
+    if (type === 'fraction') {
+      indicator.setAttribute('aria-live', 'polite');
+      indicator.textContent = count ? `${index + 1} / ${count}` : '';
+      return;
+    }
+
+    indicator.removeAttribute('aria-live');
+    if (indicator.children.length !== count || indicator.childNodes.length !== count) {
+      indicator.innerHTML = '';
+      for (let i = 0; i < count; i++) {
+        const dot = document.createElement('button');
+        dot.className = 'carousel__dot';
+        dot.setAttribute('aria-label', `${i + 1} / ${count}`);
+        indicator.appendChild(dot);
+      }
+    }
+
+    util.arrayFrom(indicator.children).forEach((dot, i) => {
+      dot.classList.toggle('carousel__dot--active', i === index);
+      dot.setAttribute('aria-current', i === index);
+    });
+  }
+
+  _onIndicatorClick(event) {
+    const dots = util.arrayFrom(event.currentTarget.children);
+    const index = dots.indexOf(event.target);
+    index !== -1 && index !== this.getActiveIndex() && this.setActiveIndex(index);
+  }
+
+  _updateArrows() {
+    let prev = util.findChild(this, '.carousel__arrow--prev');
+    let next = util.findChild(this, '.carousel__arrow--next');
+
+    if (!this.hasAttribute('arrows')) {
+      prev && prev.remove();
+      next && next.remove();
+      return;
+    }
+
+    const createArrow = (direction, label) => {
+      const arrow = util.createElement(`<button class="carousel__arrow carousel__arrow--${direction}" aria-label="${label}"></button>`);
+      arrow.addEventListener('click', () => this[direction]());
+      return this._appendControl(arrow);
+    };
+
+    prev = prev || createArrow('prev', 'Previous');
+    next = next || createArrow('next', 'Next');
+
+    const count = this.itemCount;
+    const index = this.getActiveIndex();
+    const looped = this.loop && count > 1;
+    prev.disabled = !looped && index <= 0;
+    next.disabled = !looped && index >= count - 1;
+  }
+
   /**
    * @method setActiveIndex
    * @signature setActiveIndex(index, [options])
@@ -483,10 +855,11 @@ export default class CarouselElement extends BaseElement {
    * @method refresh
    * @signature refresh()
    * @description
-   *   [en]Update the layout of the carousel. Used when adding `<ons-carousel-items>` dynamically or to automatically adjust the size.[/en]
+   *   [en]Update the layout of the carousel. Used when adding `<ons-carousel-items>` dynamically or to automatically adjust the size. With a `delegate`, the rendered items are created again.[/en]
    *   [ja]レイアウトや内部の状態を最新のものに更新します。ons-carousel-itemを動的に増やしたり、ons-carouselの大きさを動的に変える際に利用します。[/ja]
    */
   refresh() {
+    this._clearVirtualItems();
     this._swiper.refresh();
   }
 
@@ -502,6 +875,71 @@ export default class CarouselElement extends BaseElement {
     return this._swiper.itemCount;
   }
 
+  /**
+   * @property delegate
+   * @type {Object}
+   * @description
+   *   [en]
+   *     Creates the items on demand, so only the visible items and `buffer-size` items on each side are in the DOM. Items that are already in the carousel are removed. The `loop` attribute is ignored.
+   *
+   *     `getActiveIndex()`, `setActiveIndex()` and `itemCount` use the indexes of the delegate. Images of the items with a `data-src` attribute are loaded when the item is created, the item has the `carousel-item--loading` class until they are loaded.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @property delegate.createItemContent
+   * @type {Function}
+   * @description
+   *   [en]Should return the `<ons-carousel-item>` of the index given as argument. Other elements are wrapped in an `<ons-carousel-item>`.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @property delegate.countItems
+   * @type {Function}
+   * @description
+   *   [en]Should return the number of items.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @property delegate.destroyItem
+   * @type {Function}
+   * @description
+   *   [en]Optional function called with the index and the element when an item is removed from the DOM.[/en]
+   *   [ja][/ja]
+   */
+  set delegate(delegate) {
+    if (delegate && !(delegate.createItemContent instanceof Function && delegate.countItems instanceof Function)) {
+      util.throw('"delegate" must implement "createItemContent" and "countItems"');
+    }
+
+    this._clearVirtualItems();
+    this._delegate = delegate || null;
+    this._swiper && this._swiper.initialized && this._swiper.refresh();
+  }
+
+  get delegate() {
+    return this._delegate;
+  }
+
+  /**
+   * @property bufferSize
+   * @type {Number}
+   * @description
+   *   [en]Number of items kept in the DOM on each side of the visible ones when a `delegate` is set.[/en]
+   *   [ja][/ja]
+   */
+  get bufferSize() {
+    const size = parseInt(this.getAttribute('buffer-size'), 10);
+    return size >= 0 ? size : 1;
+  }
+
+  set bufferSize(value) {
+    this.setAttribute('buffer-size', value);
+  }
+
   /**
    * @property swipeable
    * @type {Boolean}
@@ -535,6 +973,52 @@ export default class CarouselElement extends BaseElement {
     this._onSwipe = value;
   }
 
+  /**
+   * @property loop
+   * @type {Boolean}
+   * @description
+   *   [en]Whether the carousel wraps around or not.[/en]
+   *   [ja][/ja]
+   */
+  get loop() {
+    return this.hasAttribute('loop');
+  }
+
+  set loop(value) {
+    return util.toggleAttribute(this, 'loop', value);
+  }
+
+  /**
+   * @property effect
+   * @type {String}
+   * @description
+   *   [en]Transition effect of the items, or `null` when they slide linearly.[/en]
+   *   [ja][/ja]
+   */
+  get effect() {
+    return this.getAttribute('effect');
+  }
+
+  set effect(value) {
+    value ? this.setAttribute('effect', value) : this.removeAttribute('effect');
+  }
+
+  /**
+   * @property autoplayInterval
+   * @type {Number}
+   * @description
+   *   [en]Time in milliseconds between the changes of `autoplay`.[/en]
+   *   [ja][/ja]
+   */
+  get autoplayInterval() {
+    const interval = parseInt(this.getAttribute('autoplay-interval'), 10);
+    return interval > 0 ? interval : 3000;
+  }
+
+  set autoplayInterval(value) {
+    this.setAttribute('autoplay-interval', value);
+  }
+
   /**
    * @property autoScroll
    * @type {Boolean}
@@ -619,8 +1103,37 @@ export default class CarouselElement extends BaseElement {
     return util.toggleAttribute(this, 'centered', value);
   }
 
+  /**
+   * @method registerEffect
+   * @signature registerEffect(name, effect)
+   * @param {String} name
+   *   [en]Name used in the `effect` attribute.[/en]
+   *   [ja][/ja]
+   * @param {Function} effect
+   *   [en]
+   *     Called for every item when the carousel moves with an object containing `progress`, `element`, `axis` and `vertical`. `progress` is 0 for the active item, -1 for the previous position and 1 for the next one, with decimals while moving.
+   *
+   *     Must return the `transform`, `transformOrigin`, `opacity` and `zIndex` styles of the item. Items are laid out in a row, effects that keep them in place can translate them by `-progress * 100%` along `axis`.
+   *   [/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Adds an effect for the `effect` attribute.[/en]
+   *   [ja][/ja]
+   */
+  static registerEffect(name, effect) {
+    if (!(effect instanceof Function)) {
+      util.throw('"effect" must be a function');
+    }
+
+    _effectDict[name] = effect;
+  }
+
+  static get effects() {
+    return _effectDict;
+  }
+
   static get events() {
-    return ['postchange', 'refresh', 'overscroll'];
+    return ['postchange', 'refresh', 'overscroll', 'autoplaystart', 'autoplaystop'];
   }
 }
 
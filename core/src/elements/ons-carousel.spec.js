@@ -100,6 +100,277 @@ describe('OnsCarouselElement', () => {
     });
   });
 
+  describe('attribute loop', () => {
+    beforeEach(() => {
+      carousel.setAttribute('loop', '');
+    });
+
+    it('clones items at both ends', () => {
+      const target = carousel.children[0];
+      expect(target.querySelectorAll('.ons-swiper-clone').length).to.equal(2);
+      expect(target.firstChild.textContent).to.equal('Item 3');
+      expect(target.lastChild.textContent).to.equal('Item 1');
+      expect(carousel.itemCount).to.equal(3);
+    });
+
+    it('wraps with #next() and #prev()', () => {
+      carousel.prev();
+      expect(carousel.getActiveIndex()).to.equal(2);
+      carousel.next();
+      expect(carousel.getActiveIndex()).to.equal(0);
+    });
+
+    it('fires \'postchange\' with logical indexes', () => {
+      const events = [];
+      carousel.addEventListener('postchange', e => events.push(e));
+
+      return carousel.setActiveIndex(2, { animation: 'none' })
+        .then(() => carousel.next({ animation: 'none' }))
+        .then(() => {
+          expect(events.length).to.equal(2);
+          expect(events[1].activeIndex).to.equal(0);
+          expect(events[1].lastActiveIndex).to.equal(2);
+        });
+    });
+
+    it('removes clones when removed', () => {
+      carousel.removeAttribute('loop');
+      expect(carousel.children[0].querySelectorAll('.ons-swiper-clone').length).to.equal(0);
+      carousel.setActiveIndex(100);
+      expect(carousel.getActiveIndex()).to.equal(2);
+    });
+  });
+
+  describe('attribute indicator', () => {
+    it('displays a dot per item', () => {
+      carousel.setAttribute('indicator', 'dots');
+      const dots = carousel.querySelectorAll('.carousel__dot');
+      expect(dots.length).to.equal(3);
+      expect(dots[0].classList.contains('carousel__dot--active')).to.be.true;
+    });
+
+    it('changes the active index when a dot is clicked', () => {
+      carousel.setAttribute('indicator', 'dots');
+      carousel.querySelectorAll('.carousel__dot')[2].click();
+      expect(carousel.getActiveIndex()).to.equal(2);
+    });
+
+    it('displays a fraction', () => {
+      carousel.setAttribute('indicator', 'fraction');
+      return carousel.setActiveIndex(1, { animation: 'none' }).then(() => {
+        expect(carousel.querySelector('.carousel__indicator').textContent).to.equal('2 / 3');
+      });
+    });
+
+    it('is removed with the attribute', () => {
+      carousel.setAttribute('indicator', 'dots');
+      carousel.removeAttribute('indicator');
+      expect(carousel.querySelector('.carousel__indicator')).to.be.null;
+    });
+  });
+
+  describe('attribute arrows', () => {
+    it('displays buttons for the previous and next items', () => {
+      carousel.setAttribute('arrows', '');
+      const prev = carousel.querySelector('.carousel__arrow--prev');
+      const next = carousel.querySelector('.carousel__arrow--next');
+      expect(prev.disabled).to.be.true;
+      expect(next.disabled).to.be.false;
+
+      next.click();
+      expect(carousel.getActiveIndex()).to.equal(1);
+    });
+
+    it('does not disable buttons with loop', () => {
+      carousel.setAttribute('loop', '');
+      carousel.setAttribute('arrows', '');
+      expect(carousel.querySelector('.carousel__arrow--prev').disabled).to.be.false;
+    });
+  });
+
+  describe('autoplay', () => {
+    afterEach(() => carousel.pause());
+
+    it('shows the next items periodically', () => {
+      carousel.setAttribute('autoplay-interval', '10');
+      const promise = new Promise(resolve => carousel.addEventListener('postchange', resolve));
+      carousel.play();
+      return expect(promise).to.eventually.be.fulfilled.then(() => {
+        expect(carousel.getActiveIndex()).to.equal(1);
+      });
+    });
+
+    it('keeps playing when a move is canceled', () => {
+      let calls = 0;
+      carousel.setAttribute('autoplay-interval', '10');
+      carousel.next = () => ++calls && Promise.reject('Canceled');
+      carousel.play();
+
+      return new Promise(resolve => setTimeout(resolve, 100)).then(() => {
+        delete carousel.next;
+        expect(calls).to.be.above(1);
+      });
+    });
+
+    it('fires \'autoplaystart\' and \'autoplaystop\'', () => {
+      const events = [];
+      carousel.addEventListener('autoplaystart', e => events.push(e));
+      carousel.addEventListener('autoplaystop', e => events.push(e));
+
+      carousel.play();
+      carousel.play();
+      carousel.pause();
+      expect(events.map(e => e.type)).to.deep.equal(['autoplaystart', 'autoplaystop']);
+      expect(events[1].reason).to.equal('pause');
+    });
+
+    it('pauses while dragging', () => {
+      const events = [];
+      carousel.addEventListener('autoplaystop', e => events.push(e));
+      carousel.play();
+
+      carousel._swiper.dragStartHook();
+      expect(events.length).to.equal(1);
+      expect(events[0].reason).to.equal('interaction');
+
+      carousel._swiper.dragEndHook();
+      expect(carousel._autoplayRunning).to.be.true;
+    });
+
+    it('pauses while the page is hidden', () => {
+      carousel.play();
+      carousel._hide();
+      expect(carousel._autoplayRunning).to.be.false;
+      carousel._show();
+      expect(carousel._autoplayRunning).to.be.true;
+    });
+
+    it('starts and stops with the attribute', () => {
+      carousel.setAttribute('autoplay', '');
+      const matchMedia = window.matchMedia;
+      const reducedMotion = matchMedia && matchMedia('(prefers-reduced-motion: reduce)').matches;
+      expect(carousel._autoplayRunning).to.equal(!reducedMotion);
+      carousel.removeAttribute('autoplay');
+      expect(carousel._autoplayRunning).to.be.false;
+    });
+
+    it('has a default interval', () => {
+      expect(carousel.autoplayInterval).to.equal(3000);
+      carousel.autoplayInterval = 500;
+      expect(carousel.getAttribute('autoplay-interval')).to.equal('500');
+    });
+  });
+
+  describe('#delegate', () => {
+    let destroyed;
+
+    beforeEach(() => {
+      destroyed = [];
+      carousel.delegate = {
+        createItemContent: i => ons.createElement(`<div>Virtual ${i}</div>`),
+        countItems: () => 100,
+        destroyItem: i => destroyed.push(i)
+      };
+    });
+
+    it('throws if the delegate is invalid', () => {
+      expect(() => carousel.delegate = {}).to.throw(Error);
+    });
+
+    it('uses the logical item count', () => {
+      expect(carousel.itemCount).to.equal(100);
+    });
+
+    it('only renders the items around the active one', () => {
+      const target = carousel.children[0];
+      expect(target.children.length).to.equal(2);
+      expect(target.children[0].tagName).to.equal('ONS-CAROUSEL-ITEM');
+      expect(target.children[0].textContent).to.equal('Virtual 0');
+
+      return carousel.setActiveIndex(50, { animation: 'none' }).then(() => {
+        expect(carousel.getActiveIndex()).to.equal(50);
+        expect(ons._util.arrayFrom(target.children).map(el => el.textContent)).to.deep.equal(['Virtual 49', 'Virtual 50', 'Virtual 51']);
+        expect(target.children[0].style.marginLeft).to.equal(49 * target.offsetWidth + 'px');
+        expect(destroyed).to.include(0);
+      });
+    });
+
+    it('loads images with a placeholder', () => {
+      carousel.delegate = {
+        createItemContent: () => ons.createElement('<ons-carousel-item><img data-src="data:image/gif;base64,R0lGODlhAQABAAAAACw="></ons-carousel-item>'),
+        countItems: () => 3
+      };
+
+      const item = carousel.children[0].children[0];
+      expect(item.classList.contains('carousel-item--loading')).to.be.true;
+      expect(item.querySelector('img').hasAttribute('data-src')).to.be.false;
+    });
+  });
+
+  describe('attribute effect', () => {
+    it('applies the styles of the effect to the items', () => {
+      carousel.setAttribute('effect', 'fade');
+      const items = carousel.children[0].children;
+      expect(items[0].style.opacity).to.equal('1');
+      expect(items[1].style.opacity).to.equal('0');
+      expect(items[1].style.transform).to.equal('translateX(-100%)');
+    });
+
+    it('removes the styles', () => {
+      carousel.setAttribute('effect', 'cube');
+      carousel.removeAttribute('effect');
+      expect(carousel.children[0].children[1].style.transform).to.equal('');
+    });
+
+    it('updates the items while changing', () => {
+      carousel.setAttribute('effect', 'fade');
+      return carousel.setActiveIndex(1).then(() => {
+        const items = carousel.children[0].children;
+        expect(items[0].style.opacity).to.equal('0');
+        expect(items[1].style.opacity).to.equal('1');
+      });
+    });
+  });
+
+  describe('#registerEffect()', () => {
+    afterEach(() => delete window.ons.elements.Carousel.effects.test);
+
+    it('registers effects', () => {
+      const progresses = [];
+      window.ons.elements.Carousel.registerEffect('test', ({ progress }) => {
+        progresses.push(progress);
+        return { opacity: .5 };
+      });
+
+      carousel.setAttribute('effect', 'test');
+      expect(progresses).to.include.members([0, 1, 2]);
+      expect(carousel.children[0].children[2].style.opacity).to.equal('0.5');
+    });
+
+    it('applies the styles of a custom effect during setActiveIndex', () => {
+      window.ons.elements.Carousel.registerEffect('test', ({ progress }) => ({
+        opacity: String(1 - Math.min(Math.abs(progress), 1)),
+        zIndex: progress === 0 ? '1' : ''
+      }));
+      carousel.setAttribute('effect', 'test');
+
+      const items = carousel.children[0].children;
+      const promise = carousel.setActiveIndex(1);
+      expect(items[1].style.opacity).not.to.equal('');
+
+      return promise.then(() => {
+        expect(items[0].style.opacity).to.equal('0');
+        expect(items[1].style.opacity).to.equal('1');
+        expect(items[1].style.zIndex).to.equal('1');
+        expect(items[2].style.opacity).to.equal('0');
+      });
+    });
+
+    it('only accepts functions', () => {
+      expect(() => window.ons.elements.Carousel.registerEffect('test', {})).to.throw(Error);
+    });
+  });
+
   describe('auto-refresh', () => {
     it('appends children inside target element and refreshes', () => {
       const spy = chai.spy.on(carousel._swiper, 'refresh');
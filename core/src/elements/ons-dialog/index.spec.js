@@ -225,6 +225,40 @@ describe('OnsDialogElement', () => {
   });
 
 
+  describe('stacking', () => {
+    let alertDialog;
+
+    beforeEach(() => {
+      alertDialog = ons._util.createElement('<ons-alert-dialog cancelable>Alert</ons-alert-dialog>');
+      document.body.insertBefore(alertDialog, dialog);
+    });
+
+    afterEach(() => alertDialog.remove());
+
+    it('puts the last shown dialog on top', () => {
+      return dialog.show({animation: 'none'})
+        .then(() => alertDialog.show({animation: 'none'}))
+        .then(() => {
+          expect(ons.getOpenDialogs()).to.deep.equal([dialog, alertDialog]);
+          expect(parseInt(alertDialog.style.zIndex, 10)).to.be.above(parseInt(dialog.style.zIndex, 10));
+          expect(dialog.classList.contains('ons-dialog-covered')).to.be.true;
+          expect(ons.getBackButtonHandlerChain()[0].element).to.equal(alertDialog);
+          expect(document.activeElement).to.equal(alertDialog);
+        });
+    });
+
+    it('leaves the stack when hidden', () => {
+      return dialog.show({animation: 'none'})
+        .then(() => alertDialog.show({animation: 'none'}))
+        .then(() => alertDialog.hide({animation: 'none'}))
+        .then(() => {
+          expect(ons.getOpenDialogs()).to.deep.equal([dialog]);
+          expect(dialog.classList.contains('ons-dialog-covered')).to.be.false;
+          expect(alertDialog.style.zIndex).to.equal('10001');
+        });
+    });
+  });
+
   describe('#registerAnimator()', () => {
     it('throws an error if animator is not a DialogAnimator', () => {
       expect(() => window.ons.elements.Dialog.registerAnimator('hoge', 'hoge')).to.throw(Error);
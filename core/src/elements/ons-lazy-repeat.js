@@ -72,6 +72,14 @@ export default class LazyRepeatElement extends BaseElement {
     }
   }
 
+  /**
+   * @attribute columns
+   * @type {Number}
+   * @description
+   *   [en]Number of items per row. Use it to render grids such as photo galleries. Every item takes the same width and rows are as tall as their highest item.[/en]
+   *   [ja][/ja]
+   */
+
   /**
    * @property delegate
    * @type {Object}
@@ -113,7 +121,7 @@ export default class LazyRepeatElement extends BaseElement {
    *
    *     This is important when rendering lists where the items have different height.
    *
-   *     The function is optional and if it isn't present the height of the first item will be automatically calculated and used for all other items.
+   *     The function is optional and if it isn't present every rendered item is measured automatically. Measured heights are kept while the items are not rendered and the average is used as an estimate for the rest. The scroll position is corrected when items above the visible area change their height.
    *   [/en]
    *   [ja]
    *     アイテムの高さ(ピクセル)を返してください。アイテムのインデックス値は引数で渡されます。
@@ -139,6 +147,84 @@ export default class LazyRepeatElement extends BaseElement {
    *   [/ja]
    */
 
+  /**
+   * @property delegate.updateItemContent
+   * @type {Function}
+   * @description
+   *   [en]Optional function called with the index and the item object (`item.element`) when a rendered item must show the data of an index.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @property delegate.recycle
+   * @type {Boolean}
+   * @description
+   *   [en]
+   *     Whether the elements of items that leave the screen are reused instead of destroyed. Recycling is enabled by default when the delegate has both `getItemType` and `updateItemContent`. Set it to `true` to recycle without `getItemType`, or to `false` to opt out. Reused items are passed to `updateItemContent`, which is required. `destroyItem` is only called when the element is discarded.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @property delegate.getItemType
+   * @type {Function}
+   * @description
+   *   [en]Optional function that returns the type of an item. Together with `updateItemContent`, it enables recycling: elements are only reused for items of the same type.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @property delegate.getItemKey
+   * @type {Function}
+   * @description
+   *   [en]
+   *     Optional function that returns a stable key for the item at an index. When present, `refresh()` keeps the elements of the rendered items whose key is still in the data and passes them to `updateItemContent`, which is required, instead of creating them again.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @property delegate.getSectionHeaderIndex
+   * @type {Function}
+   * @description
+   *   [en]
+   *     Optional function that returns the index of the header item (e.g. an `<ons-list-header>`) of the section that contains the item at the given index. Headers of the sections are pinned to the top of the page until the next header pushes them out, even when they are not rendered anymore.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @property delegate.loadMoreTop
+   * @type {Function}
+   * @description
+   *   [en]
+   *     Called when the user scrolls up close to the first item, or when the list is first rendered scrolled down near it. It is not called on mount for lists that start at the top. It receives a `done` function that must be called with the number of items added at the beginning of the data. The visible items keep their position.
+   *
+   *     A loading element is shown until `done` is called. If no items were added, the function is not called again until `refresh()`.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @property delegate.loadMoreBottom
+   * @type {Function}
+   * @description
+   *   [en]
+   *     Called when the user scrolls close to the last item. It receives a `done` function that must be called with the number of items added at the end of the data.
+   *
+   *     A loading element is shown until `done` is called. If no items were added, the function is not called again until `refresh()`.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @property delegate.createLoadingContent
+   * @type {Function}
+   * @description
+   *   [en]Optional function that returns the `HTMLElement` shown while loading more items. It receives `"top"` or `"bottom"` as an argument. A circular progress is used by default.[/en]
+   *   [ja][/ja]
+   */
+
   set delegate(userDelegate) {
     this._lazyRepeatProvider && this._lazyRepeatProvider.destroy();
 
@@ -147,7 +233,7 @@ export default class LazyRepeatElement extends BaseElement {
     }
 
     const delegate = new LazyRepeatDelegate(userDelegate, this._templateElement || null);
-    this._lazyRepeatProvider = new LazyRepeatProvider(this.parentElement, delegate);
+    this._lazyRepeatProvider = new LazyRepeatProvider(this.parentElement, delegate, { columns: this.getAttribute('columns') });
   }
 
   get delegate() {
@@ -165,7 +251,67 @@ export default class LazyRepeatElement extends BaseElement {
     this._lazyRepeatProvider && this._lazyRepeatProvider.refresh();
   }
 
-  attributeChangedCallback(name, last, current) {}
+  /**
+   * @method insertItems
+   * @signature insertItems(index, [count])
+   * @param {Number} index
+   *   [en]Index of the first added item.[/en]
+   *   [ja][/ja]
+   * @param {Number} [count]
+   *   [en]Number of added items. Defaults to 1.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Updates the list after items were added to the data without moving the visible items.[/en]
+   *   [ja][/ja]
+   */
+  insertItems(index, count) {
+    this._lazyRepeatProvider && this._lazyRepeatProvider.insertItems(index, count);
+  }
+
+  /**
+   * @method removeItems
+   * @signature removeItems(index, [count])
+   * @param {Number} index
+   *   [en]Index of the first removed item.[/en]
+   *   [ja][/ja]
+   * @param {Number} [count]
+   *   [en]Number of removed items. Defaults to 1.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Updates the list after items were removed from the data without moving the visible items.[/en]
+   *   [ja][/ja]
+   */
+  removeItems(index, count) {
+    this._lazyRepeatProvider && this._lazyRepeatProvider.removeItems(index, count);
+  }
+
+  /**
+   * @method scrollToIndex
+   * @signature scrollToIndex(index, [options])
+   * @param {Number} index
+   *   [en]Index of the item.[/en]
+   *   [ja][/ja]
+   * @param {Object} [options]
+   * @param {String} [options.align]
+   *   [en]Position of the item in the page: `"start"` (default), `"center"` or `"end"`.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Scrolls the page to the item, rendering it if needed.[/en]
+   *   [ja][/ja]
+   */
+  scrollToIndex(index, options) {
+    this._lazyRepeatProvider && this._lazyRepeatProvider.scrollToIndex(index, options);
+  }
+
+  static get observedAttributes() {
+    return ['columns'];
+  }
+
+  attributeChangedCallback(name, last, current) {
+    if (name === 'columns' && this._lazyRepeatProvider) {
+      this._lazyRepeatProvider.columns = current;
+    }
+  }
 
   disconnectedCallback() {
     if (this._lazyRepeatProvider) {
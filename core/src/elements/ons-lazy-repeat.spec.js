@@ -50,6 +50,28 @@ describe('OnsLazyRepeatElement', () => {
     });
   });
 
+  describe('#scrollToIndex', () => {
+    it('should be callable', () => {
+      lazyRepeat.scrollToIndex(100, { align: 'center' });
+    });
+  });
+
+  describe('#insertItems', () => {
+    it('should be callable', () => {
+      lazyRepeat.insertItems(0, 2);
+      lazyRepeat.removeItems(0, 2);
+    });
+  });
+
+  describe('#columns', () => {
+    it('is passed to the provider', () => {
+      lazyRepeat.setAttribute('columns', '2');
+      expect(lazyRepeat._lazyRepeatProvider.columns).to.equal(2);
+      lazyRepeat.removeAttribute('columns');
+      expect(lazyRepeat._lazyRepeatProvider.columns).to.equal(1);
+    });
+  });
+
   describe('#delegate', () => {
     it('should accept delegate object twice', () => {
       lazyRepeat.delegate = {
@@ -58,6 +58,13 @@ export default class ListHeaderElement extends BaseElement {
    *   [ja]ヘッダーの表現を指定します。[/ja]
    */
 
+  /**
+   * @attribute sticky
+   * @description
+   *   [en]Keeps the header pinned to the top of the page content while its section is visible. The next sticky header of the same `<ons-list>` pushes it out. Inside `<ons-lazy-repeat>` use the `getSectionHeaderIndex` delegate method instead.[/en]
+   *   [ja][/ja]
+   */
+
   constructor() {
     super();
 
@@ -70,8 +77,22 @@ export default class ListHeaderElement extends BaseElement {
     ModifierUtil.initModifier(this, scheme);
   }
 
+  connectedCallback() {
+    this._list = this.parentElement && this.parentElement.tagName === 'ONS-LIST' ? this.parentElement : null;
+    this.hasAttribute('sticky') && this._updateStickyHeaders();
+  }
+
+  disconnectedCallback() {
+    this.hasAttribute('sticky') && this._updateStickyHeaders();
+    this._list = null;
+  }
+
+  _updateStickyHeaders() {
+    this._list && this._list._updateStickyHeaders && this._list._updateStickyHeaders();
+  }
+
   static get observedAttributes() {
-    return ['modifier', 'class'];
+    return ['modifier', 'class', 'sticky'];
   }
 
   attributeChangedCallback(name, last, current) {
@@ -82,6 +103,9 @@ export default class ListHeaderElement extends BaseElement {
       case 'modifier':
         ModifierUtil.onModifierChanged(last, current, this, scheme);
         break;
+      case 'sticky':
+        this._updateStickyHeaders();
+        break;
     }
   }
 }
@@ -0,0 +1,298 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import onsElements from '../ons/elements';
+import util from '../ons/util';
+import ModifierUtil from '../ons/internal/modifier-util';
+import GestureDetector from '../ons/gesture-detector';
+import BaseElement from './base/base-element';
+
+const defaultClassName = 'list-index';
+const scheme = {'': 'list-index--*'};
+const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ#'.split('');
+
+/**
+ * @element ons-list-index
+ * @category list
+ * @description
+ *   [en]
+ *     Alphabetical index displayed on the side of the page. Tapping or dragging over the letters scrolls the page to the matching section of a list.
+ *
+ *     By default the letters are the initials of the `<ons-list-header>` elements of the list. For `<ons-lazy-repeat>`, set a `delegate` that maps letters to item indexes.
+ *   [/en]
+ *   [ja][/ja]
+ * @seealso ons-list
+ *   [en]The `<ons-list>` component[/en]
+ *   [ja]ons-listコンポーネント[/ja]
+ * @seealso ons-list-header
+ *   [en]The `<ons-list-header>` component[/en]
+ *   [ja]ons-list-headerコンポーネント[/ja]
+ * @example
+ * <ons-page>
+ *   <ons-list id="contacts">
+ *     <ons-list-header>A</ons-list-header>
+ *     <ons-list-item>Alice</ons-list-item>
+ *     <ons-list-header>B</ons-list-header>
+ *     <ons-list-item>Bob</ons-list-item>
+ *   </ons-list>
+ *
+ *   <ons-list-index for="contacts"></ons-list-index>
+ * </ons-page>
+ */
+export default class ListIndexElement extends BaseElement {
+
+  /**
+   * @attribute for
+   * @type {String}
+   * @description
+   *   [en]ID of the `<ons-list>` or `<ons-lazy-repeat>` element. Defaults to the first `<ons-list>` of the page.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute modifier
+   * @type {String}
+   * @description
+   *   [en]The appearance of the index.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @event letterchange
+   * @description
+   *   [en]Fired when the user selects a letter.[/en]
+   *   [ja][/ja]
+   * @param {Object} event
+   *   [en]Event object.[/en]
+   *   [ja]イベントオブジェクト。[/ja]
+   * @param {String} event.letter
+   *   [en]Selected letter.[/en]
+   *   [ja][/ja]
+   */
+
+  constructor() {
+    super();
+
+    this._letters = [];
+    this._sections = {};
+    this._activeLetter = null;
+    this._delegate = null;
+
+    util.bindListeners(this, ['_onGesture', '_onRelease']);
+
+    this._compile();
+  }
+
+  _compile() {
+    this.classList.add(defaultClassName);
+    this.setAttribute('role', 'navigation');
+    ModifierUtil.initModifier(this, scheme);
+  }
+
+  connectedCallback() {
+    this._gestureDetector = new GestureDetector(this, { dragMinDistance: 1, passive: true });
+    this.addEventListener('touch', this._boundOnGesture);
+    this.addEventListener('drag', this._boundOnGesture);
+    this.addEventListener('release', this._boundOnRelease);
+
+    this.refresh();
+  }
+
+  disconnectedCallback() {
+    this.removeEventListener('touch', this._boundOnGesture);
+    this.removeEventListener('drag', this._boundOnGesture);
+    this.removeEventListener('release', this._boundOnRelease);
+
+    if (this._gestureDetector) {
+      this._gestureDetector.dispose();
+      this._gestureDetector = null;
+    }
+  }
+
+  /**
+   * @property delegate
+   * @type {Object}
+   * @description
+   *   [en]
+   *     Maps letters to item indexes of an `<ons-lazy-repeat>`, whose sections are not in the DOM.
+   *
+   *     `delegate.getItemIndex(letter)` must return the index of the first item of the section or -1. The optional `delegate.getLetters()` returns the letters to display, A–Z and # by default.
+   *   [/en]
+   *   [ja][/ja]
+   */
+  set delegate(delegate) {
+    if (delegate !== null && !(delegate && delegate.getItemIndex instanceof Function)) {
+      util.throw('"delegate" must implement "getItemIndex"');
+    }
+
+    this._delegate = delegate;
+    this.refresh();
+  }
+
+  get delegate() {
+    return this._delegate;
+  }
+
+  /**
+   * @property letters
+   * @readonly
+   * @type {Array}
+   * @description
+   *   [en]Displayed letters.[/en]
+   *   [ja][/ja]
+   */
+  get letters() {
+    return this._letters.slice();
+  }
+
+  _getTarget() {
+    if (this.hasAttribute('for')) {
+      return document.getElementById(this.getAttribute('for'));
+    }
+
+    const page = util.findParent(this, 'ons-page');
+    return page && page.querySelector('ons-list');
+  }
+
+  /**
+   * @method refresh
+   * @signature refresh()
+   * @description
+   *   [en]Builds the letters again. Call it when the sections of the list change.[/en]
+   *   [ja][/ja]
+   */
+  refresh() {
+    this._sections = {};
+
+    if (this._delegate) {
+      this._letters = this._delegate.getLetters instanceof Function ? this._delegate.getLetters() : alphabet;
+    } else {
+      const target = this._getTarget();
+      const headers = target ? util.arrayFrom(target.querySelectorAll('ons-list-header')) : [];
+
+      headers.forEach(header => {
+        const letter = header.textContent.trim().charAt(0).toUpperCase();
+        if (letter && !this._sections.hasOwnProperty(letter)) {
+          this._sections[letter] = header;
+        }
+      });
+
+      this._letters = Object.keys(this._sections);
+    }
+
+    this.innerHTML = '';
+    this._letters.forEach(letter => {
+      const element = document.createElement('div');
+      element.className = 'list-index__letter';
+      element.textContent = letter;
+      element.setAttribute('role', 'link');
+      element.setAttribute('aria-label', letter);
+      this.appendChild(element);
+    });
+  }
+
+  _letterAt(y) {
+    const elements = util.arrayFrom(this.children);
+    const element = elements.filter(element => element.getBoundingClientRect().top <= y).pop() || elements[0];
+    return element ? element.textContent : null;
+  }
+
+  _onGesture(event) {
+    if (!event.gesture) {
+      return;
+    }
+
+    event.stopPropagation();
+
+    const letter = this._letterAt(event.gesture.center.clientY);
+    if (letter !== null && letter !== this._activeLetter) {
+      this._setActiveLetter(letter);
+      this.scrollToLetter(letter);
+      util.triggerElementEvent(this, 'letterchange', { letter });
+    }
+  }
+
+  _onRelease() {
+    this._setActiveLetter(null);
+  }
+
+  _setActiveLetter(letter) {
+    this._activeLetter = letter;
+    util.arrayFrom(this.children).forEach(element => {
+      element.classList.toggle('list-index__letter--active', element.textContent === letter);
+    });
+  }
+
+  /**
+   * @method scrollToLetter
+   * @signature scrollToLetter(letter)
+   * @param {String} letter
+   * @return {Boolean}
+   *   [en]Whether there is a section for the letter.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Scrolls the page to the section of the letter.[/en]
+   *   [ja][/ja]
+   */
+  scrollToLetter(letter) {
+    const target = this._getTarget();
+
+    if (this._delegate) {
+      const index = this._delegate.getItemIndex(letter);
+      if (typeof index !== 'number' || index < 0 || !target || !(target.scrollToIndex instanceof Function)) {
+        return false;
+      }
+
+      target.scrollToIndex(index);
+      return true;
+    }
+
+    const header = this._sections[letter];
+    const content = header && util.findParent(header, '.page__content');
+    if (!content) {
+      return false;
+    }
+
+    content.scrollTop += header.getBoundingClientRect().top - content.getBoundingClientRect().top;
+    return true;
+  }
+
+  static get observedAttributes() {
+    return ['modifier', 'class', 'for'];
+  }
+
+  attributeChangedCallback(name, last, current) {
+    switch (name) {
+      case 'class':
+        util.restoreClass(this, defaultClassName, scheme);
+        break;
+      case 'modifier':
+        ModifierUtil.onModifierChanged(last, current, this, scheme);
+        break;
+      case 'for':
+        util.isAttached(this) && this.refresh();
+        break;
+    }
+  }
+
+  static get events() {
+    return ['letterchange'];
+  }
+}
+
+onsElements.ListIndex = ListIndexElement;
+customElements.define('ons-list-index', ListIndexElement);
@@ -0,0 +1,112 @@
+'use strict';
+
+describe('ons-list-index', () => {
+  let page, list, index;
+
+  beforeEach(() => {
+    page = ons._util.createElement(`
+      <ons-page>
+        <ons-list id="list-index-test">
+          <ons-list-header>Apple</ons-list-header>
+          <ons-list-item style="height: 500px">Item</ons-list-item>
+          <ons-list-header>banana</ons-list-header>
+          <ons-list-item style="height: 500px">Item</ons-list-item>
+          <ons-list-header>Blueberry</ons-list-header>
+          <ons-list-item style="height: 500px">Item</ons-list-item>
+          <ons-list-header>Cherry</ons-list-header>
+          <ons-list-item style="height: 500px">Item</ons-list-item>
+        </ons-list>
+        <ons-list-index for="list-index-test"></ons-list-index>
+      </ons-page>
+    `);
+    page.style.height = '300px';
+    document.body.appendChild(page);
+    list = page.querySelector('ons-list');
+    index = page.querySelector('ons-list-index');
+  });
+
+  afterEach(() => {
+    page.remove();
+    page = list = index = null;
+  });
+
+  it('provides \'ons.elements.ListIndex\' global variable', () => {
+    expect(window.ons.elements.ListIndex).to.be.ok;
+  });
+
+  it('classList contains \'list-index\' by default', () => {
+    const element = new ons.elements.ListIndex();
+    expect(element.classList.contains('list-index')).to.be.true;
+    element.setAttribute('class', 'foo');
+    expect(element.classList.contains('list-index')).to.be.true;
+    expect(element.classList.contains('foo')).to.be.true;
+  });
+
+  it('stays outside of the page content', () => {
+    expect(index.parentNode).to.equal(page);
+  });
+
+  it('builds the letters from the list headers', () => {
+    expect(index.letters).to.deep.equal(['A', 'B', 'C']);
+    expect(index.querySelectorAll('.list-index__letter').length).to.equal(3);
+  });
+
+  it('uses the first list of the page by default', () => {
+    index.removeAttribute('for');
+    expect(index.letters).to.deep.equal(['A', 'B', 'C']);
+  });
+
+  describe('#refresh()', () => {
+    it('updates the letters', () => {
+      list.appendChild(ons._util.createElement('<ons-list-header>Date</ons-list-header>'));
+      index.refresh();
+      expect(index.letters).to.deep.equal(['A', 'B', 'C', 'D']);
+    });
+  });
+
+  describe('#scrollToLetter()', () => {
+    it('scrolls the page to the first header of the letter', () => {
+      const content = page.querySelector('.page__content');
+      const header = list.querySelectorAll('ons-list-header')[1];
+
+      expect(index.scrollToLetter('B')).to.be.true;
+      expect(Math.round(header.getBoundingClientRect().top - content.getBoundingClientRect().top)).to.equal(0);
+    });
+
+    it('returns false for unknown letters', () => {
+      expect(index.scrollToLetter('Z')).to.be.false;
+    });
+  });
+
+  describe('#delegate', () => {
+    it('throws when it does not implement getItemIndex', () => {
+      expect(() => index.delegate = {}).to.throw(Error);
+    });
+
+    it('maps letters to item indexes', () => {
+      const target = { scrollToIndex: chai.spy() };
+      index.delegate = { getLetters: () => ['X', 'Y'], getItemIndex: letter => letter === 'Y' ? 42 : -1 };
+      index._getTarget = () => target;
+
+      expect(index.letters).to.deep.equal(['X', 'Y']);
+      expect(index.scrollToLetter('X')).to.be.false;
+      expect(index.scrollToLetter('Y')).to.be.true;
+      expect(target.scrollToIndex).to.have.been.called.with(42);
+    });
+  });
+
+  describe('\'letterchange\' event', () => {
+    it('is fired when a letter is touched', () => {
+      const promise = new Promise(resolve => index.addEventListener('letterchange', resolve));
+      const letter = index.children[2];
+      const rect = letter.getBoundingClientRect();
+
+      index._onGesture({ gesture: { center: { clientY: rect.top + rect.height / 2 } }, stopPropagation() {} });
+
+      return promise.then(event => {
+        expect(event.letter).to.equal('C');
+        expect(letter.classList.contains('list-index__letter--active')).to.be.true;
+      });
+    });
+  });
+});
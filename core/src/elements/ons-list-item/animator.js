@@ -43,16 +43,21 @@ export class SlideListItemAnimator extends ListItemAnimator {
 
   _animateExpansion(listItem, shouldOpen, callback) {
     // To animate the opening of the expansion panel correctly, we need to know its
-    // height. To calculate this, we set its height to auto, and then get the computed
-    // height and padding. Once this is done, we set the height back to its original value.
-    const oldHeight = listItem.expandableContent.style.height;
-    const oldDisplay = listItem.expandableContent.style.display;
-    listItem.expandableContent.style.height = 'auto';
-    listItem.expandableContent.style.display = 'block';
-    const computedStyle = window.getComputedStyle(listItem.expandableContent);
+    // height. To calculate this, we display it with its natural height and get the
+    // computed height and padding. The inline values are removed once the animation
+    // is done so the content can change its size afterwards, e.g. nested expandable items.
+    const content = listItem.expandableContent;
+    const oldDisplay = content.style.display;
+    const clearSize = () => {
+      content.style.transition = content.style.height = content.style.paddingTop = content.style.paddingBottom = '';
+    };
+
+    clearSize();
+    content.style.display = 'block';
+    const computedStyle = window.getComputedStyle(content);
 
     const expansionOpenTransition = [
-      { height: 0, paddingTop: 0, paddingBottom: 0 },
+      { height: '0px', paddingTop: '0px', paddingBottom: '0px' },
       {
         height: computedStyle.height,
         paddingTop: computedStyle.paddingTop,
@@ -61,13 +66,11 @@ export class SlideListItemAnimator extends ListItemAnimator {
     ];
     const iconOpenTransition = [{transform: 'rotate(45deg)'}, {transform: 'rotate(225deg)'}];
 
-    // Now that we have the values we need, reset the height back to its original state
-    listItem.expandableContent.style.height = oldHeight;
-
-    animit(listItem.expandableContent, { duration: this.duration, property: 'height padding-top padding-bottom' })
+    animit(content, { duration: this.duration, property: 'height padding-top padding-bottom' })
       .default(...(shouldOpen ? expansionOpenTransition : expansionOpenTransition.reverse()))
       .play(() => {
-        listItem.expandableContent.style.display = oldDisplay;
+        clearSize();
+        content.style.display = oldDisplay;
         callback && callback();
       });
 
@@ -18,11 +18,13 @@ limitations under the License.
 import onsElements from '../../ons/elements';
 import animit from '../../ons/animit';
 import util from '../../ons/util';
+import internal from '../../ons/internal';
 import styler from '../../ons/styler';
 import autoStyle from '../../ons/autostyle';
 import ModifierUtil from '../../ons/internal/modifier-util';
 import AnimatorFactory from '../../ons/internal/animator-factory';
 import { ListItemAnimator, SlideListItemAnimator } from './animator';
+import SwipeReveal from '../../ons/internal/swipe-reveal';
 import BaseElement from '../base/base-element';
 import contentReady from '../../ons/content-ready';
 
@@ -36,9 +38,15 @@ const scheme = {
   '.list-item__title': 'list-item--*__title',
   '.list-item__subtitle': 'list-item--*__subtitle',
   '.list-item__thumbnail': 'list-item--*__thumbnail',
-  '.list-item__icon': 'list-item--*__icon'
+  '.list-item__icon': 'list-item--*__icon',
+  '.list-item__left-actions': 'list-item--*__left-actions',
+  '.list-item__right-actions': 'list-item--*__right-actions'
 };
 
+// Fraction of the item width that triggers the outermost action with `full-swipe`
+const fullSwipeRatio = .6;
+const swipeActionsAnimation = { duration: .2, timing: 'cubic-bezier(.1, .7, .1, 1)' };
+
 const _animatorDict = {
   'default': SlideListItemAnimator,
   'none': ListItemAnimator
@@ -76,6 +84,18 @@ const _animatorDict = {
  *     ```
  *
  *     There are also a number of classes (prefixed with `list-item__*`) that help when putting things like icons and thumbnails into the list items.
+ *
+ *     Buttons placed in `div.left-actions` and `div.right-actions` are revealed when the item is swiped horizontally. Tapping one of them fires a `swipeaction` event and closes the item.
+ *
+ *     ```
+ *     <ons-list-item full-swipe>
+ *       <div class="center">Swipe me</div>
+ *       <div class="right-actions">
+ *         <div class="list-item__action" data-action="archive">Archive</div>
+ *         <div class="list-item__action" data-action="delete">Delete</div>
+ *       </div>
+ *     </ons-list-item>
+ *     ```
  *   [/en]
  *   [ja][/ja]
  * @seealso ons-list
@@ -142,6 +162,14 @@ export default class ListItemElement extends BaseElement {
    *   [ja][/ja]
    */
 
+  /**
+   * @attribute expandable-template
+   * @type {String}
+   * @description
+   *   [en]Template or page loaded into the expandable content the first time the item is expanded.[/en]
+   *   [ja][/ja]
+   */
+
   /**
    * @attribute animation
    * @type {String}
@@ -151,9 +179,42 @@ export default class ListItemElement extends BaseElement {
    *  [ja][/ja]
    */
 
+  /**
+   * @attribute full-swipe
+   * @type {Boolean}
+   * @description
+   *   [en]Swiping the item over most of its width triggers the outermost action of the swiped side.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @event swipeaction
+   * @description
+   *   [en]Fired when an action revealed by swiping is tapped or triggered with a full swipe.[/en]
+   *   [ja][/ja]
+   * @param {Object} event
+   *   [en]Event object.[/en]
+   *   [ja]イベントオブジェクト。[/ja]
+   * @param {Object} event.listItem
+   *   [en]Component object.[/en]
+   *   [ja]コンポーネントのオブジェクト。[/ja]
+   * @param {HTMLElement} event.action
+   *   [en]Element of the action.[/en]
+   *   [ja][/ja]
+   * @param {String} event.side
+   *   [en]Either `"left"` or `"right"`.[/en]
+   *   [ja][/ja]
+   * @param {Boolean} event.fullSwipe
+   *   [en]Whether the action was triggered with a full swipe.[/en]
+   *   [ja][/ja]
+   */
+
   constructor() {
     super();
 
+    this._swipeSide = this._swipeOpenSide = null;
+    util.bindListeners(this, ['_onSwipeActionsClick']);
+
     this._animatorFactory = this._updateAnimatorFactory();
     this.toggleExpansion = this.toggleExpansion.bind(this);
 
@@ -191,6 +252,7 @@ export default class ListItemElement extends BaseElement {
     this.classList.add(defaultClassName);
 
     let top, expandableContent;
+    const swipeActions = [];
     let topContent = [];
     Array.from(this.childNodes).forEach(node => {
       if (node.nodeType !== Node.ELEMENT_NODE) {
@@ -199,6 +261,8 @@ export default class ListItemElement extends BaseElement {
         top = node;
       } else if (node.classList.contains('expandable-content')) {
         expandableContent = node;
+      } else if (node.classList.contains('left-actions') || node.classList.contains('right-actions')) {
+        swipeActions.push(node);
       } else {
         topContent.push(node);
       }
@@ -272,53 +336,379 @@ export default class ListItemElement extends BaseElement {
       top.appendChild(right);
     }
 
+    if (swipeActions.length) {
+      this.classList.add('list-item--swipeable');
+    }
+    swipeActions.forEach(actions => {
+      const side = actions.classList.contains('left-actions') ? 'left' : 'right';
+      actions.classList.add(`list-item__${side}-actions`);
+      util.arrayFrom(actions.children).forEach(action => action.classList.add('list-item__action'));
+      this.appendChild(actions);
+    });
+
     util.updateRipple(this);
     ModifierUtil.initModifier(this, scheme);
   }
 
+  /**
+   * @property loadExpandableContent
+   * @type {Function}
+   * @description
+   *   [en]
+   *     Function called with the list item the first time it is expanded. It returns a Promise that resolves to an element or an HTML string put in the expandable content, or to nothing if it filled `listItem.expandableContent` itself.
+   *
+   *     The item is expanded once the content is loaded.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
   /**
    * @method showExpansion
    * @signature showExpansion()
+   * @return {Promise}
+   *   [en]Resolves when the expandable content is loaded and displayed.[/en]
+   *   [ja][/ja]
    * @description
-   *   [en]Show the expandable content if the element is expandable.[/en]
+   *   [en]Show the expandable content if the element is expandable. In a list with the `accordion` attribute, the other items are collapsed.[/en]
    *   [ja][/ja]
    */
   showExpansion() {
-    if (this.hasAttribute('expandable') && !this._expanding) {
-      this.expanded = true;
-      this._expanding = true;
+    if (!this.hasAttribute('expandable') || this._expanding) {
+      return Promise.resolve();
+    }
+
+    this.expanded = true;
+    this._expanding = true;
+    this._collapseAccordionSiblings();
 
+    const expand = () => new Promise(resolve => {
       const animator = this._animatorFactory.newAnimator();
       animator.showExpansion(this, () => {
         this.classList.add('expanded');
         this._expanding = false;
+        resolve();
       });
+    });
+
+    if (!this._shouldLoadExpandableContent()) {
+      return this._expansion = expand();
     }
+
+    return this._expansion = this._loadExpandableContent().then(expand, error => {
+      this.expanded = this._expanding = false;
+      throw error;
+    });
   }
 
   /**
    * @method hideExpansion
    * @signature hideExpansion()
+   * @return {Promise}
+   *   [en]Resolves when the expandable content is hidden.[/en]
+   *   [ja][/ja]
    * @description
    *   [en]Hide the expandable content if the element expandable.[/en]
    *   [ja][/ja]
    */
   hideExpansion() {
-    if (this.hasAttribute('expandable') && !this._expanding) {
-      this.expanded = false;
-      this._expanding = true;
+    if (!this.hasAttribute('expandable') || this._expanding) {
+      return Promise.resolve();
+    }
+
+    this.expanded = false;
+    this._expanding = true;
 
+    return this._expansion = new Promise(resolve => {
       const animator = this._animatorFactory.newAnimator();
       animator.hideExpansion(this, () => {
         this.classList.remove('expanded');
         this._expanding = false;
+        resolve();
+      });
+    });
+  }
+
+  _collapseAccordionSiblings() {
+    const list = this.parentNode;
+    if (!list || list.tagName !== 'ONS-LIST' || !list.hasAttribute('accordion')) {
+      return;
+    }
+
+    const collapse = el => {
+      if (el === this || el.tagName !== 'ONS-LIST-ITEM' || !(el.expanded || el.classList.contains('expanded'))) {
+        return;
+      }
+
+      if (el._expanding) {
+        // Collapse it once its running animation or load ends, unless this item was collapsed meanwhile
+        const retry = () => this.expanded && el.parentNode === list && collapse(el);
+        el._expansion.then(retry, retry);
+      } else {
+        el.hideExpansion();
+        el.dispatchEvent(new Event('expansion'));
+      }
+    };
+
+    util.arrayFrom(list.children).forEach(collapse);
+  }
+
+  _shouldLoadExpandableContent() {
+    return !this._expandableContentLoaded && (this.hasAttribute('expandable-template') || this.loadExpandableContent instanceof Function);
+  }
+
+  _loadExpandableContent() {
+    if (this._expandableContentLoading) {
+      return this._expandableContentLoading;
+    }
+
+    let content = this.expandableContent;
+    if (!content) {
+      content = util.create('.expandable-content.list-item__expandable-content');
+      this.appendChild(content);
+    }
+
+    const template = this.getAttribute('expandable-template');
+    const load = template
+      ? internal.getPageHTMLAsync(template)
+      : Promise.resolve().then(() => this.loadExpandableContent(this));
+
+    this.setAttribute('aria-busy', 'true');
+
+    this._expandableContentLoading = load.then(result => {
+      if (typeof result === 'string') {
+        result = util.createFragment(result);
+      } else if (result instanceof DocumentFragment) {
+        result = document.importNode(result, true);
+      }
+
+      if (result instanceof Node) {
+        content.innerHTML = '';
+        content.appendChild(result);
+      }
+
+      this._expandableContentLoaded = true;
+    }).then(() => {
+      this.removeAttribute('aria-busy');
+      this._expandableContentLoading = null;
+    }, error => {
+      this.removeAttribute('aria-busy');
+      this._expandableContentLoading = null;
+      throw error;
+    });
+
+    return this._expandableContentLoading;
+  }
+
+  /**
+   * @property swipeActionsSide
+   * @readonly
+   * @type {String}
+   * @description
+   *   [en]Side of the swipe actions currently revealed: `"left"`, `"right"` or `null`.[/en]
+   *   [ja][/ja]
+   */
+  get swipeActionsSide() {
+    return this._swipeOpenSide;
+  }
+
+  /**
+   * @method openSwipeActions
+   * @signature openSwipeActions([side])
+   * @param {String} [side]
+   *   [en]Either `"left"` or `"right"`. Defaults to `"right"`.[/en]
+   *   [ja][/ja]
+   * @return {Promise}
+   *   [en]Resolves when the animation finishes.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Reveals the swipe actions of one side and closes the other items of the list.[/en]
+   *   [ja][/ja]
+   */
+  openSwipeActions(side = 'right') {
+    if (!this._getSwipeActions(side)) {
+      return Promise.resolve();
+    }
+
+    this._closeOtherSwipeActions();
+    const closing = this._swipeSide && this._swipeSide !== side ? this.closeSwipeActions() : Promise.resolve();
+
+    return closing.then(() => {
+      this._swipeSide = side;
+      return this._animateSwipeActions(this._getSwipeActionsWidth(side), side);
+    });
+  }
+
+  /**
+   * @method closeSwipeActions
+   * @signature closeSwipeActions()
+   * @return {Promise}
+   *   [en]Resolves when the animation finishes.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Hides the swipe actions.[/en]
+   *   [ja][/ja]
+   */
+  closeSwipeActions() {
+    return this._swipeSide ? this._animateSwipeActions(0, this._swipeSide) : Promise.resolve();
+  }
+
+  _getSwipeActions(side) {
+    return util.findChild(this, `.list-item__${side}-actions`);
+  }
+
+  _getSwipeActionsWidth(side) {
+    return util.arrayFrom(this._getSwipeActions(side).children)
+      .reduce((width, action) => width + action.offsetWidth, 0);
+  }
+
+  _getSwipeContent() {
+    return util.arrayFrom(this.children).filter(el => el.nodeName !== 'ONS-RIPPLE'
+      && !el.classList.contains('list-item__left-actions') && !el.classList.contains('list-item__right-actions'));
+  }
+
+  _getOutermostAction(side) {
+    const actions = this._getSwipeActions(side);
+    return side === 'left' ? actions.firstElementChild : actions.lastElementChild;
+  }
+
+  _setSwipeDistance(distance, side) {
+    const actions = this._getSwipeActions(side);
+    const offset = side === 'left' ? distance : -distance;
+    const full = this.hasAttribute('full-swipe') && distance > this.offsetWidth * fullSwipeRatio;
+
+    this._getSwipeContent().forEach(el => el.style.transform = offset ? `translate3d(${offset}px, 0, 0)` : '');
+    actions.style.width = distance + 'px';
+    actions.classList.toggle(`list-item__${side}-actions--full`, full);
+    this._swipeFull = full;
+  }
+
+  _animateSwipeActions(distance, side) {
+    return new Promise(resolve => {
+      const offset = side === 'left' ? distance : -distance;
+      const actions = this._getSwipeActions(side);
+
+      this._swipeOpenSide = distance ? side : null;
+      this._swipeAnimating = true;
+
+      animit(actions, swipeActionsAnimation).queue({ width: distance + 'px' }).play();
+      animit(this._getSwipeContent(), swipeActionsAnimation)
+        .queue({ transform: `translate3d(${offset}px, 0, 0)` })
+        .play(() => {
+          this._swipeAnimating = false;
+          this._setSwipeDistance(distance, side);
+          if (!distance) {
+            this._swipeSide = null;
+          }
+          resolve();
+        });
+    });
+  }
+
+  _closeOtherSwipeActions() {
+    const list = util.findParent(this, 'ons-list');
+    if (list) {
+      util.arrayFrom(list.querySelectorAll('ons-list-item'))
+        .filter(item => item !== this && item._swipeOpenSide && util.findParent(item, 'ons-list') === list)
+        .forEach(item => item.closeSwipeActions());
+    }
+  }
+
+  _triggerSwipeAction(action, side, fullSwipe) {
+    util.triggerElementEvent(this, 'swipeaction', { listItem: this, action, side, fullSwipe });
+  }
+
+  _ignoreSwipeActions(event) {
+    const { deltaX, deltaY } = event.gesture;
+    if (this._swipeAnimating || Math.abs(deltaX) <= Math.abs(deltaY)) {
+      return true;
+    }
+
+    const side = this._swipeOpenSide || (deltaX > 0 ? 'left' : 'right');
+    if (!this._getSwipeActions(side)) {
+      return true;
+    }
+
+    this._swipeSide = side;
+    this._swipeActionsWidth = this._getSwipeActionsWidth(side);
+    this._swipeMaxDistance = this.hasAttribute('full-swipe') ? this.offsetWidth : this._swipeActionsWidth;
+    this._closeOtherSwipeActions();
+    return false;
+  }
+
+  _onSwipeEnd(open) {
+    const side = this._swipeSide;
+
+    if (open && this._swipeFull) {
+      const action = this._getOutermostAction(side);
+      return this._animateSwipeActions(this.offsetWidth, side).then(() => {
+        this._triggerSwipeAction(action, side, true);
+        return this._animateSwipeActions(0, side);
+      });
+    }
+
+    return this._animateSwipeActions(open ? this._swipeActionsWidth : 0, side);
+  }
+
+  _onSwipeActionsClick(event) {
+    if (!this._swipeOpenSide) {
+      return;
+    }
+
+    // Clicks that end a drag
+    if (this._swipeAnimating) {
+      event.stopPropagation();
+      return;
+    }
+
+    const side = this._swipeOpenSide;
+    const actions = this._getSwipeActions(side);
+    const action = event.target.parentNode === actions
+      ? event.target
+      : util.findParent(event.target, el => el.parentNode === actions, el => el === this);
+
+    // Taps on the content close the item instead of reaching it
+    if (!action) {
+      event.stopPropagation();
+      event.preventDefault();
+    } else {
+      this._triggerSwipeAction(action, side, false);
+    }
+
+    this.closeSwipeActions();
+  }
+
+  _updateSwipeActions(add) {
+    if (add && (this._getSwipeActions('left') || this._getSwipeActions('right'))) {
+      this._swipe = this._swipe || new SwipeReveal({
+        element: this,
+        getSide: () => this._swipeSide,
+        getWidth: () => this._swipeMaxDistance,
+        getOpenDistance: () => this._swipeActionsWidth,
+        getThreshold: () => this._swipeActionsWidth / 2 / this._swipeMaxDistance,
+        isInitialState: () => !this._swipeOpenSide,
+        ignoreSwipe: event => this._ignoreSwipeActions(event),
+        swipeMid: distance => this._setSwipeDistance(distance, this._swipeSide),
+        swipeMax: () => this._onSwipeEnd(true),
+        swipeMin: () => this._onSwipeEnd(false)
       });
+      this._swipe.update(true);
+      this.addEventListener('click', this._boundOnSwipeActionsClick, true);
+    } else if (this._swipe) {
+      this._swipe.dispose();
+      this._swipe = null;
+      this.removeEventListener('click', this._boundOnSwipeActionsClick, true);
     }
   }
 
   toggleExpansion() {
-    this.classList.contains('expanded') ? this.hideExpansion() : this.showExpansion();
+    const toggle = this.classList.contains('expanded') ? this.hideExpansion() : this.showExpansion();
     this.dispatchEvent(new Event('expansion'));
+
+    // The item collapses again when its content cannot be loaded
+    return toggle.catch(error => {
+      util.warn(error);
+      this.dispatchEvent(new Event('expansion'));
+    });
   }
 
   _updateAnimatorFactory() {
@@ -362,6 +752,8 @@ export default class ListItemElement extends BaseElement {
   connectedCallback() {
     contentReady(this, () => {
       this._setupListeners(true);
+      this._updateSwipeActions(true);
+      this.parentNode && this.parentNode._selection && this.parentNode._selection.updateItem(this);
       this._originalBackgroundColor = this.style.backgroundColor;
       this.tapped = false;
     });
@@ -369,6 +761,7 @@ export default class ListItemElement extends BaseElement {
 
   disconnectedCallback() {
     this._setupListeners(false);
+    this._updateSwipeActions(false);
   }
 
   _setupListeners(add) {
@@ -388,6 +781,10 @@ export default class ListItemElement extends BaseElement {
     }
   }
 
+  static get events() {
+    return ['swipeaction'];
+  }
+
   _onDrag(event) {
     const gesture = event.gesture;
     // Prevent vertical scrolling if the users pans left or right.
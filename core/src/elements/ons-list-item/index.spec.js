@@ -273,4 +273,275 @@ describe('OnsListItemElement', () => {
       expect(animatorMock.hideExpansion).to.not.have.been.called;
     });
   });
+
+  describe('swipe actions', () => {
+    let list, items;
+
+    const swipeItem = `
+      <ons-list-item>
+        <div class="center">Item</div>
+        <div class="left-actions"><div style="width: 60px">Pin</div></div>
+        <div class="right-actions">
+          <div style="width: 60px">Archive</div>
+          <div style="width: 80px">Delete</div>
+        </div>
+      </ons-list-item>
+    `;
+
+    beforeEach(done => {
+      list = ons._util.createElement(`<ons-list style="width: 400px">${swipeItem}${swipeItem}</ons-list>`);
+      document.body.appendChild(list);
+      items = list.querySelectorAll('ons-list-item');
+      setImmediate(done);
+    });
+
+    afterEach(() => {
+      list.remove();
+      list = items = null;
+    });
+
+    it('compiles the actions', () => {
+      const actions = items[0].querySelector('.list-item__right-actions');
+      expect(items[0].classList.contains('list-item--swipeable')).to.be.true;
+      expect(actions.parentNode).to.equal(items[0]);
+      expect(actions.children[0].classList.contains('list-item__action')).to.be.true;
+      expect(items[0].querySelector('.list-item__center .right-actions')).to.be.null;
+    });
+
+    it('does not make items without actions swipeable', () => {
+      expect(listItem.classList.contains('list-item--swipeable')).to.be.false;
+    });
+
+    it('reveals the actions of one side', () => {
+      return items[0].openSwipeActions('right').then(() => {
+        expect(items[0].swipeActionsSide).to.equal('right');
+        expect(items[0].querySelector('.list-item__right-actions').style.width).to.equal('140px');
+        expect(items[0].querySelector('.list-item__center').style.transform).to.contain('-140px');
+      });
+    });
+
+    it('hides the actions', () => {
+      return items[0].openSwipeActions('left')
+        .then(() => items[0].closeSwipeActions())
+        .then(() => {
+          expect(items[0].swipeActionsSide).to.be.null;
+          expect(items[0].querySelector('.list-item__left-actions').style.width).to.equal('0px');
+        });
+    });
+
+    it('closes the other side first', () => {
+      return items[0].openSwipeActions('left')
+        .then(() => items[0].openSwipeActions('right'))
+        .then(() => {
+          expect(items[0].swipeActionsSide).to.equal('right');
+          expect(items[0].querySelector('.list-item__left-actions').style.width).to.equal('0px');
+          expect(items[0].querySelector('.list-item__right-actions').style.width).to.equal('140px');
+        });
+    });
+
+    it('closes the other items of the list', () => {
+      return items[0].openSwipeActions()
+        .then(() => items[1].openSwipeActions())
+        .then(() => new Promise(resolve => setTimeout(resolve, 300)))
+        .then(() => {
+          expect(items[0].swipeActionsSide).to.be.null;
+          expect(items[1].swipeActionsSide).to.equal('right');
+        });
+    });
+
+    it('fires \'swipeaction\' when an action is tapped', () => {
+      const events = [];
+      items[0].addEventListener('swipeaction', event => events.push(event));
+
+      return items[0].openSwipeActions().then(() => {
+        const action = items[0].querySelector('.list-item__right-actions').children[1];
+        action.click();
+        expect(events).to.have.lengthOf(1);
+        expect(events[0].action).to.equal(action);
+        expect(events[0].side).to.equal('right');
+        expect(events[0].fullSwipe).to.be.false;
+      });
+    });
+
+    it('triggers the outermost action with a full swipe', () => {
+      const events = [];
+      items[0].setAttribute('full-swipe', '');
+      items[0].addEventListener('swipeaction', event => events.push(event));
+      items[0]._ignoreSwipeActions({ gesture: { deltaX: -10, deltaY: 0 } });
+      items[0]._setSwipeDistance(300, 'right');
+
+      expect(items[0].querySelector('.list-item__right-actions--full')).to.be.ok;
+
+      return items[0]._onSwipeEnd(true).then(() => {
+        expect(events).to.have.lengthOf(1);
+        expect(events[0].action.textContent).to.equal('Delete');
+        expect(events[0].fullSwipe).to.be.true;
+        expect(items[0].swipeActionsSide).to.be.null;
+      });
+    });
+  });
+
+  describe('accordion', () => {
+    let list, items;
+
+    beforeEach(done => {
+      const item = i => `<ons-list-item expandable animation="none">${i}<div class="expandable-content">Content ${i}</div></ons-list-item>`;
+      list = ons._util.createElement(`<ons-list accordion>${item(0)}${item(1)}${item(2)}</ons-list>`);
+      document.body.appendChild(list);
+      items = list.querySelectorAll('ons-list-item');
+      setImmediate(done);
+    });
+
+    afterEach(() => {
+      list.remove();
+      list = items = null;
+    });
+
+    it('expands only one item at a time', () => {
+      return items[0].showExpansion()
+        .then(() => items[1].showExpansion())
+        .then(() => {
+          expect(items[0].classList.contains('expanded')).to.be.false;
+          expect(items[1].classList.contains('expanded')).to.be.true;
+        });
+    });
+
+    it('fires \'expansion\' on the collapsed items', () => {
+      const events = [];
+      items[0].addEventListener('expansion', () => events.push(items[0].expanded));
+
+      return items[0].showExpansion()
+        .then(() => items[1].showExpansion())
+        .then(() => expect(events).to.deep.equal([false]));
+    });
+
+    it('collapses the items that are still expanding', () => {
+      let resolveContent;
+      items[0].loadExpandableContent = () => new Promise(resolve => resolveContent = resolve);
+
+      const first = items[0].showExpansion();
+      return items[1].showExpansion()
+        .then(() => {
+          expect(items[0]._expanding).to.be.true;
+          resolveContent('<p>Loaded</p>');
+          return first;
+        })
+        .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+        .then(() => {
+          expect(items[0].expanded).to.be.false;
+          expect(items[0].classList.contains('expanded')).to.be.false;
+          expect(items[1].classList.contains('expanded')).to.be.true;
+        });
+    });
+
+    it('does not collapse items without the attribute', () => {
+      list.removeAttribute('accordion');
+      return items[0].showExpansion()
+        .then(() => items[1].showExpansion())
+        .then(() => {
+          expect(items[0].classList.contains('expanded')).to.be.true;
+          expect(items[1].classList.contains('expanded')).to.be.true;
+        });
+    });
+
+    it('does not collapse the items of other lists', () => {
+      const nested = ons._util.createElement('<ons-list accordion><ons-list-item expandable animation="none">Nested<div class="expandable-content">Nested content</div></ons-list-item></ons-list>');
+      items[0].expandableContent.appendChild(nested);
+
+      return new Promise(resolve => setImmediate(resolve))
+        .then(() => items[0].showExpansion())
+        .then(() => nested.querySelector('ons-list-item').showExpansion())
+        .then(() => {
+          expect(items[0].classList.contains('expanded')).to.be.true;
+          expect(nested.querySelector('ons-list-item').classList.contains('expanded')).to.be.true;
+        });
+    });
+  });
+
+  describe('lazy expandable content', () => {
+    beforeEach(done => {
+      listItem = ons._util.createElement('<ons-list-item expandable animation="none">Title</ons-list-item>');
+      document.body.appendChild(listItem);
+      setImmediate(done);
+    });
+
+    afterEach(() => {
+      listItem.remove();
+    });
+
+    it('loads the content with \'loadExpandableContent\' once', () => {
+      const loader = chai.spy(() => Promise.resolve('<p>Loaded</p>'));
+      listItem.loadExpandableContent = loader;
+
+      return listItem.showExpansion()
+        .then(() => {
+          expect(listItem.expandableContent.textContent).to.equal('Loaded');
+          expect(listItem.classList.contains('expanded')).to.be.true;
+          return listItem.hideExpansion();
+        })
+        .then(() => listItem.showExpansion())
+        .then(() => expect(loader).to.have.been.called.once);
+    });
+
+    it('loads the content from \'expandable-template\'', () => {
+      const template = ons._util.createElement('<template id="expandable-template-test"><p>From template</p></template>');
+      document.body.appendChild(template);
+      listItem.setAttribute('expandable-template', 'expandable-template-test');
+
+      return listItem.showExpansion().then(() => {
+        expect(listItem.expandableContent.textContent.trim()).to.equal('From template');
+        template.remove();
+      });
+    });
+
+    it('does not stay expanded when \'loadExpandableContent\' throws', () => {
+      listItem.loadExpandableContent = () => {
+        throw new Error('fail');
+      };
+
+      return listItem.showExpansion().then(
+        () => expect.fail(),
+        () => {
+          expect(listItem.expanded).to.be.false;
+          expect(listItem._expanding).to.be.false;
+        }
+      );
+    });
+
+    it('fires \'expansion\' synchronously while the content is loading', () => {
+      let resolveContent;
+      const events = [];
+      listItem.loadExpandableContent = () => new Promise(resolve => resolveContent = resolve);
+      listItem.addEventListener('expansion', () => events.push(listItem.expanded));
+
+      const promise = listItem.toggleExpansion();
+      expect(events).to.deep.equal([true]);
+      resolveContent('<p>Loaded</p>');
+
+      return promise.then(() => {
+        expect(events).to.deep.equal([true]);
+        expect(listItem.classList.contains('expanded')).to.be.true;
+      });
+    });
+
+    it('fires \'expansion\' again when the content cannot be loaded', () => {
+      const events = [];
+      listItem.loadExpandableContent = () => Promise.reject(new Error('fail'));
+      listItem.addEventListener('expansion', () => events.push(listItem.expanded));
+
+      return listItem.toggleExpansion().then(() => expect(events).to.deep.equal([true, false]));
+    });
+
+    it('does not expand when the content cannot be loaded', () => {
+      listItem.loadExpandableContent = () => Promise.reject(new Error('fail'));
+
+      return listItem.showExpansion().then(
+        () => expect.fail(),
+        () => {
+          expect(listItem.expanded).to.be.false;
+          expect(listItem.classList.contains('expanded')).to.be.false;
+        }
+      );
+    });
+  });
 });
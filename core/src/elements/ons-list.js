@@ -20,6 +20,9 @@ import util from '../ons/util';
 import autoStyle from '../ons/autostyle';
 import ModifierUtil from '../ons/internal/modifier-util';
 import BaseElement from './base/base-element';
+import StickyHeader from '../ons/internal/sticky-header';
+import ListReorder from '../ons/internal/list-reorder';
+import ListSelection from '../ons/internal/list-selection';
 
 const defaultClassName = 'list';
 const scheme = {'': 'list--*'};
@@ -53,6 +56,38 @@ const scheme = {'': 'list--*'};
  *   <ons-list-item>Item</ons-list-item>
  *   <ons-list-item>Item</ons-list-item>
  * </ons-list>
+ *
+ * <ons-list accordion>
+ *   <ons-list-item expandable>
+ *     Fruits
+ *     <div class="expandable-content">
+ *       <ons-list accordion>
+ *         <ons-list-item expandable expandable-template="apples.html">Apples</ons-list-item>
+ *         <ons-list-item expandable expandable-template="pears.html">Pears</ons-list-item>
+ *       </ons-list>
+ *     </div>
+ *   </ons-list-item>
+ *   <ons-list-item expandable>
+ *     Vegetables
+ *     <div class="expandable-content">Carrots, leeks</div>
+ *   </ons-list-item>
+ * </ons-list>
+ *
+ * <ons-list reorderable>
+ *   <ons-list-item>
+ *     <div class="center">Drag the handle</div>
+ *     <div class="right"><ons-icon icon="md-menu" class="list-item__handle"></ons-icon></div>
+ *   </ons-list-item>
+ *   <ons-list-item>Hold to drag</ons-list-item>
+ * </ons-list>
+ *
+ * <ons-toolbar id="mail-toolbar">
+ *   <div class="center"><span class="toolbar__selection-count"></span> selected</div>
+ * </ons-toolbar>
+ * <ons-list selectable="multiple" selection-toolbar="mail-toolbar">
+ *   <ons-list-item>Hold to select</ons-list-item>
+ *   <ons-list-item>Then tap to select more</ons-list-item>
+ * </ons-list>
  */
 export default class ListElement extends BaseElement {
 
@@ -64,6 +99,100 @@ export default class ListElement extends BaseElement {
    *   [ja]リストの表現を指定します。[/ja]
    */
 
+  /**
+   * @attribute accordion
+   * @type {Boolean}
+   * @description
+   *   [en]Only one expandable `<ons-list-item>` child can be expanded at a time. Nested lists have their own accordion.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute reorderable
+   * @type {Boolean}
+   * @description
+   *   [en]
+   *     Lets the user move the `<ons-list-item>` children by dragging them. Items that contain a `.list-item__handle` element are dragged from the handle, other items are held first.
+   *
+   *     The page content scrolls when the item is dragged near its edges.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute reorder-mode
+   * @type {String}
+   * @default dom
+   * @description
+   *   [en]
+   *     With `"dom"` the dropped item is moved in the DOM after the `reorder` event. With `"event"` the list only fires the event and leaves the DOM untouched.
+   *
+   *     Lists rendered from data by a framework, e.g. `<v-ons-list reorderable reorder-mode="event" @reorder="move">` with a `v-for` in Vue, must use `"event"` and move the data in the handler.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute selectable
+   * @type {String}
+   * @description
+   *   [en]
+   *     Makes the `<ons-list-item>` children selectable. With `"single"` tapping an item selects it and a radio button shows the selected item.
+   *
+   *     With `"multiple"` holding an item enters the selection mode, where taps toggle the items and checkboxes are displayed. The selection mode ends when no item is selected. On a `reorderable` list holding an item lifts it for reordering instead.
+   *
+   *     Items can be focused and toggled with Space or Enter. Escape leaves the selection mode.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute selection-toolbar
+   * @type {String}
+   * @description
+   *   [en]ID of an `<ons-toolbar>` that gets the `selection` modifier during the selection mode. Its `.toolbar__selection-count` elements show the number of selected items.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @event selectionchange
+   * @description
+   *   [en]Fired when items are selected or unselected, or when the selection mode changes.[/en]
+   *   [ja][/ja]
+   * @param {Object} event
+   *   [en]Event object.[/en]
+   *   [ja]イベントオブジェクト。[/ja]
+   * @param {Array} event.selectedItems
+   *   [en]Selected `<ons-list-item>` elements.[/en]
+   *   [ja][/ja]
+   * @param {Boolean} event.selectionMode
+   *   [en]Whether the list is in selection mode.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @event reorder
+   * @description
+   *   [en]
+   *     Fired when an item is dropped at a new position. The item is moved in the DOM afterwards unless `event.preventDefault()` is called or `reorder-mode` is `"event"`.
+   *
+   *     Frameworks that render the list from data should move the data instead and keep the DOM untouched.
+   *   [/en]
+   *   [ja][/ja]
+   * @param {Object} event
+   *   [en]Event object.[/en]
+   *   [ja]イベントオブジェクト。[/ja]
+   * @param {Number} event.from
+   *   [en]Previous index of the item among the `<ons-list-item>` children.[/en]
+   *   [ja][/ja]
+   * @param {Number} event.to
+   *   [en]New index of the item.[/en]
+   *   [ja][/ja]
+   * @param {HTMLElement} event.item
+   *   [en]Moved `<ons-list-item>` element.[/en]
+   *   [ja][/ja]
+   */
+
   constructor() {
     super();
 
@@ -76,8 +205,164 @@ export default class ListElement extends BaseElement {
     ModifierUtil.initModifier(this, scheme);
   }
 
+  connectedCallback() {
+    this._updateStickyHeaders();
+    this._updateReorder();
+    this._updateSelection();
+  }
+
+  disconnectedCallback() {
+    if (this._stickyHeader) {
+      this._stickyHeader.destroy();
+      this._stickyHeader = null;
+    }
+
+    this._updateReorder();
+    this._updateSelection();
+  }
+
+  _updateReorder() {
+    const reorderable = util.isAttached(this) && this.hasAttribute('reorderable');
+
+    if (reorderable && !this._reorder) {
+      this._reorder = new ListReorder({
+        listElement: this,
+        onReorder: (from, to, item) => this._onReorder(from, to, item)
+      });
+    } else if (!reorderable && this._reorder) {
+      this._reorder.destroy();
+      this._reorder = null;
+    }
+  }
+
+  _updateSelection() {
+    const selectable = util.isAttached(this) && this.hasAttribute('selectable');
+
+    if (selectable && !this._selection) {
+      this._selection = new ListSelection({
+        listElement: this,
+        type: this.getAttribute('selectable'),
+        onChange: () => this._onSelectionChange()
+      });
+    } else if (selectable) {
+      this._selection.type = this.getAttribute('selectable');
+    } else if (this._selection) {
+      this._selection.destroy();
+      this._selection = null;
+    }
+
+    this._updateSelectionToolbar();
+  }
+
+  _onSelectionChange() {
+    this._updateSelectionToolbar();
+    util.triggerElementEvent(this, 'selectionchange', {
+      selectedItems: this.selectedItems,
+      selectionMode: this.selectionMode
+    });
+  }
+
+  _updateSelectionToolbar() {
+    const toolbar = this.hasAttribute('selection-toolbar') && document.getElementById(this.getAttribute('selection-toolbar'));
+    if (!toolbar) {
+      return;
+    }
+
+    const count = this.selectedItems.length;
+    util[this.selectionMode && this.getAttribute('selectable') !== 'single' ? 'addModifier' : 'removeModifier'](toolbar, 'selection');
+    util.arrayFrom(toolbar.querySelectorAll('.toolbar__selection-count')).forEach(el => el.textContent = count);
+  }
+
+  /**
+   * @property selectedItems
+   * @type {Array}
+   * @description
+   *   [en]Selected `<ons-list-item>` elements when the list is `selectable`. Can be set to change the selection.[/en]
+   *   [ja][/ja]
+   */
+  get selectedItems() {
+    return this._selection ? this._selection.getSelectedItems() : [];
+  }
+
+  set selectedItems(items) {
+    if (!this._selection) {
+      util.throw('The list must be "selectable" and attached');
+    }
+
+    this._selection.setSelectedItems(util.arrayFrom(items));
+  }
+
+  /**
+   * @property selectionMode
+   * @type {Boolean}
+   * @description
+   *   [en]Whether taps select items. Always `true` for `selectable="single"`. Setting it to `false` clears the selection.[/en]
+   *   [ja][/ja]
+   */
+  get selectionMode() {
+    return !!this._selection && this._selection.selecting;
+  }
+
+  set selectionMode(value) {
+    this._selection && (this._selection.selecting = value);
+  }
+
+  _onReorder(from, to, item) {
+    if (from === to) {
+      return;
+    }
+
+    const event = util.triggerElementEvent(this, 'reorder', { from, to, item });
+
+    if (!event.defaultPrevented && this.getAttribute('reorder-mode') !== 'event') {
+      const target = util.arrayFrom(this.children).filter(el => el.tagName === 'ONS-LIST-ITEM')[to];
+      this.insertBefore(item, to > from ? target.nextSibling : target);
+    }
+  }
+
+  _getStickyHeaders() {
+    return util.arrayFrom(this.children).filter(element => element.tagName === 'ONS-LIST-HEADER' && element.hasAttribute('sticky'));
+  }
+
+  _findStickyHeaders(top) {
+    let key = null, nextTop = null;
+
+    this._getStickyHeaders().some(header => {
+      const headerTop = header.getBoundingClientRect().top;
+      if (headerTop < top) {
+        key = header;
+        return false;
+      }
+
+      nextTop = headerTop;
+      return true;
+    });
+
+    return { key, nextTop };
+  }
+
+  /**
+   * Called when sticky headers are added or removed.
+   */
+  _updateStickyHeaders() {
+    const hasHeaders = util.isAttached(this) && this._getStickyHeaders().length > 0;
+
+    if (hasHeaders && !this._stickyHeader) {
+      this._stickyHeader = new StickyHeader({
+        listElement: this,
+        findHeaders: top => this._findStickyHeaders(top),
+        createHeader: header => header.cloneNode(true)
+      });
+    } else if (!hasHeaders && this._stickyHeader) {
+      this._stickyHeader.destroy();
+      this._stickyHeader = null;
+    }
+
+    this._stickyHeader && this._stickyHeader.update();
+  }
+
   static get observedAttributes() {
-    return ['modifier', 'class'];
+    return ['modifier', 'class', 'reorderable', 'selectable', 'selection-toolbar'];
   }
 
   attributeChangedCallback(name, last, current) {
@@ -88,8 +373,19 @@ export default class ListElement extends BaseElement {
       case 'modifier':
         ModifierUtil.onModifierChanged(last, current, this, scheme);
         break;
+      case 'reorderable':
+        this._updateReorder();
+        break;
+      case 'selectable':
+      case 'selection-toolbar':
+        this._updateSelection();
+        break;
     }
   }
+
+  static get events() {
+    return ['reorder', 'selectionchange'];
+  }
 }
 
 onsElements.List = ListElement;
@@ -45,6 +45,62 @@ describe('ons-list', () => {
     });
   });
 
+  describe('sticky headers', () => {
+    let page, list, content;
+
+    beforeEach(() => {
+      const section = name => `<ons-list-header sticky>${name}</ons-list-header>` + '<ons-list-item>Item</ons-list-item>'.repeat(20);
+
+      page = ons._util.createElement(`
+        <ons-page>
+          <ons-list>${['A', 'B', 'C'].map(section).join('')}</ons-list>
+        </ons-page>
+      `);
+      document.body.appendChild(page);
+
+      list = page.querySelector('ons-list');
+      content = page.querySelector('.page__content');
+    });
+
+    afterEach(() => {
+      page.remove();
+      page = list = content = null;
+    });
+
+    it('pins the header of the current section', () => {
+      const headers = list.querySelectorAll('ons-list-header');
+      content.scrollTop = headers[1].offsetTop + 10;
+      list._stickyHeader.update();
+
+      const overlay = page.querySelector('.list__sticky-header');
+      expect(list._stickyHeader.key).to.equal(headers[1]);
+      expect(overlay.style.display).to.equal('');
+      expect(overlay.textContent).to.equal('B');
+    });
+
+    it('does not pin headers that are not scrolled past', () => {
+      list._stickyHeader.update();
+      expect(list._stickyHeader.key).to.be.null;
+      expect(page.querySelector('.list__sticky-header').style.display).to.equal('none');
+    });
+
+    it('is pushed out by the next header', () => {
+      const headers = list.querySelectorAll('ons-list-header');
+      content.scrollTop = headers[1].offsetTop - 10;
+      list._stickyHeader.update();
+
+      const overlay = page.querySelector('.list__sticky-header');
+      expect(list._stickyHeader.key).to.equal(headers[0]);
+      expect(overlay.style.transform).to.contain('translate3d');
+    });
+
+    it('is removed with the last sticky header', () => {
+      list.querySelectorAll('ons-list-header').forEach(header => header.removeAttribute('sticky'));
+      expect(list._stickyHeader).to.be.null;
+      expect(page.querySelector('.list__sticky-header')).to.be.null;
+    });
+  });
+
   describe('autoStyling', () => {
     it('adds \'material\' modifier on Android', () => {
       ons.platform.select('android');
@@ -53,4 +109,223 @@ describe('ons-list', () => {
       ons.platform.select('');
     });
   });
+
+  describe('reorderable', () => {
+    let list, items;
+
+    const texts = () => ons._util.arrayFrom(list.querySelectorAll('ons-list-item')).map(item => item.textContent.trim());
+
+    beforeEach(() => {
+      list = ons._util.createElement(`
+        <ons-list reorderable>
+          <ons-list-header>Header</ons-list-header>
+          ${[0, 1, 2, 3].map(i => `<ons-list-item style="height: 40px">${i}</ons-list-item>`).join('')}
+        </ons-list>
+      `);
+      document.body.appendChild(list);
+      items = list.querySelectorAll('ons-list-item');
+    });
+
+    afterEach(() => {
+      list.remove();
+      list = items = null;
+    });
+
+    it('is enabled by the attribute', () => {
+      expect(list._reorder).to.be.ok;
+      list.removeAttribute('reorderable');
+      expect(list._reorder).to.be.null;
+    });
+
+    it('moves the siblings out of the way', () => {
+      const reorder = list._reorder;
+      reorder._lift(items[0], 100);
+      reorder._state.clientY = 190;
+      reorder._move();
+
+      expect(reorder._state.to).to.equal(2);
+      expect(items[1].style.transform).to.contain('-40px');
+      expect(items[2].style.transform).to.contain('-40px');
+      expect(items[3].style.transform).to.equal('');
+    });
+
+    it('moves the item and fires \'reorder\'', () => {
+      const events = [];
+      list.addEventListener('reorder', event => events.push(event));
+      list._onReorder(3, 1, items[3]);
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].from).to.equal(3);
+      expect(events[0].to).to.equal(1);
+      expect(texts()).to.deep.equal(['0', '3', '1', '2']);
+
+      list._onReorder(0, 3, items[0]);
+      expect(texts()).to.deep.equal(['3', '1', '2', '0']);
+    });
+
+    it('does not modify the DOM when the event is canceled', () => {
+      list.addEventListener('reorder', event => event.preventDefault());
+      list._onReorder(0, 2, items[0]);
+      expect(texts()).to.deep.equal(['0', '1', '2', '3']);
+    });
+
+    it('does not modify the DOM in \'event\' reorder mode', () => {
+      const events = [];
+      list.setAttribute('reorder-mode', 'event');
+      list.addEventListener('reorder', event => events.push(event));
+      list._onReorder(0, 2, items[0]);
+      expect(events).to.have.lengthOf(1);
+      expect(texts()).to.deep.equal(['0', '1', '2', '3']);
+    });
+
+    it('reorders after dropping the item', () => {
+      const reorder = list._reorder;
+      const promise = new Promise(resolve => list.addEventListener('reorder', resolve));
+      reorder._lift(items[2], 100);
+      reorder._state.clientY = 40;
+      reorder._move();
+      reorder._drop();
+
+      return promise.then(event => {
+        expect(event.from).to.equal(2);
+        expect(event.to).to.equal(0);
+        expect(texts()).to.deep.equal(['2', '0', '1', '3']);
+        expect(items[2].style.transform).to.equal('');
+      });
+    });
+  });
+
+  describe('selectable', () => {
+    let list, items, toolbar;
+
+    const hold = item => list._selection._onHold({ target: item, gesture: {} });
+
+    beforeEach(done => {
+      toolbar = ons._util.createElement('<ons-toolbar id="selection-toolbar"><div class="center"><span class="toolbar__selection-count"></span></div></ons-toolbar>');
+      list = ons._util.createElement(`
+        <ons-list selectable="multiple" selection-toolbar="selection-toolbar">
+          ${[0, 1, 2].map(i => `<ons-list-item>${i}</ons-list-item>`).join('')}
+        </ons-list>
+      `);
+      document.body.appendChild(toolbar);
+      document.body.appendChild(list);
+      items = list.querySelectorAll('ons-list-item');
+      setImmediate(done);
+    });
+
+    afterEach(() => {
+      list.remove();
+      toolbar.remove();
+      list = items = toolbar = null;
+    });
+
+    it('makes the items accessible options', () => {
+      expect(list.getAttribute('role')).to.equal('listbox');
+      expect(list.getAttribute('aria-multiselectable')).to.equal('true');
+      expect(items[0].getAttribute('role')).to.equal('option');
+      expect(items[0].getAttribute('aria-selected')).to.equal('false');
+      expect(items[0].getAttribute('tabindex')).to.equal('0');
+    });
+
+    it('adds checkboxes to the items', () => {
+      expect(items[0].querySelector('.list-item__selection .checkbox__input')).to.be.ok;
+    });
+
+    it('enters the selection mode when an item is held', () => {
+      expect(list.selectionMode).to.be.false;
+      hold(items[1]);
+      expect(list.selectionMode).to.be.true;
+      expect(list.classList.contains('list--selecting')).to.be.true;
+      expect(list.selectedItems).to.deep.equal([items[1]]);
+      expect(items[1].getAttribute('aria-selected')).to.equal('true');
+      expect(items[1].querySelector('input').checked).to.be.true;
+    });
+
+    it('toggles items with taps in selection mode', () => {
+      items[0].click();
+      expect(list.selectedItems).to.have.lengthOf(0);
+
+      hold(items[0]);
+      list._selection._onTouch();
+      items[2].click();
+      expect(list.selectedItems).to.deep.equal([items[0], items[2]]);
+
+      items[0].click();
+      items[2].click();
+      expect(list.selectionMode).to.be.false;
+    });
+
+    it('fires \'selectionchange\'', () => {
+      const events = [];
+      list.addEventListener('selectionchange', event => events.push(event));
+      hold(items[0]);
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].selectedItems).to.deep.equal([items[0]]);
+      expect(events[0].selectionMode).to.be.true;
+    });
+
+    it('updates the selection toolbar', () => {
+      list.selectedItems = [items[0], items[1]];
+      expect(toolbar.classList.contains('toolbar--selection')).to.be.true;
+      expect(toolbar.querySelector('.toolbar__selection-count').textContent).to.equal('2');
+
+      list.selectionMode = false;
+      expect(list.selectedItems).to.have.lengthOf(0);
+      expect(toolbar.classList.contains('toolbar--selection')).to.be.false;
+    });
+
+    it('supports the keyboard', () => {
+      const key = (item, key) => item.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+      key(items[0], ' ');
+      expect(list.selectedItems).to.deep.equal([items[0]]);
+      key(items[0], 'ArrowDown');
+      expect(document.activeElement).to.equal(items[1]);
+      key(items[1], 'Escape');
+      expect(list.selectionMode).to.be.false;
+    });
+
+    it('selects a single item with \'single\'', () => {
+      list.setAttribute('selectable', 'single');
+      expect(list.selectionMode).to.be.true;
+      expect(items[0].querySelector('.list-item__selection .radio-button__input')).to.be.ok;
+
+      items[0].click();
+      items[1].click();
+      expect(list.selectedItems).to.deep.equal([items[1]]);
+      expect(list.getAttribute('aria-multiselectable')).to.equal('false');
+    });
+
+    it('cleans the items when it is disabled', () => {
+      list.removeAttribute('selectable');
+      expect(items[0].hasAttribute('aria-selected')).to.be.false;
+      expect(items[0].hasAttribute('tabindex')).to.be.false;
+      expect(items[0].hasAttribute('role')).to.be.false;
+      expect(items[0].querySelector('.list-item__selection')).to.be.null;
+    });
+
+    it('keeps the attributes set by the app', () => {
+      list.removeAttribute('selectable');
+      items[0].setAttribute('tabindex', '-1');
+      items[0].setAttribute('role', 'link');
+      list.setAttribute('selectable', 'multiple');
+      expect(items[0].getAttribute('role')).to.equal('option');
+
+      list.removeAttribute('selectable');
+      expect(items[0].getAttribute('tabindex')).to.equal('-1');
+      expect(items[0].getAttribute('role')).to.equal('link');
+    });
+
+    it('lets the reorder hold win on a reorderable list', () => {
+      list.setAttribute('reorderable', '');
+      list._reorder._touched = { item: items[1], onHandle: false };
+      list._reorder._onHold({ gesture: { center: { clientY: 100 } } });
+      hold(items[1]);
+
+      expect(list.selectionMode).to.be.false;
+      expect(list.selectedItems).to.have.lengthOf(0);
+      list.removeAttribute('reorderable');
+    });
+  });
 });
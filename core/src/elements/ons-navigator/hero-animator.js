@@ -0,0 +1,234 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import IOSSlideNavigatorAnimator from './ios-slide-animator';
+import MDFadeNavigatorAnimator from './md-fade-animator';
+import util from '../../ons/util';
+import animit from '../../ons/animit';
+import platform from '../../ons/platform';
+
+const lerp = (x0, x1, t) => (1 - t) * x0 + t * x1;
+
+const morphProps = ['left', 'top', 'width', 'height'];
+
+/**
+ * Shared element transition. Elements with the same `shared-id` attribute in the
+ * leaving and entering pages are morphed into each other, while the rest of the
+ * pages use the platform default animation.
+ */
+export default class HeroNavigatorAnimator extends IOSSlideNavigatorAnimator {
+
+  constructor(options = {}) {
+    super(options);
+
+    this._fallback = platform.isAndroid() ? new MDFadeNavigatorAnimator(options) : null;
+    this._ghosts = null;
+  }
+
+  /**
+   * @param {Element} fromPage
+   * @param {Element} toPage
+   * @return {Array} Pairs of visible elements that share the same `shared-id`.
+   */
+  _findSharedElements(fromPage, toPage) {
+    const isVisible = el => el.offsetWidth > 0 && el.offsetHeight > 0;
+    const targets = util.arrayFrom(toPage.querySelectorAll('[shared-id]')).filter(isVisible);
+
+    return util.arrayFrom(fromPage.querySelectorAll('[shared-id]'))
+      .filter(isVisible)
+      .map(from => {
+        const id = from.getAttribute('shared-id');
+        const to = targets.filter(el => el.getAttribute('shared-id') === id)[0];
+        return to ? { from, to } : null;
+      })
+      .filter(pair => pair);
+  }
+
+  /**
+   * Creates a ghost for every shared element pair. The ghost is a copy of the
+   * destination element placed over the source element. Rects must be measured
+   * before any page is transformed.
+   *
+   * @param {Element} fromPage
+   * @param {Element} toPage
+   * @return {Array}
+   */
+  _createGhosts(fromPage, toPage) {
+    const container = toPage.parentNode;
+    const base = container.getBoundingClientRect();
+    const measure = el => {
+      const rect = el.getBoundingClientRect();
+      return {
+        left: rect.left - base.left,
+        top: rect.top - base.top,
+        width: rect.width,
+        height: rect.height,
+        borderRadius: window.getComputedStyle(el).borderRadius
+      };
+    };
+
+    return this._findSharedElements(fromPage, toPage).map(({ from, to }) => {
+      const ghost = to.cloneNode(true);
+      ghost.removeAttribute('id');
+      ghost.removeAttribute('shared-id');
+
+      const item = {
+        ghost, from, to,
+        start: measure(from),
+        end: measure(to),
+        visibility: [from.style.visibility, to.style.visibility]
+      };
+
+      util.extend(ghost.style, {
+        position: 'absolute',
+        margin: '0',
+        boxSizing: 'border-box',
+        pointerEvents: 'none',
+        transform: 'none',
+        zIndex: 10001
+      });
+      this._applyFrame(item, 0);
+
+      from.style.visibility = to.style.visibility = 'hidden';
+      container.appendChild(ghost);
+
+      return item;
+    });
+  }
+
+  _getFrame({ start, end }, ratio) {
+    const frame = {};
+    morphProps.forEach(prop => frame[prop] = lerp(start[prop], end[prop], ratio) + 'px');
+
+    // Only simple pixel radiuses can be interpolated
+    const radius = [start.borderRadius, end.borderRadius];
+    frame.borderRadius = radius.every(r => /^[\d.]+px$/.test(r))
+      ? lerp(parseFloat(radius[0]), parseFloat(radius[1]), ratio) + 'px'
+      : radius[ratio < 1 ? 0 : 1];
+
+    return frame;
+  }
+
+  _applyFrame(item, ratio) {
+    util.extend(item.ghost.style, this._getFrame(item, ratio));
+  }
+
+  /**
+   * @param {Number} ratio 0 shows the ghosts over the source elements and 1 over the destination.
+   * @param {Object} options Animation options.
+   * @param {Function} callback
+   */
+  _animateGhosts(ratio, options, callback) {
+    const ghosts = this._ghosts || [];
+    this._ghosts = null;
+
+    if (ghosts.length === 0) {
+      return callback();
+    }
+
+    animit.runAll(
+      ...ghosts.map((item, index) =>
+        animit(item.ghost)
+          .queue(this._getFrame(item, ratio), util.extend({}, options))
+          .queue(done => {
+            this._removeGhost(item);
+            index === ghosts.length - 1 && callback();
+            done();
+          })
+      )
+    );
+  }
+
+  _removeGhost({ ghost, from, to, visibility }) {
+    ghost.remove();
+    from.style.visibility = visibility[0];
+    to.style.visibility = visibility[1];
+  }
+
+  /**
+   * Runs the page animation next to the shared element morph and waits for both.
+   */
+  _run(method, enterPage, leavePage, callback) {
+    let pending = 2;
+    const done = () => --pending === 0 && callback();
+
+    this._ghosts = this._createGhosts(leavePage, enterPage);
+    this._animateGhosts(1, this.def, done);
+
+    this._fallback
+      ? this._fallback[method](enterPage, leavePage, done)
+      : super[method](enterPage, leavePage, done);
+  }
+
+  /**
+   * @param {Object} enterPage
+   * @param {Object} leavePage
+   * @param {Function} callback
+   */
+  push(enterPage, leavePage, callback) {
+    this._run('push', enterPage, leavePage, callback);
+  }
+
+  /**
+   * @param {Object} enterPage
+   * @param {Object} leavePage
+   * @param {Function} callback
+   */
+  pop(enterPage, leavePage, callback) {
+    if (this.isSwiping) {
+      return super.pop(enterPage, leavePage, callback);
+    }
+
+    this._run('pop', enterPage, leavePage, callback);
+  }
+
+  translate(distance, maxWidth, enterPage, leavePage) {
+    if (this.isDragStart) {
+      enterPage.style.display = '';
+      this._ghosts = this._createGhosts(leavePage, enterPage);
+    }
+
+    super.translate(distance, maxWidth, enterPage, leavePage);
+
+    const ratio = Math.max(0, Math.min(1, distance / maxWidth));
+    (this._ghosts || []).forEach(item => this._applyFrame(item, ratio));
+  }
+
+  restore(enterPage, leavePage, callback) {
+    if (this.isDragStart) {
+      return;
+    }
+
+    let pending = 2;
+    const done = () => --pending === 0 && callback && callback();
+
+    this._animateGhosts(0, this.optRestore, done);
+    super.restore(enterPage, leavePage, done);
+  }
+
+  popSwipe(enterPage, leavePage, callback) {
+    if (this.isDragStart) {
+      return;
+    }
+
+    let pending = 2;
+    const done = () => --pending === 0 && callback && callback();
+
+    this._animateGhosts(1, this.optSwipe, done);
+    super.popSwipe(enterPage, leavePage, done);
+  }
+}
@@ -19,6 +19,7 @@ import onsElements from '../../ons/elements';
 import util from '../../ons/util';
 import internal from '../../ons/internal';
 import SwipeReveal from '../../ons/internal/swipe-reveal';
+import PageCache from '../../ons/internal/page-cache';
 import AnimatorFactory from '../../ons/internal/animator-factory';
 import NavigatorAnimator from './animator';
 import IOSSlideNavigatorAnimator from './ios-slide-animator';
@@ -28,10 +29,16 @@ import MDSlideNavigatorAnimator from './md-slide-animator';
 import MDLiftNavigatorAnimator from './md-lift-animator';
 import MDFadeNavigatorAnimator from './md-fade-animator';
 import NoneNavigatorAnimator from './none-animator';
+import HeroNavigatorAnimator from './hero-animator';
+import MDSwipeNavigatorAnimator from './md-swipe-animator';
+import NavigatorRouter from './router';
 import platform from '../../ons/platform';
+import autoStyle from '../../ons/autostyle';
 import contentReady from '../../ons/content-ready';
 import BaseElement from '../base/base-element';
 import deviceBackButtonDispatcher from '../../ons/internal/device-back-button-dispatcher';
+import navigationGuard from '../../ons/navigation-guard';
+import pageResolver from '../../ons/page-resolver';
 import {PageLoader, defaultPageLoader, instantPageLoader} from '../../ons/page-loader';
 
 const _animatorDict = {
@@ -45,6 +52,9 @@ const _animatorDict = {
   'lift-md': MDLiftNavigatorAnimator,
   'fade-ios': IOSFadeNavigatorAnimator,
   'fade-md': MDFadeNavigatorAnimator,
+  'hero': HeroNavigatorAnimator,
+  'swipe-ios': IOSSlideNavigatorAnimator,
+  'swipe-md': MDSwipeNavigatorAnimator,
   'none': NoneNavigatorAnimator
 };
 
@@ -58,6 +68,18 @@ const rewritables = {
   }
 };
 
+const defaultKeepAliveLimit = 10;
+
+// Internal flags are not exposed in `page.pushedOptions`
+const publicOptions = options => {
+  const result = { ...options };
+  delete result._skipRouter;
+  return result;
+};
+
+// Navigations that are not started by a method call have no caller to reject to
+const reportNavigationError = error => navigationGuard.isCanceled(error) || util.warn(error);
+
 const verifyPageElement = el => (el.nodeName !== 'ONS-PAGE') && util.throw( 'Only page elements can be children of navigator');
 
 /**
@@ -126,7 +148,15 @@ export default class NavigatorElement extends BaseElement {
    * @attribute swipeable
    * @type {Boolean}
    * @description
-   *   [en]Enable iOS "swipe to pop" feature.[/en]
+   *   [en]Enable "swipe to pop" feature. On Android the Material predictive back animation is used by default.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute swipe-animation
+   * @type {String}
+   * @description
+   *   [en]Animation used by the "swipe to pop" feature. Available values are `"swipe-ios"` and `"swipe-md"`. By default `"swipe-md"` is used on Android when auto styling is enabled, otherwise the animation of the top page is used.[/en]
    *   [ja][/ja]
    */
 
@@ -154,9 +184,11 @@ export default class NavigatorElement extends BaseElement {
    * @default default
    * @description
    *   [en]
-   *     Animation name. Available animations are `"slide"`, `"lift"`, `"fade"` and `"none"`.
+   *     Animation name. Available animations are `"slide"`, `"lift"`, `"fade"`, `"hero"` and `"none"`.
    *
    *     These are platform based animations. For fixed animations, add `"-ios"` or `"-md"` suffix to the animation name. E.g. `"lift-ios"`, `"lift-md"`. Defaults values are `"slide-ios"` and `"fade-md"` depending on the platform.
+   *
+   *     `"hero"` morphs the position, size and border radius of elements that have the same `shared-id` attribute in both pages and uses the platform default animation for the rest.
    *   [/en]
    *   [ja][/ja]
    */
@@ -169,6 +201,38 @@ export default class NavigatorElement extends BaseElement {
    *  [ja]アニメーション時のduration, timing, delayをオブジェクトリテラルで指定します。e.g. `{duration: 0.2, delay: 1, timing: 'ease-in'}`[/ja]
    */
 
+  /**
+   * @attribute router
+   * @type {String}
+   * @description
+   *   [en]
+   *     Synchronizes the page stack with the browser history and URL. Available values are `"history"` (default when the attribute is empty) and `"hash"`. History mode falls back to hash mode when the History API is not available or the app runs from `file://`.
+   *
+   *     Paths are mapped to pages with the `routes` property. Pages pushed with `pushPage('/users/42')` receive the route params in their `data`.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute router-base
+   * @type {String}
+   * @description
+   *   [en]Base path of the app in `"history"` router mode. E.g. `"/app"`.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute keep-alive
+   * @type {Number}
+   * @description
+   *   [en]
+   *     Keeps popped pages (DOM and scroll position) and reuses them the next time the same page is pushed, instead of loading the template again. The optional value is the maximum number of kept pages (10 by default). The least recently popped pages are destroyed first.
+   *
+   *     Reused pages fire `activate` instead of `init` and kept pages fire `deactivate` instead of `destroy`. Pages pushed with `pageHTML` or loaded by a custom `pageLoader` are never kept.
+   *   [/en]
+   *   [ja][/ja]
+   */
+
   /**
    * @event prepush
    * @description
@@ -220,6 +284,23 @@ export default class NavigatorElement extends BaseElement {
    *   [ja]以前のpageオブジェクト。[/ja]
    */
 
+  /**
+   * @event loaderror
+   * @description
+   *   [en]Fired when a page cannot be loaded, e.g. after a network error or a timeout. The navigator is unlocked and the transition rejects with the same error, so apps can push an offline page.[/en]
+   *   [ja][/ja]
+   * @param {Object} event [en]Event object.[/en]
+   * @param {Object} event.navigator
+   *   [en]Component object.[/en]
+   *   [ja]コンポーネントのオブジェクト。[/ja]
+   * @param {*} event.page
+   *   [en]Page that failed to load.[/en]
+   *   [ja][/ja]
+   * @param {Error} event.error
+   *   [en]Error object. Its `reason` property is `"status"`, `"network"` or `"timeout"` for template requests.[/en]
+   *   [ja][/ja]
+   */
+
   /**
    * @event postpop
    * @description
@@ -245,9 +326,19 @@ export default class NavigatorElement extends BaseElement {
     super();
 
     this._isRunning = false;
+    this._transition = null;
     this._initialized = false;
     this._pageLoader = defaultPageLoader;
     this._pageMap = new WeakMap();
+    this._scrollMap = new WeakMap();
+    this._loadControllers = new Set();
+    this._pageCache = new PageCache({
+      limit: this._getKeepAliveLimit(),
+      onEvict: pageElement => {
+        this._pageMap.delete(pageElement);
+        this._pageLoader.unload(pageElement);
+      }
+    });
 
     this._updateAnimatorFactory();
   }
@@ -292,7 +383,7 @@ export default class NavigatorElement extends BaseElement {
   connectedCallback() {
     this.onDeviceBackButton = this._onDeviceBackButton.bind(this);
 
-    if (!platform.isAndroid() || this.getAttribute('swipeable') === 'force') {
+    if (!platform.isAndroid() || this.getAttribute('swipeable') === 'force' || this._getSwipeAnimation()) {
       let swipeAnimator;
 
       this._swipe = new SwipeReveal({
@@ -300,8 +391,16 @@ export default class NavigatorElement extends BaseElement {
         getThreshold: () => Math.max(0.2, parseFloat(this.getAttribute('swipe-threshold')) || 0),
 
         swipeMax: () => {
-          this._onSwipe && this._onSwipe(1, { duration: swipeAnimator.durationSwipe, timing: swipeAnimator.timingSwipe });
-          this[this.swipeMax ? 'swipeMax' : 'popPage']({ animator: swipeAnimator });
+          const animator = swipeAnimator;
+          this._onSwipe && this._onSwipe(1, { duration: animator.durationSwipe, timing: animator.timingSwipe });
+          Promise.resolve(this[this.swipeMax ? 'swipeMax' : 'popPage']({ animator })).catch(error => {
+            if (!navigationGuard.isCanceled(error)) {
+              return reportNavigationError(error);
+            }
+            // Canceled by a guard, slide the top page back into place
+            this._onSwipe && this._onSwipe(0, { duration: animator.durationRestore, timing: animator.timingSwipe });
+            animator.restore(this.topPage.previousElementSibling, this.topPage);
+          });
           swipeAnimator = null;
         },
         swipeMid: (distance, width) => {
@@ -327,10 +426,7 @@ export default class NavigatorElement extends BaseElement {
               if (!isBB(event.target) && !util.findParent(event.target, isBB, p => /ons-page/i.test(p.tagName))) {
 
                 // Animator is swipeable
-                const animation = (this.topPage.pushedOptions || {}).animation || this.animatorFactory._animation;
-                const Animator = _animatorDict[animation] instanceof Function
-                  ? _animatorDict[animation].call()
-                  : _animatorDict[animation];
+                const Animator = this._getSwipeAnimatorClass();
 
                 if (typeof Animator !== 'undefined' && Animator.swipeable) {
                   swipeAnimator = new Animator(); // Prepare for the swipe
@@ -347,6 +443,8 @@ export default class NavigatorElement extends BaseElement {
       this.attributeChangedCallback('swipeable');
     }
 
+    this._updateRouter();
+
     if (this._initialized) {
       return;
     }
@@ -355,6 +453,9 @@ export default class NavigatorElement extends BaseElement {
 
     const deferred = util.defer();
     this.loaded = deferred.promise;
+    this.loaded
+      .then(() => this._router && this._router.restore())
+      .catch(reportNavigationError);
 
     rewritables.ready(this, () => {
       const show = !util.hasAnyComponentAsParent(this);
@@ -388,6 +489,17 @@ export default class NavigatorElement extends BaseElement {
     });
   }
 
+  _getSwipeAnimation() {
+    return this.getAttribute('swipe-animation')
+      || (this.getAttribute('swipeable') !== 'force' && autoStyle.getPlatform(this) === 'android' ? 'swipe-md' : null);
+  }
+
+  _getSwipeAnimatorClass() {
+    const animation = this._getSwipeAnimation() || (this.topPage.pushedOptions || {}).animation || this.animatorFactory._animation;
+    const Animator = _animatorDict[animation];
+    return Animator instanceof Function && !(Animator.prototype instanceof NavigatorAnimator) ? Animator.call() : Animator;
+  }
+
   _updateAnimatorFactory() {
     this._animatorFactory = new AnimatorFactory({
       animators: _animatorDict,
@@ -397,16 +509,33 @@ export default class NavigatorElement extends BaseElement {
     });
   }
 
+  _updateRouter() {
+    this._router && this._router.detach();
+    this._router = null;
+
+    if (this.hasAttribute('router') && this.getAttribute('router') !== 'false') {
+      this._router = new NavigatorRouter(this);
+      this._router.attach();
+    }
+  }
+
   disconnectedCallback() {
+    this._abortResolve();
+    this._loadControllers.forEach(controller => controller.abort());
+    this._loadControllers.clear();
+
     this._backButtonHandler.destroy();
     this._backButtonHandler = null;
 
     this._swipe && this._swipe.dispose();
     this._swipe = null;
+
+    this._router && this._router.detach();
+    this._router = null;
   }
 
   static get observedAttributes() {
-    return ['animation', 'swipeable'];
+    return ['animation', 'swipeable', 'router', 'keep-alive'];
   }
 
   attributeChangedCallback(name, last, current) {
@@ -417,6 +546,12 @@ export default class NavigatorElement extends BaseElement {
       case 'swipeable':
         this._swipe && this._swipe.update();
         break;
+      case 'router':
+        util.isAttached(this) && this._updateRouter();
+        break;
+      case 'keep-alive':
+        this._pageCache.limit = this._getKeepAliveLimit();
+        break;
     }
   }
 
@@ -428,7 +563,7 @@ export default class NavigatorElement extends BaseElement {
    *   [ja]オプションを指定するオブジェクト。[/ja]
    * @param {String} [options.animation]
    *   [en]
-   *     Animation name. Available animations are `"slide"`, `"lift"`, `"fade"` and `"none"`.
+   *     Animation name. Available animations are `"slide"`, `"lift"`, `"fade"`, `"hero"` and `"none"`.
    *
    *     These are platform based animations. For fixed animations, add `"-ios"` or `"-md"` suffix to the animation name. E.g. `"lift-ios"`, `"lift-md"`. Defaults values are `"slide-ios"` and `"fade-md"`.
    *   [/en]
@@ -455,19 +590,18 @@ export default class NavigatorElement extends BaseElement {
   popPage(options = {}) {
     ({options} = this._preparePageAndOptions(null, options));
 
-    if (util.isInteger(options.times) && options.times > 1) {
-      this._removePages(options.times);
-    }
+    const times = util.isInteger(options.times) && options.times > 1 ? Math.min(options.times, this.pages.length - 1) : 1;
 
     const popUpdate = () => new Promise((resolve) => {
-      this._pageLoader.unload(this.pages[this.pages.length - 1]);
+      this._unloadPage(this.pages[this.pages.length - 1]);
       resolve();
     });
 
-    return this._popPage(options, popUpdate);
+    return this._popPage(options, popUpdate, times)
+      .then(this._routerUpdate(options, 'pop', times));
   }
 
-  _popPage(options, update = () => Promise.resolve()) {
+  _popPage(options, update = () => Promise.resolve(), times = 1) {
     if (this._isRunning) {
       return Promise.reject('popPage is already running.');
     }
@@ -480,10 +614,25 @@ export default class NavigatorElement extends BaseElement {
       return Promise.reject('Canceled in prepop event.');
     }
 
-    const length = this.pages.length;
-
+    this._abortResolve();
     this._isRunning = true;
 
+    const guardContext = {
+      navigator: this,
+      leavePage: this.pages[this.pages.length - 1],
+      enterPage: this.pages[this.pages.length - 1 - times]
+    };
+
+    // The stack is only modified once the guards allow the transition
+    return this._transition = navigationGuard.run(guardContext, ['onCanLeave', 'onCanEnter'], () => {
+      times > 1 && this._removePages(times);
+      return this._animatePop(options, update);
+    }, () => this._isRunning = false);
+  }
+
+  _animatePop(options, update) {
+    const length = this.pages.length;
+
     this.pages[length - 2].updateBackButton((length - 2) > 0);
 
     return new Promise(resolve => {
@@ -509,8 +658,13 @@ export default class NavigatorElement extends BaseElement {
         });
       };
 
+      if (this._canKeepAlive(leavePage)) {
+        this._scrollMap.set(leavePage, leavePage.scrollTop);
+      }
+
       leavePage._hide();
       enterPage.style.display = '';
+      this._restoreScroll(enterPage);
 
       const animator = options.animator || this._animatorFactory.newAnimator(options);
       animator.pop(this.pages[length - 2], this.pages[length - 1], done);
@@ -535,7 +689,7 @@ export default class NavigatorElement extends BaseElement {
    *   [ja][/ja]
    * @param {String} [options.animation]
    *   [en]
-   *     Animation name. Available animations are `"slide"`, `"lift"`, `"fade"` and `"none"`.
+   *     Animation name. Available animations are `"slide"`, `"lift"`, `"fade"`, `"hero"` and `"none"`.
    *
    *     These are platform based animations. For fixed animations, add `"-ios"` or `"-md"` suffix to the animation name. E.g. `"lift-ios"`, `"lift-md"`. Defaults values are `"slide-ios"` and `"fade-md"`.
    *   [/en]
@@ -549,6 +703,21 @@ export default class NavigatorElement extends BaseElement {
    * @param {Object} [options.data]
    *   [en]Custom data that will be stored in the new page element.[/en]
    *   [ja][/ja]
+   * @param {String} [options.path]
+   *   [en]URL path of the new page in router mode. By default it is built from the `routes` property and `options.data`.[/en]
+   *   [ja][/ja]
+   * @param {Function} [options.resolve]
+   *   [en]
+   *     Function that loads the data of the new page before the transition starts. It gets an object with `navigator`, `page`, `data` and `signal` (an `AbortSignal` where supported) and may return a promise.
+   *     The resolved object is merged into `options.data`. If the navigator pops or pushes another page in the meantime, the push is aborted and rejects with `ons.NavigationCanceledError`.
+   *   [/en]
+   *   [ja][/ja]
+   * @param {Boolean|HTMLElement} [options.resolveProgress]
+   *   [en]Progress indicator displayed while `options.resolve` runs. `true` uses the first `<ons-progress-bar>` of the current page.[/en]
+   *   [ja][/ja]
+   * @param {Boolean} [options.keepAlive]
+   *   [en]Keep the page for reuse once it is popped. Overrides the `keep-alive` attribute for this page.[/en]
+   *   [ja][/ja]
    * @return {Promise}
    *   [en]Promise which resolves to the pushed page.[/en]
    *   [ja]追加したページを解決するPromiseを返します。[/ja]
@@ -568,24 +737,99 @@ export default class NavigatorElement extends BaseElement {
       pageElement.style.visibility = 'hidden';
     };
 
-    if (options.pageHTML) {
-      return this._pushPage(options, () => new Promise(resolve => {
+    const pushUpdate = options.pageHTML
+      ? () => new Promise(resolve => {
         instantPageLoader.load({page: options.pageHTML, parent: this, params: options.data}, pageElement => {
           prepare(pageElement);
           resolve();
         });
-      }));
+      })
+      : () => new Promise((resolve, reject) => {
+        const cachedPage = this._pageCache.take(page);
+        if (cachedPage) {
+          this._reusePage(cachedPage);
+          prepare(cachedPage);
+          return resolve();
+        }
+
+        this._loadPageElement(this._pageLoader, page, options.data).then(pageElement => {
+          prepare(pageElement);
+          resolve();
+        }, reject);
+      });
+
+    const revert = pageElement => {
+      this._pageMap.delete(pageElement);
+      this._pageLoader.unload(pageElement);
+    };
+
+    const push = () => this._pushPage(options, pushUpdate, revert)
+      .then(this._routerUpdate(options, 'push'));
+
+    if (options.resolve instanceof Function) {
+      return this._resolvePage(page, options).then(data => {
+        options.data = data;
+        return push();
+      });
     }
 
-    return this._pushPage(options, () => new Promise(resolve => {
-      this._pageLoader.load({page, parent: this, params: options.data}, pageElement => {
-        prepare(pageElement);
-        resolve();
+    return push();
+  }
+
+  /**
+   * @param {PageLoader} loader
+   * @param {*} page
+   * @param {Object} [params]
+   * @return {Promise} Rejects when the page cannot be loaded. A `loaderror` event is emitted unless the request was aborted.
+   */
+  _loadPageElement(loader, page, params) {
+    const controller = window.AbortController ? new window.AbortController() : null;
+    const settle = () => controller && this._loadControllers.delete(controller);
+    controller && this._loadControllers.add(controller);
+
+    return new Promise((resolve, reject) => {
+      loader.load({ page, parent: this, params, signal: controller ? controller.signal : null }, pageElement => {
+        settle();
+        resolve(pageElement);
+      }, error => {
+        settle();
+        if (!controller || !controller.signal.aborted) {
+          util.triggerElementEvent(this, 'loaderror', { navigator: this, page, error });
+        }
+        reject(error);
       });
-    }));
+    });
+  }
+
+  _resolvePage(page, options) {
+    this._abortResolve();
+
+    const progress = pageResolver.getProgressElement(options.resolveProgress, this.topPage);
+    const task = pageResolver.start(options.resolve, { navigator: this, page, data: options.data }, progress);
+    const clear = () => this._resolveTask === task && (this._resolveTask = null);
+    this._resolveTask = task;
+
+    return task.promise.then(result => {
+      clear();
+      return pageResolver.mergeData(options.data, result);
+    }, error => {
+      clear();
+      throw error;
+    });
+  }
+
+  _abortResolve() {
+    this._resolveTask && this._resolveTask.abort();
+    this._resolveTask = null;
   }
 
-  _pushPage(options = {}, update = () => Promise.resolve()) {
+  /**
+   * @param {Object} options
+   * @param {Function} [update] Adds the new page to the stack.
+   * @param {Function} [revert] Removes the new page if its `onCanEnter` guard cancels. Without it `onCanEnter` is not checked.
+   * @return {Promise}
+   */
+  _pushPage(options = {}, update = () => Promise.resolve(), revert) {
     if (this._isRunning) {
       return Promise.reject('pushPage is already running.');
     }
@@ -594,14 +838,16 @@ export default class NavigatorElement extends BaseElement {
       return Promise.reject('Canceled in prepush event.');
     }
 
+    this._abortResolve();
     this._isRunning = true;
 
     const animationOptions = AnimatorFactory.parseAnimationOptionsString(this.getAttribute('animation-options'));
     options = util.extend({}, this.options || {}, {animationOptions}, options);
 
     const animator = this._animatorFactory.newAnimator(options);
+    const guardContext = { navigator: this, leavePage: options.leavePage || this.pages[this.pages.length - 1] };
 
-    return update().then(() => {
+    return this._transition = Promise.resolve(navigationGuard.run(guardContext, ['onCanLeave'], update)).then(() => {
       const pageLength = this.pages.length;
 
       const enterPage  = this.pages[pageLength - 1];
@@ -609,39 +855,50 @@ export default class NavigatorElement extends BaseElement {
 
       verifyPageElement(enterPage);
 
-      enterPage.updateBackButton(pageLength > (options._replacePage ? 2 : 1));
+      return revert
+        ? navigationGuard.run({ ...guardContext, enterPage }, ['onCanEnter'], () => this._animatePush(options, animator), () => revert(enterPage))
+        : this._animatePush(options, animator);
+    }).catch((error) => {
+      this._isRunning = false;
+      throw error;
+    });
+  }
 
-      enterPage.pushedOptions = util.extend({}, enterPage.pushedOptions || {}, options || {});
-      enterPage.data = util.extend({}, enterPage.data || {}, options.data || {});
-      enterPage.unload = enterPage.unload || options.unload;
+  _animatePush(options, animator) {
+    const pageLength = this.pages.length;
 
-      return new Promise(resolve => {
-        const done = () => {
-          this._isRunning = false;
+    const enterPage  = this.pages[pageLength - 1];
+    const leavePage = options.leavePage || this.pages[pageLength - 2];
 
-          options.show !== false && setImmediate(() => enterPage._show());
-          util.triggerElementEvent(this, 'postpush', {leavePage, enterPage, navigator: this});
+    enterPage.updateBackButton(pageLength > (options._replacePage ? 2 : 1));
 
-          if (leavePage) {
-            leavePage.style.display = 'none';
-          }
+    enterPage.pushedOptions = util.extend({}, enterPage.pushedOptions || {}, publicOptions(options));
+    enterPage.data = util.extend({}, enterPage.data || {}, options.data || {});
+    enterPage.unload = enterPage.unload || options.unload;
 
-          options.callback && options.callback(enterPage);
+    return new Promise(resolve => {
+      const done = () => {
+        this._isRunning = false;
 
-          resolve(enterPage);
-        };
+        options.show !== false && setImmediate(() => enterPage._show());
+        util.triggerElementEvent(this, 'postpush', {leavePage, enterPage, navigator: this});
 
-        enterPage.style.visibility = '';
         if (leavePage) {
-          leavePage._hide();
-          animator.push(enterPage, leavePage, done);
-        } else {
-          done();
+          leavePage.style.display = 'none';
         }
-      });
-    }).catch((error) => {
-      this._isRunning = false;
-      throw error;
+
+        options.callback && options.callback(enterPage);
+
+        resolve(enterPage);
+      };
+
+      enterPage.style.visibility = '';
+      if (leavePage) {
+        leavePage._hide();
+        animator.push(enterPage, leavePage, done);
+      } else {
+        done();
+      }
     });
   }
 
@@ -656,7 +913,7 @@ export default class NavigatorElement extends BaseElement {
    *   [ja]現在表示中のページをを指定したページに置き換えます。[/ja]
    */
   replacePage(page, options = {}) {
-    return this.pushPage(page, options)
+    return this.pushPage(page, {...options, _skipRouter: true})
       .then(resolvedValue => {
         if (this.pages.length > 1) {
           this._pageLoader.unload(this.pages[this.pages.length - 2]);
@@ -664,7 +921,8 @@ export default class NavigatorElement extends BaseElement {
         this._updateLastPageBackButton();
 
         return Promise.resolve(resolvedValue);
-      });
+      })
+      .then(this._routerUpdate(options, 'replace'));
   }
 
   /**
@@ -691,31 +949,29 @@ export default class NavigatorElement extends BaseElement {
     page = typeof options.pageHTML === 'string' ? options.pageHTML : page;
     const loader = typeof options.pageHTML === 'string' ? instantPageLoader : this._pageLoader;
 
-    return new Promise(resolve => {
-      loader.load({page, parent: this}, pageElement => {
-        verifyPageElement(pageElement);
-        this._pageMap.set(pageElement, page);
-        pageElement = util.extend(pageElement, {
-          data: options.data,
-          pushedOptions: options
-        });
+    return this._loadPageElement(loader, page).then(pageElement => new Promise(resolve => {
+      verifyPageElement(pageElement);
+      this._pageMap.set(pageElement, page);
+      options.animationOptions = util.extend(
+        {},
+        AnimatorFactory.parseAnimationOptionsString(this.getAttribute('animation-options')),
+        options.animationOptions || {}
+      );
 
-        options.animationOptions = util.extend(
-          {},
-          AnimatorFactory.parseAnimationOptionsString(this.getAttribute('animation-options')),
-          options.animationOptions || {}
-        );
+      pageElement = util.extend(pageElement, {
+        data: options.data,
+        pushedOptions: publicOptions(options)
+      });
 
-        pageElement.style.display = 'none';
-        this.insertBefore(pageElement, this.pages[index]);
-        this.topPage.updateBackButton(true);
+      pageElement.style.display = 'none';
+      this.insertBefore(pageElement, this.pages[index]);
+      this.topPage.updateBackButton(true);
 
-        setTimeout(() => {
-          pageElement = null;
-          resolve(this.pages[index]);
-        }, 1000 / 60);
-      });
-    });
+      setTimeout(() => {
+        pageElement = null;
+        resolve(this.pages[index]);
+      }, 1000 / 60);
+    })).then(this._routerUpdate(options, 'replace'));
   }
 
   /**
@@ -746,7 +1002,7 @@ export default class NavigatorElement extends BaseElement {
         }
 
         resolve(enterPage);
-      });
+      }).then(this._routerUpdate(options, 'replace'));
     } else {
       return this.popPage(options);
     }
@@ -776,10 +1032,23 @@ export default class NavigatorElement extends BaseElement {
       page = options.page = this._getPageTarget();
     }
 
+    const lastLength = this.pages.length;
+    const routerUpdate = this._routerUpdate(options, 'reset', lastLength);
+
     if (options.pop) {
-      this._removePages()
-      return this.insertPage(0, page, { data: options.data })
-        .then(() => this.popPage(options));
+      // Old pages are removed after popping so that a guard can still cancel
+      return this.insertPage(-1, page, { data: options.data, path: options.path, _skipRouter: true })
+        .then(() => this.popPage({...options, _skipRouter: true}).then(newPage => {
+          this._removePages();
+          this._updateLastPageBackButton();
+          return newPage;
+        }, error => {
+          const insertedPage = this.pages[this.pages.length - 2];
+          this._pageMap.delete(insertedPage);
+          this._pageLoader.unload(insertedPage);
+          throw error;
+        }))
+        .then(routerUpdate);
     }
 
     // Tip: callback runs before resolved promise
@@ -790,7 +1059,8 @@ export default class NavigatorElement extends BaseElement {
       callback && callback(newPage);
     };
 
-    return this.pushPage(page, options);
+    return this.pushPage(page, {...options, _skipRouter: true})
+      .then(routerUpdate);
   }
 
   /**
@@ -831,10 +1101,106 @@ export default class NavigatorElement extends BaseElement {
       return Promise.reject('Canceled in prepush event.');
     }
 
-    page.style.display = '';
-    page.style.visibility = 'hidden';
-    page.parentNode.appendChild(page);
-    return this._pushPage(options);
+    const nextSibling = page.nextSibling;
+    const update = () => {
+      page.style.display = '';
+      page.style.visibility = 'hidden';
+      page.parentNode.appendChild(page);
+      return Promise.resolve();
+    };
+    const revert = () => {
+      page.style.display = 'none';
+      page.style.visibility = '';
+      this.insertBefore(page, nextSibling);
+    };
+
+    return this._pushPage(options, update, revert)
+      .then(this._routerUpdate(options, 'replace'));
+  }
+
+  /**
+   * @method clearPageCache
+   * @signature clearPageCache()
+   * @description
+   *   [en]Destroys the pages kept by the `keep-alive` attribute or option.[/en]
+   *   [ja][/ja]
+   */
+  clearPageCache() {
+    this._pageCache.clear();
+  }
+
+  /**
+   * @method getState
+   * @signature getState()
+   * @return {Object}
+   *   [en]JSON-serializable object containing the page names, pushed `data` and scroll offsets of the page stack.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Takes a snapshot of the page stack. It can be stored and passed later to `restoreState()`, e.g. after the app is killed in the background.[/en]
+   *   [ja][/ja]
+   */
+  getState() {
+    return {
+      pages: this.pages.map((pageElement, index) => {
+        const pushedOptions = pageElement.pushedOptions || {};
+        const page = this._pageMap.get(pageElement) || (index === 0 ? this._getPageTarget() : null);
+
+        return {
+          page: typeof page === 'string' ? page : null,
+          pageHTML: typeof pushedOptions.pageHTML === 'string' ? pushedOptions.pageHTML : null,
+          data: pageElement.data || {},
+          scrollTop: pageElement._contentElement ? pageElement.scrollTop : 0
+        };
+      }).filter(item => item.page || item.pageHTML)
+    };
+  }
+
+  /**
+   * @method restoreState
+   * @signature restoreState(state)
+   * @param {Object} state
+   *   [en]Object previously returned by `getState()`.[/en]
+   *   [ja][/ja]
+   * @return {Promise}
+   *   [en]Promise which resolves to the new top page.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Rebuilds the page stack from a snapshot without animations. Pages that cannot be loaded by name are skipped.[/en]
+   *   [ja][/ja]
+   */
+  restoreState(state) {
+    const items = (state && state.pages instanceof Array ? state.pages : [])
+      .filter(item => item && (item.page || item.pageHTML));
+
+    if (items.length === 0) {
+      util.throw('State must contain a non-empty "pages" array. You supplied ' + JSON.stringify(state));
+    }
+
+    const optionsFor = item => ({
+      animation: 'none',
+      data: item.data || {},
+      pageHTML: item.pageHTML || undefined
+    });
+
+    return this.resetToPage(items[0].page, optionsFor(items[0]))
+      .then(() => items.slice(1).reduce(
+        (promise, item) => promise.then(() => this.pushPage(item.page, optionsFor(item))),
+        Promise.resolve()
+      ))
+      .then(() => {
+        const pages = this.pages;
+        items.forEach((item, index) => pages[index] && this._scrollMap.set(pages[index], item.scrollTop || 0));
+        this._restoreScroll(this.topPage);
+
+        return this.topPage;
+      });
+  }
+
+  _restoreScroll(pageElement) {
+    if (pageElement && this._scrollMap.has(pageElement)) {
+      contentReady(pageElement, () => pageElement.scrollTop = this._scrollMap.get(pageElement));
+      this._scrollMap.delete(pageElement);
+    }
   }
 
   _preparePageAndOptions(page, options = {}) {
@@ -848,7 +1214,16 @@ export default class NavigatorElement extends BaseElement {
 
     options = util.extend({}, this.options || {}, options, {page});
 
-    return {page, options};
+    return this._router ? this._router.resolve(page, options) : {page, options};
+  }
+
+  _routerUpdate(options, action, ...args) {
+    return page => {
+      if (page && this._router && !options._skipRouter) {
+        this._router[action](...args);
+      }
+      return page;
+    };
   }
 
   _removePages(times) {
@@ -857,11 +1232,47 @@ export default class NavigatorElement extends BaseElement {
     until = until < 0 ? 1 : until;
 
     for (let i = pages.length - 2; i >= until; i--) {
-      this._pageMap.delete(pages[i]);
-      this._pageLoader.unload(pages[i]);
+      this._unloadPage(pages[i]);
     }
   }
 
+  _getKeepAliveLimit() {
+    const limit = parseInt(this.getAttribute('keep-alive'), 10);
+    return limit >= 0 ? limit : defaultKeepAliveLimit;
+  }
+
+  _canKeepAlive(pageElement) {
+    const options = pageElement.pushedOptions || {};
+    const keepAlive = typeof options.keepAlive === 'boolean' ? options.keepAlive : this.hasAttribute('keep-alive');
+
+    return keepAlive
+      && !options.pageHTML
+      && this._pageLoader === defaultPageLoader
+      && typeof this._pageMap.get(pageElement) === 'string';
+  }
+
+  _unloadPage(pageElement) {
+    if (!this._canKeepAlive(pageElement)) {
+      this._pageMap.delete(pageElement);
+      this._pageLoader.unload(pageElement);
+      return;
+    }
+
+    pageElement._deactivate();
+    pageElement.remove();
+    this._pageCache.put(this._pageMap.get(pageElement), pageElement);
+  }
+
+  _reusePage(pageElement) {
+    // The new push brings its own data
+    pageElement.pushedOptions = null;
+    pageElement.data = null;
+    pageElement.style.display = '';
+    this.appendChild(pageElement);
+    this._restoreScroll(pageElement);
+    pageElement._activate();
+  }
+
   _updateLastPageBackButton() {
     const index = this.pages.length - 1;
     if (index >= 0) {
@@ -875,7 +1286,7 @@ export default class NavigatorElement extends BaseElement {
 
   _onDeviceBackButton(event) {
     if (this.pages.length > 1) {
-      this.popPage();
+      this.popPage().catch(reportNavigationError);
     } else {
       event.callParentHandler();
     }
@@ -999,7 +1410,7 @@ export default class NavigatorElement extends BaseElement {
    * @type {String}
    * @description
    *   [en]
-   *     Animation name. Available animations are `"slide"`, `"lift"`, `"fade"` and `"none"`.
+   *     Animation name. Available animations are `"slide"`, `"lift"`, `"fade"`, `"hero"` and `"none"`.
    *     These are platform based animations. For fixed animations, add `"-ios"` or `"-md"` suffix to the animation name. E.g. `"lift-ios"`, `"lift-md"`. Defaults values are `"slide-ios"` and `"fade-md"`.
    *   [/en]
    *   [ja][/ja]
@@ -1028,6 +1439,24 @@ export default class NavigatorElement extends BaseElement {
     this._options = object;
   }
 
+  /**
+   * @property routes
+   * @type {Array}
+   * @description
+   *   [en]List of routes used in router mode. Each route is an object with a `path` such as `'/users/:id'` and the `page` to load for it.[/en]
+   *   [ja][/ja]
+   */
+  get routes() {
+    return this._routes;
+  }
+
+  set routes(routes) {
+    if (routes && !(routes instanceof Array)) {
+      util.throw('"routes" must be an array');
+    }
+    this._routes = routes;
+  }
+
   set _isRunning(value) {
     this.setAttribute('_is-running', value ? 'true' : 'false');
   }
@@ -1044,6 +1473,8 @@ export default class NavigatorElement extends BaseElement {
   }
 
   _destroy() {
+    this._pageCache.clear();
+
     for (let i = this.pages.length - 1; i >= 0; i--) {
       this._pageLoader.unload(this.pages[i]);
     }
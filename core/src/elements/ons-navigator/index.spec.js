@@ -671,6 +671,89 @@ describe('OnsNavigatorElement', () => {
     })
   });
 
+  describe('hero animator', () => {
+    let tplList, tplDetail;
+
+    beforeEach(() => {
+      tplList = ons._util.createElement(`<template id="hero-list"><ons-page><div shared-id="photo" style="width: 40px; height: 40px; border-radius: 20px"></div></ons-page></template>`);
+      tplDetail = ons._util.createElement(`<template id="hero-detail"><ons-page><div shared-id="photo" style="width: 200px; height: 120px; border-radius: 0px"></div></ons-page></template>`);
+      document.body.appendChild(tplList);
+      document.body.appendChild(tplDetail);
+    });
+
+    afterEach(() => {
+      tplList.remove();
+      tplDetail.remove();
+    });
+
+    it('is registered and swipeable', () => {
+      const Animator = window.ons.elements.Navigator.animators['hero'];
+      expect(Animator).to.be.ok;
+      expect(Animator.swipeable).to.be.true;
+    });
+
+    it('pairs elements with the same shared-id', () => {
+      return nav.pushPage('hero-list', { animation: 'none' })
+        .then(() => nav.pushPage('hero-detail', { animation: 'none' }))
+        .then(() => {
+          const Animator = window.ons.elements.Navigator.animators['hero'];
+          // Hidden pages have no shared elements to morph
+          expect(new Animator()._findSharedElements(nav.pages[1], nav.pages[2]).length).to.equal(0);
+
+          nav.pages[1].style.display = '';
+          const pairs = new Animator()._findSharedElements(nav.pages[1], nav.pages[2]);
+          expect(pairs.length).to.equal(1);
+          expect(pairs[0].from.parentNode).to.equal(nav.pages[1]._getContentElement());
+          expect(pairs[0].to.parentNode).to.equal(nav.pages[2]._getContentElement());
+        });
+    });
+
+    it('morphs shared elements and removes the ghosts afterwards', () => {
+      const options = { animation: 'hero', animationOptions: { duration: 0.01 } };
+      return nav.pushPage('hero-list', { animation: 'none' })
+        .then(() => nav.pushPage('hero-detail', options))
+        .then(page => {
+          const element = page.querySelector('[shared-id]');
+          expect(element.style.visibility).to.equal('');
+          expect(Array.prototype.filter.call(nav.children, el => el.style.zIndex === '10001').length).to.equal(0);
+          return nav.popPage(options);
+        })
+        .then(page => expect(page.querySelector('[shared-id]').style.visibility).to.equal(''));
+    });
+  });
+
+  describe('swipe animation', () => {
+    it('provides a swipeable Material animator', () => {
+      const Animator = window.ons.elements.Navigator.animators['swipe-md'];
+      expect(Animator).to.be.ok;
+      expect(Animator.swipeable).to.be.true;
+    });
+
+    it('is selected with the \'swipe-animation\' attribute', () => {
+      nav.setAttribute('swipe-animation', 'swipe-md');
+      expect(nav._getSwipeAnimatorClass()).to.equal(window.ons.elements.Navigator.animators['swipe-md']);
+    });
+
+    it('previews the previous page and restores it', (done) => {
+      nav.pushPage('fuga', { animation: 'none' }).then(() => {
+        const Animator = window.ons.elements.Navigator.animators['swipe-md'];
+        const animator = new Animator({ durationRestore: 0.01 });
+        const [enterPage, leavePage] = nav.pages;
+
+        animator.translate(50, 100, enterPage, leavePage);
+        expect(enterPage.style.display).to.equal('');
+        expect(animator.scrim.parentNode).to.equal(nav);
+
+        animator.restore(enterPage, leavePage, () => {
+          expect(animator.scrim.parentNode).to.be.null;
+          expect(enterPage.style.display).to.equal('none');
+          expect(animator.isDragStart).to.be.true;
+          done();
+        });
+      });
+    });
+  });
+
   describe('#_compile()', () => {
     it('does not compile twice', () => {
       const div1 = document.createElement('div');
@@ -681,6 +764,425 @@ describe('OnsNavigatorElement', () => {
     });
   });
 
+  describe('#getState()', () => {
+    it('serializes page names and data', () => {
+      return nav.pushPage('fuga', { data: { id: 1 } }).then(() => {
+        const state = nav.getState();
+        expect(state.pages.length).to.equal(2);
+        expect(state.pages[0].page).to.equal('hoge');
+        expect(state.pages[1].page).to.equal('fuga');
+        expect(state.pages[1].data).to.deep.equal({ id: 1 });
+        expect(JSON.parse(JSON.stringify(state))).to.deep.equal(state);
+      });
+    });
+  });
+
+  describe('#restoreState()', () => {
+    it('rebuilds the page stack', () => {
+      const state = {
+        pages: [
+          { page: 'hoge', data: {}, scrollTop: 0 },
+          { page: 'fuga', data: { id: 2 }, scrollTop: 0 },
+          { page: 'info', data: {}, scrollTop: 0 }
+        ]
+      };
+
+      return nav.restoreState(state).then(page => {
+        expect(page).to.equal(nav.topPage);
+        expect(nav.pages.length).to.equal(3);
+        expect(nav.pages[1].data.id).to.equal(2);
+        expect(nav.topPage._getContentElement().innerHTML).to.equal('info');
+      });
+    });
+
+    it('throws an error if the state has no pages', () => {
+      expect(() => nav.restoreState({ pages: [] })).to.throw(Error);
+    });
+  });
+
+  describe('navigation guards', () => {
+    let app;
+
+    beforeEach(() => app = navigator.app);
+    afterEach(() => navigator.app = app);
+
+    it('cancels popPage when onCanLeave resolves to false', () => {
+      return nav.pushPage('fuga', { animation: 'none' }).then(page => {
+        page.onCanLeave = () => Promise.resolve(false);
+
+        return nav.popPage().then(() => {
+          throw new Error('popPage should be canceled');
+        }, error => {
+          expect(error).to.be.an.instanceof(ons.NavigationCanceledError);
+          expect(error.guard).to.equal('onCanLeave');
+          expect(nav.pages.length).to.equal(2);
+          expect(nav.topPage).to.equal(page);
+          expect(nav._isRunning).to.be.false;
+        });
+      });
+    });
+
+    it('keeps the stack untouched when popping several pages is canceled', () => {
+      return nav.pushPage('fuga', { animation: 'none' })
+        .then(() => nav.pushPage('info', { animation: 'none' }))
+        .then(page => {
+          page.onCanLeave = () => false;
+          return nav.popPage({ times: 2 }).then(() => expect.fail('popPage should be canceled'), error => {
+            expect(error).to.be.an.instanceof(ons.NavigationCanceledError);
+            expect(nav.pages.length).to.equal(3);
+          });
+        });
+    });
+
+    it('waits for onCanLeave before popping', () => {
+      let allow;
+      return nav.pushPage('fuga', { animation: 'none' }).then(page => {
+        page.onCanLeave = () => new Promise(resolve => allow = resolve);
+        const promise = nav.popPage({ animation: 'none' });
+
+        return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+          expect(nav.pages.length).to.equal(2);
+          allow(true);
+          return promise;
+        }).then(() => expect(nav.pages.length).to.equal(1));
+      });
+    });
+
+    it('cancels pushPage when the current page cannot be left', () => {
+      nav.topPage.onCanLeave = () => Promise.resolve(false);
+
+      return nav.pushPage('fuga').then(() => expect.fail('pushPage should be canceled'), error => {
+        expect(error).to.be.an.instanceof(ons.NavigationCanceledError);
+        expect(nav.pages.length).to.equal(1);
+        expect(nav._isRunning).to.be.false;
+      });
+    });
+
+    it('removes the new page when onCanEnter resolves to false', () => {
+      const guard = chai.spy(() => false);
+      nav.pageLoader = new ons.PageLoader((options, done) => {
+        ons.defaultPageLoader.internalLoader(options, pageElement => {
+          pageElement.onCanEnter = guard;
+          done(pageElement);
+        });
+      });
+
+      return nav.pushPage('fuga').then(() => expect.fail('pushPage should be canceled'), error => {
+        expect(error).to.be.an.instanceof(ons.NavigationCanceledError);
+        expect(error.guard).to.equal('onCanEnter');
+        expect(guard).to.have.been.called.once;
+        expect(nav.pages.length).to.equal(1);
+      });
+    });
+
+    it('passes both pages to the guards', () => {
+      const first = nav.topPage;
+      let context;
+      first.onCanLeave = ctx => { context = ctx; return true; };
+
+      return nav.pushPage('fuga', { animation: 'none' }).then(page => {
+        expect(context.navigator).to.equal(nav);
+        expect(context.leavePage).to.equal(first);
+        expect(page).to.equal(nav.topPage);
+      });
+    });
+
+    it('waits for onCanLeave before exiting the app with the back button', () => {
+      navigator.app = { exitApp: chai.spy() };
+      nav.topPage.onCanLeave = () => Promise.resolve(false);
+      ons._internal.dbbDispatcher._callback();
+
+      return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+        expect(navigator.app.exitApp).not.to.have.been.called();
+      });
+    });
+
+    it('ignores the back button when onCanLeave resolves to false', () => {
+      const spy = chai.spy();
+      window.addEventListener('unhandledrejection', spy);
+
+      return nav.pushPage('fuga', { animation: 'none' }).then(page => {
+        page.onCanLeave = () => false;
+        ons._internal.dbbDispatcher._callback();
+
+        return new Promise(resolve => setTimeout(resolve, 50));
+      }).then(() => {
+        window.removeEventListener('unhandledrejection', spy);
+        expect(spy).not.to.have.been.called();
+        expect(nav.pages.length).to.equal(2);
+      });
+    });
+
+    it('validates the guard properties', () => {
+      expect(() => nav.topPage.onCanLeave = 'hoge').to.throw(Error);
+      expect(() => nav.topPage.onCanEnter = 42).to.throw(Error);
+    });
+  });
+
+  describe('page resolvers', () => {
+    it('passes the resolved data to the new page', () => {
+      const resolve = chai.spy(context => {
+        expect(context.navigator).to.equal(nav);
+        expect(context.page).to.equal('fuga');
+        expect(context.data).to.deep.equal({ id: 1 });
+        return Promise.resolve({ name: 'fuga' });
+      });
+
+      return nav.pushPage('fuga', { data: { id: 1 }, resolve }).then(page => {
+        expect(resolve).to.have.been.called.once;
+        expect(page.data).to.deep.equal({ id: 1, name: 'fuga' });
+      });
+    });
+
+    it('does not start the transition before resolving', () => {
+      let finish;
+      const promise = nav.pushPage('fuga', { animation: 'none', resolve: () => new Promise(resolve => finish = resolve) });
+
+      return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+        expect(nav.pages.length).to.equal(1);
+        finish();
+        return promise;
+      }).then(() => expect(nav.pages.length).to.equal(2));
+    });
+
+    it('rejects with the resolver error', () => {
+      return nav.pushPage('fuga', { resolve: () => Promise.reject(new Error('network')) }).then(() => {
+        throw new Error('pushPage should fail');
+      }, error => {
+        expect(error.message).to.equal('network');
+        expect(nav.pages.length).to.equal(1);
+      });
+    });
+
+    it('aborts when another page is pushed in the meantime', () => {
+      let signal;
+      const first = nav.pushPage('fuga', {
+        animation: 'none',
+        resolve: context => {
+          signal = context.signal;
+          return new Promise(() => {});
+        }
+      });
+
+      return nav.pushPage('info', { animation: 'none' }).then(() => {
+        return first.then(() => {
+          throw new Error('pushPage should be aborted');
+        }, error => {
+          expect(error).to.be.an.instanceof(ons.NavigationCanceledError);
+          expect(nav.pages.length).to.equal(2);
+          signal && expect(signal.aborted).to.be.true;
+        });
+      });
+    });
+
+    it('displays the progress indicator while resolving', () => {
+      const progress = ons._util.createElement(`<ons-progress-bar style="display: none"></ons-progress-bar>`);
+      nav.topPage.appendChild(progress);
+
+      let finish;
+      const promise = nav.pushPage('fuga', {
+        animation: 'none',
+        resolveProgress: true,
+        resolve: () => new Promise(resolve => finish = resolve)
+      });
+
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        expect(progress.style.display).to.equal('');
+        expect(progress.hasAttribute('indeterminate')).to.be.true;
+        finish();
+        return promise;
+      }).then(() => {
+        expect(progress.style.display).to.equal('none');
+        expect(progress.hasAttribute('indeterminate')).to.be.false;
+      });
+    });
+  });
+
+  describe('keep-alive', () => {
+    beforeEach(() => {
+      nav.setAttribute('keep-alive', '2');
+    });
+
+    it('reuses popped pages', () => {
+      let firstPage;
+      return nav.pushPage('fuga', { animation: 'none', data: { id: 1, stale: true } })
+        .then(page => {
+          firstPage = page;
+          page.scrollTop = 0;
+          return nav.popPage({ animation: 'none' });
+        })
+        .then(() => {
+          expect(firstPage.parentNode).to.be.null;
+          return nav.pushPage('fuga', { animation: 'none', data: { id: 2 } });
+        })
+        .then(page => {
+          expect(page).to.equal(firstPage);
+          expect(page.data).to.deep.equal({ id: 2 });
+          expect(nav.pages.length).to.equal(2);
+        });
+    });
+
+    it('fires activate and deactivate instead of init and destroy', () => {
+      const events = [];
+      ['init', 'destroy', 'activate', 'deactivate'].forEach(name => nav.addEventListener(name, () => events.push(name)));
+
+      return nav.pushPage('fuga', { animation: 'none' })
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(() => nav.popPage({ animation: 'none' }))
+        .then(() => nav.pushPage('fuga', { animation: 'none' }))
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(() => {
+          expect(events).to.deep.equal(['init', 'deactivate', 'activate']);
+        });
+    });
+
+    it('destroys the least recently popped pages', () => {
+      const spy = chai.spy.on(nav._pageLoader, 'unload');
+      nav.setAttribute('keep-alive', '1');
+
+      return nav.pushPage('fuga', { animation: 'none' })
+        .then(() => nav.pushPage('info', { animation: 'none' }))
+        .then(() => nav.popPage({ animation: 'none', times: 2 }))
+        .then(() => {
+          expect(spy).to.have.been.called.once;
+          expect(nav._pageCache.has('fuga')).to.be.true;
+          chai.spy.restore(nav._pageLoader, 'unload');
+        });
+    });
+
+    it('respects the keepAlive option', () => {
+      return nav.pushPage('fuga', { animation: 'none', keepAlive: false })
+        .then(() => nav.popPage({ animation: 'none' }))
+        .then(() => expect(nav._pageCache.size).to.equal(0));
+    });
+
+    it('clears the cache', () => {
+      return nav.pushPage('fuga', { animation: 'none' })
+        .then(page => nav.popPage({ animation: 'none' }).then(() => page))
+        .then(page => {
+          const spy = chai.spy.on(page, '_destroy');
+          nav.clearPageCache();
+          expect(spy).to.have.been.called.once;
+          expect(nav._pageCache.size).to.equal(0);
+        });
+    });
+  });
+
+  describe('loaderror event', () => {
+    it('unlocks the navigator when a page cannot be loaded', () => {
+      const spy = chai.spy();
+      nav.addEventListener('loaderror', spy);
+
+      return nav.pushPage('/base/missing-page.html').then(() => {
+        throw new Error('pushPage should fail');
+      }, error => {
+        expect(error.reason).to.equal('status');
+        expect(spy).to.have.been.called.once;
+        expect(nav._isRunning).to.be.false;
+        expect(nav.pages.length).to.equal(1);
+        return nav.pushPage('fuga', { animation: 'none' });
+      }).then(() => expect(nav.pages.length).to.equal(2));
+    });
+
+    it('passes a signal to the page loader', () => {
+      let signal;
+      nav.pageLoader = new ons.PageLoader(({ parent, signal: s }, done) => {
+        signal = s;
+        done(parent.appendChild(ons._util.createElement('<ons-page></ons-page>')));
+      });
+
+      return nav.pushPage('fuga', { animation: 'none' }).then(() => {
+        window.AbortController && expect(signal).to.be.an.instanceof(AbortSignal);
+      });
+    });
+  });
+
+  describe('router mode', () => {
+    let routedNav, initialURL;
+
+    beforeEach((done) => {
+      initialURL = window.location.href;
+      routedNav = ons._util.createElement(`<ons-navigator router="hash" page="hoge"></ons-navigator>`);
+      routedNav.routes = [
+        { path: '/', page: 'hoge' },
+        { path: '/fuga/:id', page: 'fuga' }
+      ];
+      document.body.appendChild(routedNav);
+      routedNav.loaded.then(() => done());
+    });
+
+    afterEach(() => {
+      routedNav.remove();
+      routedNav = null;
+      window.history.replaceState(null, '', initialURL);
+    });
+
+    it('matches paths to pages and params', () => {
+      const matched = routedNav._router.match('/fuga/42');
+      expect(matched.page).to.equal('fuga');
+      expect(matched.params).to.deep.equal({ id: '42' });
+      expect(routedNav._router.match('/unknown')).to.be.null;
+    });
+
+    it('builds paths from pages and data', () => {
+      expect(routedNav._router.pathFor('fuga', { id: 7 })).to.equal('/fuga/7');
+      expect(routedNav._router.pathFor('fuga')).to.be.null;
+    });
+
+    it('pushes pages by path and passes params as data', () => {
+      return routedNav.pushPage('/fuga/42').then(page => {
+        expect(page.data.id).to.equal('42');
+        expect(page.pushedOptions.path).to.equal('/fuga/42');
+        expect(window.location.hash).to.equal('#/fuga/42');
+        expect(window.history.state.onsNavigatorStack).to.deep.equal(['/', '/fuga/42']);
+      });
+    });
+
+    it('pops pages when the history entry changes', () => {
+      return routedNav.pushPage('fuga', { data: { id: 1 }, animation: 'none' }).then(() => {
+        return routedNav._router._reconcile(['/']).then(() => {
+          expect(routedNav.pages.length).to.equal(1);
+        });
+      });
+    });
+
+    it('pushes pages when the history entry changes', () => {
+      return routedNav._router._reconcile(['/', '/fuga/3']).then(() => {
+        expect(routedNav.pages.length).to.equal(2);
+        expect(routedNav.topPage.data.id).to.equal('3');
+      });
+    });
+
+    it('does not expose internal options', () => {
+      return routedNav._router._reconcile(['/', '/fuga/3']).then(() => {
+        expect(routedNav.topPage.pushedOptions).not.to.have.property('_skipRouter');
+      });
+    });
+
+    it('waits for the running transition', () => {
+      const push = routedNav.pushPage('fuga', { data: { id: 1 }, _skipRouter: true });
+      expect(routedNav._isRunning).to.be.true;
+
+      return routedNav._router._reconcile(['/']).then(() => {
+        expect(routedNav.pages.length).to.equal(1);
+        return push;
+      });
+    });
+
+    it('releases the history lock when no popstate arrives', function() {
+      this.timeout(3000);
+      const callback = chai.spy();
+
+      // There is not enough history to go back, so the browser fires no popstate
+      routedNav._router._move(-window.history.length - 1, callback);
+
+      return new Promise(resolve => setTimeout(resolve, 1100)).then(() => {
+        expect(callback).to.have.been.called.once;
+        expect(routedNav._router._historyUnlock).to.be.null;
+      });
+    });
+  });
+
   describe('#backButton', () => {
     beforeEach((done) => {
       const tpl1 = ons._util.createElement(`<template id="backPage"><ons-page><ons-back-button>Back</ons-back-button>hoge</ons-page></template>`)
@@ -0,0 +1,172 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import NavigatorAnimator from './animator';
+import MDFadeNavigatorAnimator from './md-fade-animator';
+import util from '../../ons/util';
+import animit from '../../ons/animit';
+
+/**
+ * Material "predictive back" swipe. The top page shrinks and moves away from
+ * the edge while the previous page is revealed behind a fading scrim.
+ * Regular push and pop use the Material fade transition.
+ */
+export default class MDSwipeNavigatorAnimator extends NavigatorAnimator {
+
+  static get swipeable() {
+    return true;
+  }
+
+  constructor({ durationRestore = 0.2, durationSwipe = 0.2, timingSwipe = 'cubic-bezier(0.4, 0, 0.2, 1)',
+    minScale = 0.9, maxShift = 0.08, maxRadius = 28, ...rest } = {}) {
+    super({...rest});
+
+    this.durationRestore = durationRestore;
+    this.durationSwipe = durationSwipe;
+    this.timingSwipe = timingSwipe;
+    this.minScale = minScale;
+    this.maxShift = maxShift;
+    this.maxRadius = maxRadius;
+
+    this.optSwipe = { timing: timingSwipe, duration: durationSwipe };
+    this.optRestore = { timing: timingSwipe, duration: durationRestore };
+
+    this.scrim = util.createElement(
+      `<div style="position: absolute; top: 0; left: 0; width: 100%; height: 100%; background-color: black; opacity: 0"></div>`
+    );
+
+    this._fallback = new MDFadeNavigatorAnimator(rest);
+    this.isDragStart = true;
+  }
+
+  _dragStartSetup(enterPage, leavePage) {
+    this.isDragStart = false;
+
+    // Avoid content clicks
+    this.unblock = super.block(leavePage);
+
+    leavePage.parentNode.insertBefore(this.scrim, leavePage);
+
+    this._savedStyle = [enterPage, leavePage].map(el => ({ el, style: el.getAttribute('style') }));
+    leavePage.style.overflow = 'hidden';
+    leavePage.style.transformOrigin = 'right center';
+  }
+
+  _getLeaveFrame(ratio) {
+    return {
+      transform: `translate3d(${ratio * this.maxShift * 100}%, 0, 0) scale(${1 - (1 - this.minScale) * ratio})`,
+      borderRadius: `${ratio * this.maxRadius}px`
+    };
+  }
+
+  translate(distance, maxWidth, enterPage, leavePage) {
+    this.isSwiping = true;
+
+    if (enterPage.style.display === 'none') {
+      enterPage.style.display = '';
+    }
+
+    if (this.isDragStart) {
+      this.maxWidth = maxWidth;
+      this._dragStartSetup(enterPage, leavePage);
+    }
+
+    const ratio = Math.max(0, Math.min(1, distance / maxWidth));
+
+    animit.runAll(
+      animit(leavePage)
+        .queue(this._getLeaveFrame(ratio)),
+
+      animit(this.scrim)
+        .queue({ opacity: 0.3 * (1 - ratio) })
+    );
+  }
+
+  restore(enterPage, leavePage, callback) {
+    if (this.isDragStart) {
+      return;
+    }
+
+    animit.runAll(
+      animit(this.scrim)
+        .queue({ opacity: 0.3 }, util.extend({}, this.optRestore)),
+
+      animit(leavePage)
+        .queue(this._getLeaveFrame(0), util.extend({}, this.optRestore))
+        .queue(done => {
+          this._reset();
+          enterPage.style.display = 'none';
+          callback && callback();
+          done();
+        })
+    );
+  }
+
+  popSwipe(enterPage, leavePage, callback) {
+    if (this.isDragStart) {
+      return;
+    }
+
+    animit.runAll(
+      animit(this.scrim)
+        .queue({ opacity: 0 }, util.extend({}, this.optSwipe)),
+
+      animit(leavePage)
+        .queue({
+          transform: `translate3d(100%, 0, 0) scale(${this.minScale})`,
+          opacity: 0
+        }, util.extend({}, this.optSwipe))
+        .queue(done => {
+          this._reset();
+          leavePage.style.display = 'none'; // Avoid flickering before it is removed
+          callback && callback();
+          done();
+        })
+    );
+  }
+
+  _reset() {
+    this.isSwiping = false;
+    this._savedStyle.forEach(({ el, style }) => style === null ? el.removeAttribute('style') : el.setAttribute('style', style));
+    this.unblock && this.unblock();
+    this.scrim.remove();
+    this._savedStyle = this.unblock = null;
+    this.isDragStart = true;
+  }
+
+  /**
+   * @param {Object} enterPage
+   * @param {Object} leavePage
+   * @param {Function} callback
+   */
+  push(enterPage, leavePage, callback) {
+    this._fallback.push(enterPage, leavePage, callback);
+  }
+
+  /**
+   * @param {Object} enterPage
+   * @param {Object} leavePage
+   * @param {Function} callback
+   */
+  pop(enterPage, leavePage, callback) {
+    if (this.isSwiping) {
+      return this.popSwipe(enterPage, leavePage, callback);
+    }
+
+    this._fallback.pop(enterPage, leavePage, callback);
+  }
+}
@@ -0,0 +1,367 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import util from '../../ons/util';
+import DoorLock from '../../ons/doorlock';
+import navigationGuard from '../../ons/navigation-guard';
+
+const stateKey = 'onsNavigatorStack';
+
+// `history.go()` fires no popstate when the history is too short or the navigation is blocked
+const moveTimeout = 1000;
+
+/**
+ * @param {String} path Route path such as '/users/:id'.
+ * @return {Object} Regular expression and parameter names.
+ */
+const compilePath = path => {
+  const keys = [];
+  const source = ('/' + path).replace(/\/+/g, '/').replace(/\/$/, '')
+    .replace(/[.+*?^${}()[\]|\\]/g, '\\$&')
+    .replace(/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+
+  return { keys, regexp: new RegExp(`^${source}/?$`) };
+};
+
+const normalizePath = path => ('/' + (path || '')).replace(/\/+/g, '/');
+
+/**
+ * Keeps the page stack of a navigator in sync with the browser history.
+ * Every history entry stores the list of paths that form the stack, so
+ * back/forward navigation and reloads can be diffed against the current stack.
+ */
+export default class NavigatorRouter {
+
+  /**
+   * @param {Element} navigator
+   */
+  constructor(navigator) {
+    this._navigator = navigator;
+    this._historyLock = new DoorLock();
+    this._onPopState = this._onPopState.bind(this);
+  }
+
+  /**
+   * @return {String} 'history' or 'hash'.
+   */
+  get mode() {
+    const hasHistoryAPI = !!(window.history && window.history.pushState);
+    return this._navigator.getAttribute('router') === 'hash' || window.location.protocol === 'file:' || !hasHistoryAPI
+      ? 'hash'
+      : 'history';
+  }
+
+  get _base() {
+    return (this._navigator.getAttribute('router-base') || '').replace(/\/+$/, '');
+  }
+
+  get _routes() {
+    return this._navigator.routes || [];
+  }
+
+  attach() {
+    window.addEventListener('popstate', this._onPopState, false);
+  }
+
+  detach() {
+    window.removeEventListener('popstate', this._onPopState, false);
+    this._endMove();
+  }
+
+  /**
+   * @return {String} Path of the current location.
+   */
+  getLocationPath() {
+    if (this.mode === 'hash') {
+      return normalizePath(window.location.hash.replace(/^#!?/, ''));
+    }
+
+    const pathname = window.location.pathname;
+    const base = this._base;
+    return normalizePath(base && pathname.indexOf(base) === 0 ? pathname.slice(base.length) : pathname);
+  }
+
+  /**
+   * @param {String} path
+   * @return {String} URL for the given path.
+   */
+  toURL(path) {
+    return this.mode === 'hash'
+      ? window.location.pathname + window.location.search + '#' + path
+      : this._base + path + window.location.search;
+  }
+
+  /**
+   * @param {String} path
+   * @return {Object|null} Matched route with its page and params.
+   */
+  match(path) {
+    path = normalizePath(path.split('?')[0]);
+
+    for (let i = 0; i < this._routes.length; i++) {
+      const route = this._routes[i];
+      const { keys, regexp } = compilePath(route.path);
+      const result = regexp.exec(path);
+
+      if (result) {
+        const params = {};
+        keys.forEach((key, index) => params[key] = decodeURIComponent(result[index + 1]));
+        return { route, path, params, page: route.page };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {String} page Page name.
+   * @param {Object} [data] Values for the route params.
+   * @return {String|null} Path of the first route that can be built for the page.
+   */
+  pathFor(page, data = {}) {
+    for (let i = 0; i < this._routes.length; i++) {
+      const route = this._routes[i];
+      if (route.page === page) {
+        const { keys } = compilePath(route.path);
+        if (keys.every(key => data[key] !== undefined && data[key] !== null)) {
+          return normalizePath(route.path.replace(/:(\w+)/g, (match, key) => encodeURIComponent(data[key])));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Translates a path given to `pushPage()`-like methods into a page name and
+   * attaches the resulting path to the options.
+   *
+   * @param {*} page
+   * @param {Object} options
+   * @return {Object}
+   */
+  resolve(page, options) {
+    if (typeof page === 'string' && page.charAt(0) === '/') {
+      const matched = this.match(page);
+      if (matched) {
+        return {
+          page: matched.page,
+          options: util.extend(options, {
+            page: matched.page,
+            path: matched.path,
+            data: util.extend({}, matched.params, options.data || {})
+          })
+        };
+      }
+    }
+
+    if (options.path === undefined && typeof page === 'string') {
+      options.path = this.pathFor(page, options.data);
+    }
+
+    return { page, options };
+  }
+
+  /**
+   * @param {Element} pageElement
+   * @return {String|null}
+   */
+  pathOf(pageElement) {
+    const path = (pageElement.pushedOptions || {}).path;
+    if (typeof path === 'string') {
+      return path;
+    }
+
+    return this._navigator.pages[0] === pageElement ? '/' : null;
+  }
+
+  /**
+   * @return {Array} Paths of the current page stack.
+   */
+  getStack() {
+    return this._navigator.pages.map(page => this.pathOf(page));
+  }
+
+  _readStack(state) {
+    const stack = state && state[stateKey];
+    return stack instanceof Array && stack.length > 0 ? stack : null;
+  }
+
+  _writeState(method, stack) {
+    const path = stack[stack.length - 1];
+    const state = util.extend({}, window.history.state || {}, { [stateKey]: stack });
+    window.history[method](state, '', typeof path === 'string' ? this.toURL(path) : window.location.href);
+  }
+
+  _move(delta, callback) {
+    this._historyLock.waitUnlock(() => {
+      this._historyUnlock = this._historyLock.lock();
+      this._afterMove = callback;
+      this._moveTimer = setTimeout(() => this._endMove(), moveTimeout);
+      window.history.go(delta);
+    });
+  }
+
+  /**
+   * Runs the callback of the pending move and releases the history lock.
+   */
+  _endMove() {
+    const unlock = this._historyUnlock;
+    const callback = this._afterMove;
+
+    clearTimeout(this._moveTimer);
+    this._historyUnlock = this._afterMove = this._moveTimer = null;
+
+    if (unlock) {
+      callback && callback();
+      unlock();
+    }
+  }
+
+  /**
+   * Called after a page has been pushed on top of the stack.
+   */
+  push() {
+    this._historyLock.waitUnlock(() => this._writeState('pushState', this.getStack()));
+  }
+
+  /**
+   * Called after the top page has been replaced.
+   */
+  replace() {
+    this._historyLock.waitUnlock(() => this._writeState('replaceState', this.getStack()));
+  }
+
+  /**
+   * Called after some pages have been popped.
+   *
+   * @param {Number} times
+   */
+  pop(times = 1) {
+    this._move(-times, () => this._writeState('replaceState', this.getStack()));
+  }
+
+  /**
+   * Called after the stack has been reset to a single page.
+   *
+   * @param {Number} lastLength Stack length before the reset.
+   */
+  reset(lastLength) {
+    const done = () => this._writeState('replaceState', this.getStack());
+    lastLength > 1 ? this._move(1 - lastLength, done) : this._historyLock.waitUnlock(done);
+  }
+
+  /**
+   * Builds the stack that matches the current location, either from the
+   * history entry (reloads) or from the URL (deep links).
+   *
+   * @return {Promise}
+   */
+  restore() {
+    let stack = this._readStack(window.history.state);
+
+    if (!stack) {
+      const root = this._navigator.pages[0];
+      const rootPath = root && this.pathOf(root) || '/';
+      const path = this.getLocationPath();
+      stack = path !== rootPath && this.match(path) ? [rootPath, path] : [rootPath];
+
+      this._writeState('replaceState', stack.slice(0, 1));
+      stack.length > 1 && this._writeState('pushState', stack);
+    }
+
+    return this._reconcile(stack);
+  }
+
+  _onPopState(event) {
+    if (this._historyUnlock) {
+      this._endMove();
+      return;
+    }
+
+    let stack = this._readStack(event.state);
+    if (!stack) {
+      const path = this.getLocationPath();
+      const rootPath = this.getStack()[0] || '/';
+      stack = path !== rootPath && this.match(path) ? [rootPath, path] : [rootPath];
+    }
+
+    this._reconcile(stack).catch(error => {
+      if (!navigationGuard.isCanceled(error)) {
+        throw error;
+      }
+
+      // A guard kept the current page, so move the location back to it
+      const length = this.getStack().length;
+      stack.length === length
+        ? this._writeState('replaceState', this.getStack())
+        : this._move(stack.length < length ? 1 : -1);
+    });
+  }
+
+  /**
+   * Pushes or pops pages until the navigator stack matches the given paths.
+   *
+   * @param {Array} stack
+   * @return {Promise}
+   */
+  _reconcile(stack) {
+    const navigator = this._navigator;
+
+    if (navigator._isRunning && navigator._transition) {
+      const retry = () => this._reconcile(stack);
+      return Promise.resolve(navigator._transition).then(retry, retry);
+    }
+
+    const current = this.getStack();
+    stack = stack.filter((path, index) => index === 0 || typeof path === 'string' && this.match(path));
+
+    let common = 0;
+    while (common < current.length && common < stack.length && current[common] === stack[common]) {
+      common++;
+    }
+
+    if (common === current.length && common === stack.length) {
+      return Promise.resolve(navigator.topPage);
+    }
+
+    const options = { _skipRouter: true };
+    const pushRest = () => stack.slice(Math.max(common, 1)).reduce((promise, path, index, paths) => promise.then(() =>
+      navigator.pushPage(path, util.extend({}, options, index < paths.length - 1 ? { animation: 'none' } : {}))
+    ), Promise.resolve());
+
+    if (common === 0) {
+      const root = typeof stack[0] === 'string' && this.match(stack[0]) ? stack[0] : navigator._getPageTarget();
+      return navigator.resetToPage(root, util.extend({}, options, stack.length < current.length ? { pop: true } : {}))
+        .then(pushRest);
+    }
+
+    if (common === stack.length) {
+      return navigator.popPage(util.extend({}, options, { times: current.length - common }));
+    }
+
+    if (common < current.length) {
+      return navigator.popPage(util.extend({}, options, { times: current.length - common, animation: 'none' }))
+        .then(pushRest);
+    }
+
+    return pushRest();
+  }
+}
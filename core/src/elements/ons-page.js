@@ -128,6 +128,22 @@ export default class PageElement extends BaseElement {
    * @param {Object} event [en]Event object.[/en]
    */
 
+  /**
+   * @event activate
+   * @description
+   *   [en]Fired when a page kept alive by its navigator is attached again. It is fired instead of `init`.[/en]
+   *   [ja][/ja]
+   * @param {Object} event [en]Event object.[/en]
+   */
+
+  /**
+   * @event deactivate
+   * @description
+   *   [en]Fired when the page is detached and kept alive for later reuse. It is fired instead of `destroy`.[/en]
+   *   [ja][/ja]
+   * @param {Object} event [en]Event object.[/en]
+   */
+
   /**
    * @attribute modifier
    * @type {String}
@@ -210,7 +226,7 @@ export default class PageElement extends BaseElement {
     if (tagName === 'ons-fab') {
       return !el.hasAttribute('position');
     }
-    const fixedElements = ['script', 'ons-toolbar', 'ons-bottom-toolbar', 'ons-modal', 'ons-speed-dial', 'ons-dialog', 'ons-alert-dialog', 'ons-popover', 'ons-action-sheet'];
+    const fixedElements = ['script', 'ons-toolbar', 'ons-bottom-toolbar', 'ons-modal', 'ons-speed-dial', 'ons-dialog', 'ons-alert-dialog', 'ons-popover', 'ons-action-sheet', 'ons-list-index'];
     return el.hasAttribute('inline') || fixedElements.indexOf(tagName) === -1;
   }
 
@@ -334,6 +350,42 @@ export default class PageElement extends BaseElement {
     this._backButtonHandler = deviceBackButtonDispatcher.createHandler(this, callback);
   }
 
+  /**
+   * @property onCanLeave
+   * @type {Function}
+   * @description
+   *   [en]Navigation guard that is called before the page is left. It receives an object with `leavePage` and `enterPage` and may return a boolean or a Promise that resolves to a boolean. Returning `false` cancels the transition.[/en]
+   *   [ja][/ja]
+   */
+  set onCanLeave(value) {
+    if (value && !(value instanceof Function)) {
+      util.throw('"onCanLeave" must be function or null');
+    }
+    this._onCanLeave = value;
+  }
+
+  get onCanLeave() {
+    return this._onCanLeave;
+  }
+
+  /**
+   * @property onCanEnter
+   * @type {Function}
+   * @description
+   *   [en]Navigation guard that is called before the page is shown. Works like `onCanLeave`.[/en]
+   *   [ja][/ja]
+   */
+  set onCanEnter(value) {
+    if (value && !(value instanceof Function)) {
+      util.throw('"onCanEnter" must be function or null');
+    }
+    this._onCanEnter = value;
+  }
+
+  get onCanEnter() {
+    return this._onCanEnter;
+  }
+
   get scrollTop() {
     return this._contentElement.scrollTop;
   }
@@ -412,6 +464,18 @@ export default class PageElement extends BaseElement {
     }
   }
 
+  _activate() {
+    this.onActivate && this.onActivate();
+    util.triggerElementEvent(this, 'activate');
+  }
+
+  _deactivate() {
+    this._hide();
+
+    this.onDeactivate && this.onDeactivate();
+    util.triggerElementEvent(this, 'deactivate');
+  }
+
   _destroy() {
     this._hide();
 
@@ -445,7 +509,7 @@ export default class PageElement extends BaseElement {
   }
 
   static get events() {
-    return ['init', 'show', 'hide', 'destroy'];
+    return ['init', 'show', 'hide', 'destroy', 'activate', 'deactivate'];
   }
 
   /**
@@ -90,7 +90,7 @@ export default class SplitterContentElement extends BaseElement {
         const page = this._getPageTarget();
 
         if (page) {
-          this.load(page);
+          this.load(page).catch(error => util.warn(error));
         }
       });
     });
@@ -167,14 +167,14 @@ export default class SplitterContentElement extends BaseElement {
    *   [en]Show the page specified in `page` in the content.[/en]
    *   [ja]指定したURLをメインページを読み込みます。[/ja]
    * @return {Promise}
-   *   [en]Resolves to the new `<ons-page>` element[/en]
+   *   [en]Resolves to the new `<ons-page>` element. Rejects when the page cannot be loaded.[/en]
    *   [ja]`<ons-page>`要素を解決するPromiseオブジェクトを返します。[/ja]
    */
   load(page, options = {}) {
     this._page = page;
     const callback = options.callback || function() {};
 
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
       let oldContent = this._content || null;
 
       this._pageLoader.load({page, parent: this}, pageElement => {
@@ -187,7 +187,7 @@ export default class SplitterContentElement extends BaseElement {
 
         callback(pageElement);
         resolve(pageElement);
-      });
+      }, reject);
     });
   }
 
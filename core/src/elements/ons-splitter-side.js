@@ -25,6 +25,7 @@ import BaseElement from './base/base-element';
 import SplitterAnimator from './ons-splitter/animator';
 import SwipeReveal from '../ons/internal/swipe-reveal';
 import DoorLock from '../ons/doorlock';
+import deviceBackButtonDispatcher, { BackButtonPriority } from '../ons/internal/device-back-button-dispatcher';
 import contentReady from '../ons/content-ready';
 import { PageLoader, defaultPageLoader} from '../ons/page-loader';
 import SplitterElement from './ons-splitter';
@@ -327,7 +328,7 @@ export default class SplitterSideElement extends BaseElement {
 
       rewritables.ready(this, () => {
         const page = this._page || this.getAttribute('page');
-        page && this.load(page);
+        page && this.load(page).catch(error => util.warn(error));
       });
     });
   }
@@ -375,6 +376,12 @@ export default class SplitterSideElement extends BaseElement {
 
     this.attributeChangedCallback('swipeable');
 
+    // Open menus take the back button before the splitter content
+    this._backButtonHandler = deviceBackButtonDispatcher.createHandler(this, this._onDeviceBackButton.bind(this), {
+      priority: () => this.isOpen ? BackButtonPriority.SIDE_MENU : BackButtonPriority.DEFAULT,
+      isVisible: () => this._mode === SPLIT_MODE || this.isOpen
+    });
+
     contentReady(this, () => {
       this.constructor.observedAttributes.forEach(attr => this.attributeChangedCallback(attr, null, this.getAttribute(attr)));
     });
@@ -387,6 +394,12 @@ export default class SplitterSideElement extends BaseElement {
   disconnectedCallback() {
     this._swipe && this._swipe.dispose();
     this._animator = this._animationOpt = this._swipe = null;
+    this._backButtonHandler && this._backButtonHandler.destroy();
+    this._backButtonHandler = null;
+  }
+
+  _onDeviceBackButton(event) {
+    this.isOpen ? this.close() : event.callParentHandler();
   }
 
   static get observedAttributes() {
@@ -645,6 +658,50 @@ export default class SplitterSideElement extends BaseElement {
     });
   }
 
+  /**
+   * @method getState
+   * @signature getState()
+   * @return {Object}
+   *   [en]JSON-serializable object containing the open state of the menu.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Takes a snapshot of the splitter side that can be passed later to `restoreState()`.[/en]
+   *   [ja][/ja]
+   */
+  getState() {
+    return { open: this.isOpen };
+  }
+
+  /**
+   * @method restoreState
+   * @signature restoreState(state)
+   * @param {Object} state
+   *   [en]Object previously returned by `getState()`.[/en]
+   *   [ja][/ja]
+   * @return {Promise}
+   *   [en]Resolves to the splitter side element or false if not in collapse mode[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Opens or closes the menu without animation depending on the snapshot.[/en]
+   *   [ja][/ja]
+   */
+  restoreState(state = {}) {
+    const animator = this._animator;
+    if (!animator) {
+      return Promise.resolve(false);
+    }
+
+    const { duration, delay } = animator;
+    const restoreOptions = result => {
+      animator.updateOptions({ duration, delay });
+      return result;
+    };
+
+    animator.updateOptions({ duration: 0, delay: 0 });
+    return this.toggle({}, !!state.open)
+      .then(restoreOptions, error => Promise.reject(restoreOptions(error)));
+  }
+
   /**
    * @method load
    * @signature load(page, [options])
@@ -657,14 +714,14 @@ export default class SplitterSideElement extends BaseElement {
    *   [en]Show the page specified in pageUrl in the right section[/en]
    *   [ja]指定したURLをメインページを読み込みます。[/ja]
    * @return {Promise}
-   *   [en]Resolves to the new page element[/en]
+   *   [en]Resolves to the new page element. Rejects when the page cannot be loaded.[/en]
    *   [ja][/ja]
    */
   load(page, options = {}) {
     this._page = page;
     const callback = options.callback || (() => {});
 
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
       let oldContent = this._content || null;
 
       this._pageLoader.load({page, parent: this}, pageElement => {
@@ -677,7 +734,7 @@ export default class SplitterSideElement extends BaseElement {
 
         callback(pageElement);
         resolve(pageElement);
-      });
+      }, reject);
     });
   }
 
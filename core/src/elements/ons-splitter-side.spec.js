@@ -104,6 +104,44 @@ describe('OnsSplitterSideElement', () => {
     });
   });
 
+  describe('#onDeviceBackButton', () => {
+    it('receives the back button while open', () => {
+      const chain = () => ons._internal.dbbDispatcher.getHandlerChain();
+      expect(chain()[0]._element).not.to.equal(right);
+
+      return right.open().then(() => {
+        expect(chain()[0]._element).to.equal(right);
+        expect(chain()[1]._element).to.equal(splitter);
+      });
+    });
+
+    it('closes the menu', () => {
+      return right.open().then(() => {
+        const spy = chai.spy.on(right, 'close');
+        ons._internal.dbbDispatcher._dispatchDeviceBackButtonEvent();
+        expect(spy).to.have.been.called.once;
+      });
+    });
+  });
+
+  describe('#getState()', () => {
+    it('returns the open state', () => {
+      expect(right.getState()).to.deep.equal({ open: false });
+      return right.open().then(() => expect(right.getState()).to.deep.equal({ open: true }));
+    });
+  });
+
+  describe('#restoreState()', () => {
+    it('opens the menu', () => {
+      return right.restoreState({ open: true }).then(() => expect(right.isOpen).to.be.true);
+    });
+
+    it('keeps the animation options', () => {
+      const duration = right._animator.duration;
+      return right.restoreState({ open: true }).then(() => expect(right._animator.duration).to.equal(duration));
+    });
+  });
+
   describe('#ignoreSwipe()', () => {
     const shouldIgnore = (gesture, value) => {
       gesture.center = gesture.center || {};
@@ -23,6 +23,8 @@ import BaseElement from './base/base-element';
 import TabbarElement from './ons-tabbar';
 import contentReady from '../ons/content-ready';
 import { PageLoader, defaultPageLoader } from '../ons/page-loader';
+import pageResolver from '../ons/page-resolver';
+import navigationGuard from '../ons/navigation-guard';
 
 const defaultClassName = 'tabbar__item';
 
@@ -158,6 +160,42 @@ export default class TabElement extends BaseElement {
     return this._pageLoader;
   }
 
+  /**
+   * @property resolve
+   * @type {Function}
+   * @description
+   *   [en]
+   *     Function that loads the data of the tab page before it is loaded. It gets an object with `tab`, `tabbar`, `page` and `signal` (an `AbortSignal` where supported) and may return a promise.
+   *     The resolved object is stored in the page as `data`. The loading is aborted if the tab is removed or another tab is shown in the meantime. Failed or aborted tabs load again the next time they are shown.
+   *   [/en]
+   *   [ja][/ja]
+   */
+  get resolve() {
+    return this._resolve;
+  }
+
+  set resolve(value) {
+    if (value && !(value instanceof Function)) {
+      util.throw('"resolve" must be a function');
+    }
+    this._resolve = value;
+  }
+
+  /**
+   * @property resolveProgress
+   * @type {Boolean|HTMLElement}
+   * @description
+   *   [en]Progress indicator displayed while `resolve` runs. `true` uses the first `<ons-progress-bar>` of the page that contains the tabbar.[/en]
+   *   [ja][/ja]
+   */
+  get resolveProgress() {
+    return this._resolveProgress;
+  }
+
+  set resolveProgress(value) {
+    this._resolveProgress = value;
+  }
+
   _compile() {
     autoStyle.prepare(this);
     this.classList.add(defaultClassName);
@@ -262,13 +300,80 @@ export default class TabElement extends BaseElement {
   _loadPageElement(parent, page) {
     this._hasLoaded = true;
 
-    return new Promise(resolve => {
-      this._pageLoader.load({ parent, page }, pageElement => {
+    const load = data => new Promise((resolve, reject) => {
+      this._pageLoader.load({ parent, page, params: data }, pageElement => {
         parent.replaceChild(pageElement, parent.children[this.index]); // Ensure position
         this._loadedPage = pageElement;
+        this._isUnloaded = false;
+        if (data) {
+          pageElement.data = util.extend({}, pageElement.data || {}, data);
+        }
         resolve(pageElement);
+      }, error => {
+        this._hasLoaded = false;
+        this.loaded = null;
+        reject(error);
       });
     });
+
+    if (!(this._resolve instanceof Function)) {
+      return load();
+    }
+
+    const tabbar = this._tabbar;
+    const progress = pageResolver.getProgressElement(this._resolveProgress, util.findParent(tabbar, 'ons-page') || tabbar);
+    this._resolveTask = pageResolver.start(this._resolve, { tab: this, tabbar, page }, progress);
+
+    const task = this._resolveTask;
+
+    return task.promise
+      .then(result => {
+        this._resolveTask = null;
+        return load(pageResolver.mergeData(null, result));
+      }, error => {
+        // Failed or aborted tabs load again the next time they are shown
+        if (this._resolveTask === task) {
+          this._resolveTask = null;
+          this._hasLoaded = false;
+          this.loaded = null;
+        }
+        throw error;
+      });
+  }
+
+  /**
+   * Aborts the pending `resolve`, the tab loads again the next time it is shown.
+   */
+  _abortResolve() {
+    if (this._resolveTask) {
+      const task = this._resolveTask;
+      this._resolveTask = null;
+      this._hasLoaded = false;
+      this.loaded = null;
+      task.abort();
+    }
+  }
+
+  _unloadPageElement() {
+    const pageElement = this._loadedPage;
+    if (!pageElement) {
+      return;
+    }
+
+    // Keeps the position of the following pages
+    pageElement.parentNode.insertBefore(util.create('div', { height: '100%', width: '100%', visibility: 'hidden' }), pageElement);
+
+    this._loadedPage = this.loaded = null;
+    this._isUnloaded = true;
+    this._inactiveSwitches = 0;
+    this._pageLoader.unload(pageElement);
+  }
+
+  _reloadPageElement() {
+    if (!this.loaded) {
+      this.loaded = this._loadPageElement(this._tabbar._targetElement, this.page || this.getAttribute('page'));
+    }
+    return this.loaded;
   }
 
   get pageElement() {
@@ -276,6 +381,10 @@ export default class TabElement extends BaseElement {
     if (this._loadedPage) {
       return this._loadedPage;
     }
+    // Unloaded by the tabbar
+    if (this._isUnloaded) {
+      return null;
+    }
     // Manually attached to DOM, 1 per tab
     const tabbar = this._tabbar;
     if (tabbar.pages.length === tabbar.tabs.length) {
@@ -294,6 +403,7 @@ export default class TabElement extends BaseElement {
 
   disconnectedCallback() {
     this.removeEventListener('click', this._onClick, false);
+    this._abortResolve();
     if (this._loadedPage) {
       this._hasLoaded = false;
       this.loaded = null;
@@ -309,6 +419,7 @@ export default class TabElement extends BaseElement {
 
     const deferred = util.defer();
     this.loaded = deferred.promise;
+    deferred.promise.catch(error => navigationGuard.isCanceled(error) || util.warn(error));
 
     contentReady(this, () => {
       const index = this.index;
@@ -339,7 +450,7 @@ export default class TabElement extends BaseElement {
             const dummyPage = util.create('div', { height: '100%', width: '100%', visibility: 'hidden' });
             parentTarget.insertBefore(dummyPage, parentTarget.children[index]); // Ensure position
 
-            const load = () => this._loadPageElement(parentTarget, pageTarget).then(deferred.resolve);
+            const load = () => this._loadPageElement(parentTarget, pageTarget).then(deferred.resolve, deferred.reject);
             return this.isActive() ? load() : tabbar._loadInactive.promise.then(load);
           }
 
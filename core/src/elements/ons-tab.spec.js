@@ -252,6 +252,105 @@ describe('OnsTabElement', () => {
       document.body.appendChild(tabbar);
     });
 
+    it('resolves the page data before loading', (done) => {
+      const tabbar = document.createElement('ons-tabbar');
+      const template1 = ons.createElement('<template id="t1"><ons-page id="page1"></ons-page></template>');
+      const tab = ons.createElement('<ons-tab label="tab1" page="t1"></ons-tab>');
+      tab.resolve = context => {
+        expect(context.tab).to.equal(tab);
+        expect(context.page).to.equal('t1');
+        return Promise.resolve({ name: 'resolved' });
+      };
+
+      tabbar.addEventListener('init', event => {
+        expect(event.target.data).to.deep.equal({ name: 'resolved' });
+
+        tabbar.remove();
+        template1.remove();
+        done();
+      });
+
+      tabbar.appendChild(tab);
+      document.body.appendChild(template1);
+      document.body.appendChild(tabbar);
+    });
+
+    it('aborts the resolver when the tab is removed', () => {
+      const tabbar = document.createElement('ons-tabbar');
+      const tab = ons.createElement('<ons-tab label="tab1" page="t1"></ons-tab>');
+      let signal;
+      tab.resolve = context => {
+        signal = context.signal;
+        return new Promise(() => {});
+      };
+
+      tabbar.appendChild(tab);
+      document.body.appendChild(tabbar);
+
+      return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+        expect(tab._resolveTask).to.be.ok;
+        tabbar.remove();
+        expect(tab._resolveTask).to.be.null;
+        signal && expect(signal.aborted).to.be.true;
+      });
+    });
+
+    it('aborts the resolver when another tab is shown', () => {
+      const tabbar = ons.createElement(`
+        <ons-tabbar>
+          <ons-tab label="tab1" page="t1" active></ons-tab>
+          <ons-tab label="tab2" page="t1"></ons-tab>
+        </ons-tabbar>
+      `);
+      const template1 = ons.createElement('<template id="t1"><ons-page></ons-page></template>');
+      const tab = tabbar.querySelector('ons-tab');
+      let signal;
+      tab.resolve = context => {
+        signal = context.signal;
+        return new Promise(() => {});
+      };
+
+      document.body.appendChild(template1);
+      document.body.appendChild(tabbar);
+
+      return new Promise(resolve => setTimeout(resolve, 20))
+        .then(() => {
+          expect(tab._resolveTask).to.be.ok;
+          return tabbar.setActiveTab(1, { animation: 'none' });
+        })
+        .then(() => {
+          expect(tab._resolveTask).to.be.null;
+          expect(tab.loaded).to.be.null;
+          signal && expect(signal.aborted).to.be.true;
+          tabbar.remove();
+          template1.remove();
+        });
+    });
+
+    it('loads again after the resolver fails', () => {
+      const tabbar = document.createElement('ons-tabbar');
+      const template1 = ons.createElement('<template id="t1"><ons-page></ons-page></template>');
+      const tab = ons.createElement('<ons-tab label="tab1" page="t1" active></ons-tab>');
+      let calls = 0;
+      tab.resolve = () => ++calls === 1 ? Promise.reject(new Error('fail')) : Promise.resolve({ name: 'resolved' });
+
+      tabbar.appendChild(tab);
+      document.body.appendChild(template1);
+      document.body.appendChild(tabbar);
+
+      return new Promise(resolve => setTimeout(resolve, 20))
+        .then(() => {
+          expect(tab.loaded).to.be.null;
+          return tab._reloadPageElement();
+        })
+        .then(page => {
+          expect(calls).to.equal(2);
+          expect(page.data).to.deep.equal({ name: 'resolved' });
+          tabbar.remove();
+          template1.remove();
+        });
+    });
+
     it('uses existing pages', (done) => {
       const tab = ons.createElement('<ons-tab label="tab1"></ons-tab>');
       const tabbar = ons.createElement(`
@@ -23,6 +23,8 @@ import Swiper from '../../ons/internal/swiper';
 import ModifierUtil from '../../ons/internal/modifier-util';
 import BaseElement from '../base/base-element';
 import contentReady from '../../ons/content-ready';
+import navigationGuard from '../../ons/navigation-guard';
+import deviceBackButtonDispatcher from '../../ons/internal/device-back-button-dispatcher';
 
 const scheme = {
   '.tabbar__content': 'tabbar--*__content',
@@ -201,6 +203,14 @@ export default class TabbarElement extends BaseElement {
    *   [ja][/ja]
    */
 
+  /**
+   * @attribute unload-inactive
+   * @type {Number}
+   * @description
+   *   [en]Unloads the page of a tab after it stays inactive for the given number of tab switches. The page is loaded again when the tab is activated. Only applies to pages loaded with the `page` attribute of `<ons-tab>`.[/en]
+   *   [ja][/ja]
+   */
+
   /**
    * @attribute modifier
    * @type {String}
@@ -216,6 +226,8 @@ export default class TabbarElement extends BaseElement {
   }
 
   connectedCallback() {
+    this.onDeviceBackButton = event => event.callParentHandler();
+
     if (!this._swiper) {
       this._swiper = new Swiper({
         getElement: () => this._contentElement,
@@ -245,6 +257,11 @@ export default class TabbarElement extends BaseElement {
   }
 
   disconnectedCallback() {
+    if (this._backButtonHandler) {
+      this._backButtonHandler.destroy();
+      this._backButtonHandler = null;
+    }
+
     if (this._swiper && this._swiper.initialized) {
       this._swiper.dispose();
       this._swiper = null;
@@ -262,9 +279,37 @@ export default class TabbarElement extends BaseElement {
     util.triggerElementEvent(this, 'postchange', event);
     const page = event.tabItem.pageElement;
     page && page._show();
+
+    this._unloadInactivePages(event.index);
+  }
+
+  _unloadInactivePages(activeIndex) {
+    const limit = parseInt(this.getAttribute('unload-inactive'), 10);
+    if (!(limit > 0)) {
+      return;
+    }
+
+    this.tabs.forEach((tab, index) => {
+      if (index === activeIndex) {
+        tab._inactiveSwitches = 0;
+      } else if (tab._loadedPage) {
+        tab._inactiveSwitches = (tab._inactiveSwitches || 0) + 1;
+        tab._inactiveSwitches >= limit && tab._unloadPageElement();
+      }
+    });
   }
 
   _onPreChange(event) {
+    const { activeIndex, lastActiveIndex } = event;
+    const prevTab = this.tabs[lastActiveIndex];
+    const guardContext = { tabbar: this, leavePage: prevTab && prevTab.pageElement, enterPage: this.tabs[activeIndex].pageElement };
+
+    // Swipes cannot wait for async guards: snap back and let setActiveTab await them
+    if (event.swipe && navigationGuard.has(guardContext, ['onCanLeave', 'onCanEnter'])) {
+      setImmediate(() => this.setActiveTab(activeIndex, { reject: false }));
+      return true;
+    }
+
     event = this._normalizeEvent(event);
     event.cancel = () => event.canceled = true;
 
@@ -453,22 +498,34 @@ export default class TabbarElement extends BaseElement {
       return Promise.resolve(nextTab.pageElement);
     }
 
+    // Leaving a tab whose data is still resolving cancels it
+    prevTab && prevTab._abortResolve();
+
     // FIXME: nextTab.loaded is broken in Zone.js promises (Angular2)
     const nextPage = nextTab.pageElement;
-    return (nextPage ? Promise.resolve(nextPage) : nextTab.loaded)
-      .then(nextPage => this._swiper.setActiveIndex(nextIndex, {
-        reject: true,
-        ...options,
-        animation: prevTab && nextPage ? options.animation || this.getAttribute('animation') : 'none',
-        animationOptions: util.extend(
-          { duration: .3, timing: 'cubic-bezier(.4, .7, .5, 1)' },
-          this.hasAttribute('animation-options') ? util.animationOptionsParse(this.getAttribute('animation-options')) : {},
-          options.animationOptions || {}
-        )
-      }).then(() => {
-        options.callback instanceof Function && options.callback(nextPage);
-        return nextPage;
-      }));
+    return (nextPage ? Promise.resolve(nextPage) : nextTab.loaded || nextTab._reloadPageElement())
+      .then(nextPage => {
+        const guardContext = { tabbar: this, leavePage: prevTab && prevTab.pageElement, enterPage: nextPage };
+        return navigationGuard.run(guardContext, ['onCanLeave', 'onCanEnter'], () => this._swiper.setActiveIndex(nextIndex, {
+          reject: true,
+          ...options,
+          animation: prevTab && nextPage ? options.animation || this.getAttribute('animation') : 'none',
+          animationOptions: util.extend(
+            { duration: .3, timing: 'cubic-bezier(.4, .7, .5, 1)' },
+            this.hasAttribute('animation-options') ? util.animationOptionsParse(this.getAttribute('animation-options')) : {},
+            options.animationOptions || {}
+          )
+        }).then(() => {
+          options.callback instanceof Function && options.callback(nextPage);
+          return nextPage;
+        }));
+      })
+      .catch(error => {
+        if (options.reject === false && navigationGuard.isCanceled(error)) {
+          return prevTab && prevTab.pageElement;
+        }
+        throw error;
+      });
   }
 
   /**
@@ -540,6 +597,25 @@ export default class TabbarElement extends BaseElement {
     this._onSwipe = value;
   }
 
+  /**
+   * @property onDeviceBackButton
+   * @type {Object}
+   * @description
+   *   [en]Back-button handler. By default the event is passed to the parent handler.[/en]
+   *   [ja]バックボタンハンドラ。[/ja]
+   */
+  get onDeviceBackButton() {
+    return this._backButtonHandler;
+  }
+
+  set onDeviceBackButton(callback) {
+    if (this._backButtonHandler) {
+      this._backButtonHandler.destroy();
+    }
+
+    this._backButtonHandler = deviceBackButtonDispatcher.createHandler(this, callback);
+  }
+
   /**
    * @method getActiveTabIndex
    * @signature getActiveTabIndex()
@@ -559,6 +635,41 @@ export default class TabbarElement extends BaseElement {
     return -1;
   }
 
+  /**
+   * @method getState
+   * @signature getState()
+   * @return {Object}
+   *   [en]JSON-serializable object containing the active tab index.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Takes a snapshot of the tabbar that can be passed later to `restoreState()`.[/en]
+   *   [ja][/ja]
+   */
+  getState() {
+    return { activeIndex: this.getActiveTabIndex() };
+  }
+
+  /**
+   * @method restoreState
+   * @signature restoreState(state)
+   * @param {Object} state
+   *   [en]Object previously returned by `getState()`.[/en]
+   *   [ja][/ja]
+   * @return {Promise}
+   *   [en]A promise that resolves to the active page element.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Activates the tab stored in the snapshot without animation.[/en]
+   *   [ja][/ja]
+   */
+  restoreState(state = {}) {
+    if (!util.isInteger(state.activeIndex) || state.activeIndex < 0) {
+      return Promise.resolve(this.topPage);
+    }
+
+    return this.setActiveTab(state.activeIndex, { animation: 'none' });
+  }
+
   _show() {
     this._swiper.show();
 
@@ -567,7 +678,9 @@ export default class TabbarElement extends BaseElement {
       const activeIndex = this.getActiveTabIndex(tabs);
       this._loadInactive.resolve();
       if (tabs.length > 0 && activeIndex >= 0) {
-        tabs[activeIndex].loaded.then(el => el && setImmediate(() => el._show()));
+        const loaded = tabs[activeIndex].loaded;
+        // Failures are reported by the tab
+        loaded && loaded.then(el => el && setImmediate(() => el._show()), () => {});
       }
     });
   }
@@ -246,6 +246,24 @@ describe('OnsTabbarElement', () => {
       return expect(element.setActiveTab(1)).to.eventually.be.rejected;
     });
 
+    it('is canceled by navigation guards', () => {
+      element.pages[0].onCanLeave = () => Promise.resolve(false);
+      return element.setActiveTab(1).then(() => {
+        throw new Error('setActiveTab should be canceled');
+      }, error => {
+        expect(error).to.be.an.instanceof(ons.NavigationCanceledError);
+        expect(element.getActiveTabIndex()).to.equal(0);
+      });
+    });
+
+    it('resolves to the current page when a guard cancels and reject is false', () => {
+      element.pages[1].onCanEnter = () => false;
+      return element.setActiveTab(1, { reject: false }).then(page => {
+        expect(page).to.equal(element.pages[0]);
+        expect(element.getActiveTabIndex()).to.equal(0);
+      });
+    });
+
     it('returns a promise that resolves to the new page', () => {
       expect(element.topPage).to.equal(element.pages[0]);
       return expect(element.setActiveTab(1)).to.eventually.be.fulfilled.then(page => {
@@ -256,6 +274,76 @@ describe('OnsTabbarElement', () => {
     });
   });
 
+  describe('#getState()', () => {
+    it('returns the active tab index', () => {
+      expect(element.getState()).to.deep.equal({ activeIndex: 0 });
+      return element.setActiveTab(1).then(() => expect(element.getState()).to.deep.equal({ activeIndex: 1 }));
+    });
+  });
+
+  describe('#restoreState()', () => {
+    it('activates the stored tab', () => {
+      return element.restoreState({ activeIndex: 1 }).then(page => {
+        expect(element.getActiveTabIndex()).to.equal(1);
+        expect(page).to.equal(element.pages[1]);
+      });
+    });
+
+    it('ignores invalid states', () => {
+      return element.restoreState({}).then(() => expect(element.getActiveTabIndex()).to.equal(0));
+    });
+  });
+
+  describe('unload-inactive attribute', () => {
+    let tabbar, templates;
+
+    beforeEach(done => {
+      templates = ['ui-page1', 'ui-page2', 'ui-page3'].map(id => {
+        const template = ons._util.createElement(`<template id="${id}"><ons-page>${id}</ons-page></template>`);
+        document.body.appendChild(template);
+        return template;
+      });
+
+      tabbar = ons._util.createElement(`
+        <ons-tabbar unload-inactive="1">
+          <ons-tab page="ui-page1" active></ons-tab>
+          <ons-tab page="ui-page2"></ons-tab>
+          <ons-tab page="ui-page3"></ons-tab>
+        </ons-tabbar>
+      `);
+      document.body.appendChild(tabbar);
+
+      setImmediate(() => {
+        tabbar._show();
+        Promise.all(tabbar.tabs.map(tab => tab.loaded)).then(() => done());
+      });
+    });
+
+    afterEach(() => {
+      tabbar.remove();
+      templates.forEach(template => template.remove());
+      tabbar = templates = null;
+    });
+
+    it('unloads inactive pages and loads them again', () => {
+      const firstPage = tabbar.tabs[0].pageElement;
+      const spy = chai.spy.on(firstPage, '_destroy');
+
+      return tabbar.setActiveTab(1, { animation: 'none' })
+        .then(() => {
+          expect(spy).to.have.been.called.once;
+          expect(tabbar.tabs[0].pageElement).to.be.null;
+          expect(tabbar.pages.length).to.equal(3);
+          return tabbar.setActiveTab(0, { animation: 'none' });
+        })
+        .then(page => {
+          expect(page).not.to.equal(firstPage);
+          expect(page).to.equal(tabbar.tabs[0].pageElement);
+          expect(tabbar.pages[0]).to.equal(page);
+        });
+    });
+  });
+
   describe('#_compile()', () => {
     it('does not compile twice', () => {
       const div1 = document.createElement('div');
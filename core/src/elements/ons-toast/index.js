@@ -87,6 +87,11 @@ export default class ToastElement extends BaseDialogElement {
     contentReady(this, () => this._compile());
   }
 
+  // Toasts do not block the app, they stay out of the dialog stack
+  get _stackable() {
+    return false;
+  }
+
   get _scheme() {
     return scheme;
   }
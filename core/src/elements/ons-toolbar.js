@@ -47,6 +47,9 @@ const scheme = {
  * @modifier noshadow
  *   [en]Toolbar without shadow.[/en]
  *   [ja]ツールバーに影を付けずに表示します。[/ja]
+ * @modifier selection
+ *   [en]Contextual toolbar for a list in selection mode. `.toolbar__selection-count` elements show the number of selected items. See the `selection-toolbar` attribute of `<ons-list>`.[/en]
+ *   [ja][/ja]
  * @description
  *   [en]
  *     Toolbar component that can be used with navigation.
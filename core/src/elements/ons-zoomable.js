@@ -0,0 +1,456 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import onsElements from '../ons/elements';
+import util from '../ons/util';
+import animit from '../ons/animit';
+import GestureDetector from '../ons/gesture-detector';
+import BaseElement from './base/base-element';
+import contentReady from '../ons/content-ready';
+
+const defaultClassName = 'zoomable';
+const contentClassName = 'zoomable__content';
+const animationOptions = { duration: .3, timing: 'cubic-bezier(.1, .7, .1, 1)' };
+const rubberBand = 0.35; // Resistance beyond the limits
+const momentum = 200; // ms of movement added after releasing
+
+/**
+ * @element ons-zoomable
+ * @category carousel
+ * @description
+ *   [en]
+ *     Displays content, usually an image, that can be zoomed with a pinch or a double tap and panned while zoomed.
+ *
+ *     Inside `<ons-carousel>`, the carousel does not swipe while the content is zoomed unless the content is dragged beyond its edge. The zoom is reset when the active item changes.
+ *   [/en]
+ *   [ja][/ja]
+ * @seealso ons-carousel
+ *   [en]`<ons-carousel>` component[/en]
+ *   [ja]ons-carouselコンポーネント[/ja]
+ * @example
+ * <ons-carousel swipeable auto-scroll fullscreen>
+ *   <ons-carousel-item>
+ *     <ons-zoomable max-zoom="4">
+ *       <img src="photo.jpg">
+ *     </ons-zoomable>
+ *   </ons-carousel-item>
+ * </ons-carousel>
+ */
+export default class ZoomableElement extends BaseElement {
+
+  /**
+   * @attribute min-zoom
+   * @type {Number}
+   * @default 1
+   * @description
+   *   [en]Minimum zoom level.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute max-zoom
+   * @type {Number}
+   * @default 3
+   * @description
+   *   [en]Maximum zoom level.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @attribute double-tap-zoom
+   * @type {Number}
+   * @default 2
+   * @description
+   *   [en]Zoom level applied by a double tap. Another double tap goes back to the minimum zoom.[/en]
+   *   [ja][/ja]
+   */
+
+  /**
+   * @event zoomchange
+   * @description
+   *   [en]Fired when the zoom level has changed, after the gesture or the animation.[/en]
+   *   [ja][/ja]
+   * @param {Object} event
+   *   [en]Event object.[/en]
+   *   [ja]イベントオブジェクト。[/ja]
+   * @param {Object} event.zoomable
+   *   [en]Zoomable object.[/en]
+   *   [ja][/ja]
+   * @param {Number} event.zoom
+   *   [en]Current zoom level.[/en]
+   *   [ja][/ja]
+   */
+
+  constructor() {
+    super();
+
+    this._zoom = 1;
+    this._x = this._y = 0;
+    this._gesture = null;
+
+    util.bindListeners(this, ['_onTouch', '_onDragStart', '_onDrag', '_onDragEnd',
+      '_onTransformStart', '_onTransform', '_onTransformEnd', '_onDoubleTap', '_onPostChange']);
+
+    contentReady(this, () => this._compile());
+  }
+
+  _compile() {
+    this.classList.add(defaultClassName);
+
+    if (!util.findChild(this, `.${contentClassName}`)) {
+      const content = document.createElement('div');
+      content.classList.add(contentClassName);
+      while (this.firstChild) {
+        content.appendChild(this.firstChild);
+      }
+      this.appendChild(content);
+    }
+
+    // Start at the minimum zoom
+    this._zoom = this.minZoom;
+    this._zoom !== 1 && this._render();
+  }
+
+  connectedCallback() {
+    this._gestureDetector = new GestureDetector(this, { dragMinDistance: 1, dragLockToAxis: true, passive: false });
+    this._gestureDetector.on('touch', this._boundOnTouch);
+    this._gestureDetector.on('dragstart', this._boundOnDragStart);
+    this._gestureDetector.on('drag', this._boundOnDrag);
+    this._gestureDetector.on('dragend', this._boundOnDragEnd);
+    this._gestureDetector.on('transformstart', this._boundOnTransformStart);
+    this._gestureDetector.on('transform', this._boundOnTransform);
+    this._gestureDetector.on('transformend', this._boundOnTransformEnd);
+    this._gestureDetector.on('doubletap', this._boundOnDoubleTap);
+
+    this._carousel = util.findParent(this, 'ons-carousel');
+    this._carousel && this._carousel.addEventListener('postchange', this._boundOnPostChange);
+  }
+
+  disconnectedCallback() {
+    this._carousel && this._carousel.removeEventListener('postchange', this._boundOnPostChange);
+    this._carousel = null;
+
+    if (this._gestureDetector) {
+      this._gestureDetector.dispose();
+      this._gestureDetector = null;
+    }
+  }
+
+  _getContent() {
+    return util.findChild(this, `.${contentClassName}`);
+  }
+
+  _getNumberAttribute(name, defaultValue) {
+    const value = parseFloat(this.getAttribute(name));
+    return value > 0 ? value : defaultValue;
+  }
+
+  /**
+   * @property minZoom
+   * @readonly
+   * @type {Number}
+   * @description
+   *   [en]Minimum zoom level.[/en]
+   *   [ja][/ja]
+   */
+  get minZoom() {
+    return this._getNumberAttribute('min-zoom', 1);
+  }
+
+  /**
+   * @property maxZoom
+   * @readonly
+   * @type {Number}
+   * @description
+   *   [en]Maximum zoom level.[/en]
+   *   [ja][/ja]
+   */
+  get maxZoom() {
+    return Math.max(this.minZoom, this._getNumberAttribute('max-zoom', 3));
+  }
+
+  /**
+   * @property zoom
+   * @readonly
+   * @type {Number}
+   * @description
+   *   [en]Current zoom level.[/en]
+   *   [ja][/ja]
+   */
+  get zoom() {
+    return this._zoom;
+  }
+
+  get _zoomed() {
+    return this._zoom > this.minZoom + 0.01;
+  }
+
+  // Translation limits for a zoom level, content smaller than the element is centered
+  _getBounds(zoom = this._zoom) {
+    const width = this.offsetWidth, height = this.offsetHeight;
+    const bound = (size) => {
+      const min = size - size * zoom;
+      return min > 0 ? { min: min / 2, max: min / 2 } : { min, max: 0 };
+    };
+
+    return { x: bound(width), y: bound(height) };
+  }
+
+  _limit(value, { min, max }, resistance = 0) {
+    if (value < min) {
+      return resistance ? min - (min - value) * resistance : min;
+    }
+    if (value > max) {
+      return resistance ? max + (value - max) * resistance : max;
+    }
+    return value;
+  }
+
+  _render(animation) {
+    const transform = `translate3d(${this._x}px, ${this._y}px, 0) scale(${this._zoom})`;
+
+    return new Promise(resolve => {
+      animit(this._getContent())
+        .queue({ transform }, animation ? animationOptions : {})
+        .play(resolve);
+    });
+  }
+
+  // Moves the content back to the limits after a pinch
+  _settle() {
+    const zoom = this._limit(this._zoom, { min: this.minZoom, max: this.maxZoom });
+    const rect = this.getBoundingClientRect();
+
+    return this._zoomAround(zoom, rect.left + rect.width / 2, rect.top + rect.height / 2, true, false);
+  }
+
+  // Zooms keeping the point under (clientX, clientY) in place
+  _zoomAround(zoom, clientX, clientY, animation, notify = true) {
+    const rect = this.getBoundingClientRect();
+    const x = clientX - rect.left, y = clientY - rect.top;
+    const ratio = zoom / this._zoom;
+    const bounds = this._getBounds(zoom);
+
+    this._x = this._limit(x - (x - this._x) * ratio, bounds.x);
+    this._y = this._limit(y - (y - this._y) * ratio, bounds.y);
+    const changed = zoom !== this._zoom;
+    this._zoom = zoom;
+
+    return this._render(animation).then(() => {
+      changed && notify && util.triggerElementEvent(this, 'zoomchange', { zoomable: this, zoom });
+    });
+  }
+
+  /**
+   * @method zoomTo
+   * @signature zoomTo(zoom, [options])
+   * @param {Number} zoom
+   *   [en]Zoom level, limited by `min-zoom` and `max-zoom`.[/en]
+   *   [ja][/ja]
+   * @param {Object} [options]
+   *   [en]Parameter object.[/en]
+   *   [ja][/ja]
+   * @param {Number} [options.x]
+   *   [en]Horizontal position of the point that stays in place, relative to the element. Defaults to the center.[/en]
+   *   [ja][/ja]
+   * @param {Number} [options.y]
+   *   [en]Vertical position of the point that stays in place, relative to the element. Defaults to the center.[/en]
+   *   [ja][/ja]
+   * @param {String} [options.animation]
+   *   [en]If this is set to `"none"`, the zoom is not animated.[/en]
+   *   [ja][/ja]
+   * @return {Promise}
+   *   [en]Resolves when the zoom has changed.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Changes the zoom level.[/en]
+   *   [ja][/ja]
+   */
+  zoomTo(zoom, options = {}) {
+    const rect = this.getBoundingClientRect();
+    const x = typeof options.x === 'number' ? options.x : rect.width / 2;
+    const y = typeof options.y === 'number' ? options.y : rect.height / 2;
+
+    zoom = this._limit(zoom, { min: this.minZoom, max: this.maxZoom });
+    return this._zoomAround(zoom, rect.left + x, rect.top + y, options.animation !== 'none');
+  }
+
+  /**
+   * @method resetZoom
+   * @signature resetZoom([options])
+   * @param {Object} [options]
+   *   [en]Parameter object.[/en]
+   *   [ja][/ja]
+   * @param {String} [options.animation]
+   *   [en]If this is set to `"none"`, the zoom is not animated.[/en]
+   *   [ja][/ja]
+   * @return {Promise}
+   *   [en]Resolves when the zoom has changed.[/en]
+   *   [ja][/ja]
+   * @description
+   *   [en]Goes back to the minimum zoom level.[/en]
+   *   [ja][/ja]
+   */
+  resetZoom(options) {
+    return this.zoomTo(this.minZoom, options);
+  }
+
+  _onTouch() {
+    // Let the carousel lock its swipe to an axis, panning must not be locked
+    this._gestureDetector.options.dragLockToAxis = !this._zoomed;
+  }
+
+  // The content cannot move further in the direction of the drag: the carousel swipes instead
+  _isAtEdge(direction) {
+    const bounds = this._getBounds();
+    switch (direction) {
+      case 'left': return this._x <= bounds.x.min;
+      case 'right': return this._x >= bounds.x.max;
+      case 'up': return this._y <= bounds.y.min;
+      case 'down': return this._y >= bounds.y.max;
+    }
+    return false;
+  }
+
+  _onDragStart(event) {
+    this._gesture = null;
+    this._panOrigin = null;
+
+    const gesture = event.gesture;
+    const multiTouch = gesture && gesture.touches && gesture.touches.length > 1;
+
+    if (event.consumed || !gesture || (!multiTouch && (!this._zoomed || this._isAtEdge(gesture.direction)))) {
+      return;
+    }
+
+    event.consume && event.consume();
+    event.consumed = true;
+    this._gesture = 'pan';
+    util.iosPreventScroll(this._gestureDetector);
+  }
+
+  _onDrag(event) {
+    if (!this._gesture || !event.gesture) {
+      return;
+    }
+
+    event.stopPropagation();
+    event.gesture.preventDefault();
+
+    if (this._gesture === 'pan' && event.gesture.touches.length < 2) {
+      const { deltaX, deltaY } = event.gesture;
+      this._panOrigin = this._panOrigin || { x: this._x - deltaX, y: this._y - deltaY };
+
+      const bounds = this._getBounds();
+      this._x = this._limit(this._panOrigin.x + deltaX, bounds.x, rubberBand);
+      this._y = this._limit(this._panOrigin.y + deltaY, bounds.y, rubberBand);
+      this._render();
+    }
+  }
+
+  _onDragEnd(event) {
+    if (!this._gesture || !event.gesture) {
+      return;
+    }
+
+    event.stopPropagation();
+
+    if (this._gesture === 'pan') {
+      const { deltaX, deltaY, velocityX, velocityY } = event.gesture;
+      const bounds = this._getBounds();
+
+      this._x = this._limit(this._x + (deltaX < 0 ? -velocityX : velocityX) * momentum, bounds.x);
+      this._y = this._limit(this._y + (deltaY < 0 ? -velocityY : velocityY) * momentum, bounds.y);
+      this._render(true);
+    }
+
+    this._gesture = this._panOrigin = null;
+  }
+
+  _onTransformStart(event) {
+    event.stopPropagation();
+
+    const rect = this.getBoundingClientRect();
+    this._gesture = 'pinch';
+    this._pinchStart = {
+      zoom: this._zoom,
+      x: this._x,
+      y: this._y,
+      centerX: event.gesture.center.clientX - rect.left,
+      centerY: event.gesture.center.clientY - rect.top
+    };
+  }
+
+  _onTransform(event) {
+    if (this._gesture !== 'pinch') {
+      return;
+    }
+
+    event.stopPropagation();
+    event.gesture.preventDefault();
+
+    const start = this._pinchStart;
+    const rect = this.getBoundingClientRect();
+    const zoom = this._limit(start.zoom * event.gesture.scale, { min: this.minZoom, max: this.maxZoom }, rubberBand);
+    const ratio = zoom / start.zoom;
+
+    // The point under the fingers follows their center
+    this._zoom = zoom;
+    this._x = event.gesture.center.clientX - rect.left - (start.centerX - start.x) * ratio;
+    this._y = event.gesture.center.clientY - rect.top - (start.centerY - start.y) * ratio;
+    this._render();
+  }
+
+  _onTransformEnd(event) {
+    if (this._gesture !== 'pinch') {
+      return;
+    }
+
+    event.stopPropagation();
+
+    const zoom = this._pinchStart.zoom;
+    this._gesture = 'pan'; // The remaining finger keeps panning
+    this._panOrigin = this._pinchStart = null;
+
+    this._settle().then(() => {
+      zoom !== this._zoom && util.triggerElementEvent(this, 'zoomchange', { zoomable: this, zoom: this._zoom });
+    });
+  }
+
+  _onDoubleTap(event) {
+    if (!event.gesture) {
+      return;
+    }
+
+    event.stopPropagation();
+
+    const doubleTapZoom = this._getNumberAttribute('double-tap-zoom', 2);
+    const zoom = this._zoomed ? this.minZoom : this._limit(doubleTapZoom, { min: this.minZoom, max: this.maxZoom });
+    this._zoomAround(zoom, event.gesture.center.clientX, event.gesture.center.clientY, true);
+  }
+
+  _onPostChange(event) {
+    event.target === this._carousel && this._zoom !== this.minZoom && this.resetZoom({ animation: 'none' });
+  }
+
+  static get events() {
+    return ['zoomchange'];
+  }
+}
+
+onsElements.Zoomable = ZoomableElement;
+customElements.define('ons-zoomable', ZoomableElement);
@@ -0,0 +1,135 @@
+'use strict';
+
+describe('ons-zoomable', () => {
+  let zoomable;
+
+  beforeEach(() => {
+    zoomable = ons._util.createElement(`
+      <ons-zoomable max-zoom="4" style="width: 200px; height: 100px">
+        <div class="image">Image</div>
+      </ons-zoomable>
+    `);
+    document.body.appendChild(zoomable);
+  });
+
+  afterEach(() => {
+    zoomable.remove();
+    zoomable = null;
+  });
+
+  const gestureEvent = (name, gesture) => {
+    const event = new CustomEvent(name, { bubbles: true, cancelable: true });
+    event.gesture = Object.assign({ preventDefault: () => {}, stopPropagation: () => {}, touches: [{}] }, gesture);
+    return event;
+  };
+
+  it('provides \'ons.elements.Zoomable\' global variable', () => {
+    expect(window.ons.elements.Zoomable).to.be.ok;
+  });
+
+  it('wraps the content', () => {
+    expect(zoomable.classList.contains('zoomable')).to.be.true;
+    expect(zoomable.children[0].classList.contains('zoomable__content')).to.be.true;
+    expect(zoomable.children[0].children[0].classList.contains('image')).to.be.true;
+  });
+
+  it('reads the zoom limits', () => {
+    expect(zoomable.minZoom).to.equal(1);
+    expect(zoomable.maxZoom).to.equal(4);
+  });
+
+  it('starts at the minimum zoom', () => {
+    const element = ons._util.createElement('<ons-zoomable min-zoom="2"><div>Image</div></ons-zoomable>');
+    expect(element.zoom).to.equal(2);
+    expect(element._zoomed).to.be.false;
+  });
+
+  describe('#zoomTo()', () => {
+    it('changes the zoom and fires \'zoomchange\'', () => {
+      const events = [];
+      zoomable.addEventListener('zoomchange', e => events.push(e));
+
+      return zoomable.zoomTo(2, { animation: 'none' }).then(() => {
+        expect(zoomable.zoom).to.equal(2);
+        expect(events.length).to.equal(1);
+        expect(events[0].zoom).to.equal(2);
+        expect(zoomable.children[0].style.transform).to.contain('scale(2)');
+      });
+    });
+
+    it('keeps the zoom in the limits', () => {
+      return zoomable.zoomTo(10, { animation: 'none' })
+        .then(() => expect(zoomable.zoom).to.equal(4))
+        .then(() => zoomable.zoomTo(.1, { animation: 'none' }))
+        .then(() => expect(zoomable.zoom).to.equal(1));
+    });
+
+    it('keeps the content inside the element', () => {
+      return zoomable.zoomTo(2, { x: 0, y: 0, animation: 'none' }).then(() => {
+        expect(zoomable._x).to.equal(0);
+        expect(zoomable._y).to.equal(0);
+      });
+    });
+  });
+
+  describe('#resetZoom()', () => {
+    it('goes back to the minimum zoom', () => {
+      return zoomable.zoomTo(3, { animation: 'none' })
+        .then(() => zoomable.resetZoom({ animation: 'none' }))
+        .then(() => expect(zoomable.zoom).to.equal(1));
+    });
+  });
+
+  describe('drag', () => {
+    it('is not consumed when not zoomed', () => {
+      const event = gestureEvent('dragstart', { direction: 'left' });
+      zoomable._onDragStart(event);
+      expect(event.consumed).not.to.be.ok;
+    });
+
+    it('pans the zoomed content', () => {
+      return zoomable.zoomTo(2, { animation: 'none' }).then(() => {
+        const start = gestureEvent('dragstart', { direction: 'left' });
+        zoomable._onDragStart(start);
+        expect(start.consumed).to.be.true;
+
+        const x = zoomable._x;
+        zoomable._onDrag(gestureEvent('drag', { deltaX: -10, deltaY: 0 }));
+        zoomable._onDrag(gestureEvent('drag', { deltaX: -30, deltaY: 0 }));
+        expect(zoomable._x).to.equal(x - 20);
+      });
+    });
+
+    it('is handed over at the edges', () => {
+      return zoomable.zoomTo(2, { x: 0, y: 0, animation: 'none' }).then(() => {
+        const event = gestureEvent('dragstart', { direction: 'right' });
+        zoomable._onDragStart(event);
+        expect(event.consumed).not.to.be.ok;
+      });
+    });
+  });
+
+  describe('inside ons-carousel', () => {
+    let carousel;
+
+    beforeEach((done) => {
+      carousel = ons._util.createElement(`
+        <ons-carousel style="width: 200px; height: 100px">
+          <ons-carousel-item><ons-zoomable>Item 1</ons-zoomable></ons-carousel-item>
+          <ons-carousel-item>Item 2</ons-carousel-item>
+        </ons-carousel>
+      `);
+      document.body.appendChild(carousel);
+      setImmediate(done);
+    });
+
+    afterEach(() => carousel.remove());
+
+    it('resets the zoom on \'postchange\'', () => {
+      const zoomable = carousel.querySelector('ons-zoomable');
+      return zoomable.zoomTo(2, { animation: 'none' })
+        .then(() => carousel.setActiveIndex(1, { animation: 'none' }))
+        .then(() => expect(zoomable.zoom).to.equal(1));
+    });
+  });
+});
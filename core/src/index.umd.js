@@ -22,6 +22,7 @@ import './elements/ons-icon';
 import './elements/ons-lazy-repeat';
 import './elements/ons-list-header';
 import './elements/ons-list-title';
+import './elements/ons-list-index';
 import './elements/ons-list-item';
 import './elements/ons-list';
 import './elements/ons-input';
@@ -52,6 +53,7 @@ import './elements/ons-tabbar';
 import './elements/ons-toast';
 import './elements/ons-toolbar-button';
 import './elements/ons-toolbar';
+import './elements/ons-zoomable';
 
 setup(ons); // Setup initial listeners
 window._superSecretOns = ons;
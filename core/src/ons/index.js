@@ -30,6 +30,8 @@ import pageAttributeExpression from './page-attribute-expression';
 import autoStyle from './autostyle';
 import DoorLock from './doorlock';
 import { defaultPageLoader, PageLoader } from './page-loader';
+import { NavigationCanceledError } from './navigation-guard';
+import dialogStack from './internal/dialog-stack';
 
 /**
  * @object ons
@@ -44,6 +46,7 @@ const ons = {
   elements,
   GestureDetector,
   modifier,
+  NavigationCanceledError,
   notification,
   orientation,
   pageAttributeExpression,
@@ -155,6 +158,35 @@ ons.fireDeviceBackButtonEvent = function() {
   internal.dbbDispatcher.fireDeviceBackButtonEvent();
 };
 
+/**
+ * @method getBackButtonHandlerChain
+ * @signature getBackButtonHandlerChain()
+ * @return {Array}
+ *   [en]Objects with `element` and `priority` properties, starting with the handler that receives the next back button event and followed by the handlers reached through `event.callParentHandler()`.[/en]
+ *   [ja][/ja]
+ * @description
+ *   [en]Returns the handlers that would be involved in the next device back button event. Useful for debugging nested components.[/en]
+ *   [ja][/ja]
+ */
+ons.getBackButtonHandlerChain = function() {
+  return internal.dbbDispatcher.getHandlerChain().map(handler => ({
+    element: handler._element,
+    priority: handler.getPriority()
+  }));
+};
+
+/**
+ * @method getOpenDialogs
+ * @signature getOpenDialogs()
+ * @return {Array}
+ *   [en]Visible dialogs, alert dialogs, popovers, action sheets and modals, from the bottom one to the top one.[/en]
+ *   [ja][/ja]
+ * @description
+ *   [en]Returns the dialogs that are currently open. The last one is displayed on top and receives the device back button, the Escape key and the focus.[/en]
+ *   [ja][/ja]
+ */
+ons.getOpenDialogs = () => dialogStack.getDialogs();
+
 /**
  * @method enableAutoStatusBarFill
  * @signature enableAutoStatusBarFill()
@@ -314,10 +346,13 @@ ons.forcePlatformStyling = newPlatform => {
 
 /**
  * @method preload
- * @signature preload(templatePaths)
+ * @signature preload(templatePaths, [options])
  * @param {String|Array} templatePaths
  *   [en]Set of HTML file paths containing 'ons-page' elements.[/en]
  *   [ja][/ja]
+ * @param {Object} [options]
+ *   [en]Request options. Accepts the same `timeout`, `retries` and `backoff` values as `ons.setTemplateRequestOptions()` plus an `AbortSignal` in `signal`.[/en]
+ *   [ja][/ja]
  * @return {Promise}
  *   [en]Promise that resolves when all the templates are cached.[/en]
  *   [ja][/ja]
@@ -325,15 +360,68 @@ ons.forcePlatformStyling = newPlatform => {
  *   [en]Separated files need to be requested on demand and this can slightly delay pushing new pages. This method requests and caches templates for later use.[/en]
  *   [ja][/ja]
  */
-ons.preload = function(templates = []) {
+ons.preload = function(templates = [], options = {}) {
   return Promise.all((templates instanceof Array ? templates : [templates]).map(template => {
     if (typeof template !== 'string') {
       util.throw('Expected string arguments but got ' + typeof template);
     }
-    return internal.getTemplateHTMLAsync(template);
+    return internal.getTemplateHTMLAsync(template, options);
   }));
 };
 
+/**
+ * @method registerTemplates
+ * @signature registerTemplates(templates)
+ * @param {Object} templates
+ *   [en]Object that maps page names to HTML strings, e.g. `{ 'home.html': '<ons-page>...</ons-page>' }`. It can be generated from a directory of pages with `scripts/build-template-bundle.js`.[/en]
+ *   [ja][/ja]
+ * @description
+ *   [en]Caches a bundle of templates so pages can be loaded without requesting separated files. Useful to ship all the pages of Cordova apps or when `file://` requests are not reliable.[/en]
+ *   [ja][/ja]
+ */
+ons.registerTemplates = function(templates) {
+  if (!templates || typeof templates !== 'object') {
+    util.throw('Templates must be an object that maps page names to HTML strings');
+  }
+
+  Object.keys(templates).forEach(name => {
+    if (typeof templates[name] !== 'string') {
+      util.throw(`Template "${name}" must be a string`);
+    }
+    internal.templateStore.set(name, templates[name]);
+  });
+};
+
+/**
+ * @method setTemplateRequestOptions
+ * @signature setTemplateRequestOptions(options)
+ * @param {Object} options
+ *   [en]Parameter object.[/en]
+ *   [ja][/ja]
+ * @param {Number} [options.timeout]
+ *   [en]Milliseconds before a template request is aborted. `0` (default) disables the timeout.[/en]
+ *   [ja][/ja]
+ * @param {Number} [options.retries]
+ *   [en]Number of retries after network errors, timeouts and server errors. Defaults to `0`.[/en]
+ *   [ja][/ja]
+ * @param {Number} [options.backoff]
+ *   [en]Milliseconds to wait before the first retry. The delay is doubled for every subsequent retry. Defaults to `500`.[/en]
+ *   [ja][/ja]
+ * @description
+ *   [en]Sets the default options used to request external page templates, including pages loaded by `ons-navigator`, `ons-tabbar` and `ons-splitter`.[/en]
+ *   [ja][/ja]
+ */
+ons.setTemplateRequestOptions = function(options = {}) {
+  ['timeout', 'retries', 'backoff'].forEach(key => {
+    if (options[key] !== undefined) {
+      if (typeof options[key] !== 'number' || options[key] < 0) {
+        util.throw(`"${key}" must be a non-negative number`);
+      }
+      internal.config.templateRequest[key] = options[key];
+    }
+  });
+};
+
 /**
  * @method createElement
  * @signature createElement(template, options)
@@ -98,6 +98,143 @@ describe('ons', () => {
           expect(result[0]).to.equal(ons._internal.templateStore.get('/base/test-template.html'));
         });
     });
+
+    it('rejects with the response status', () => {
+      return ons.preload('/base/missing-template.html').then(() => {
+        throw new Error('preload should fail');
+      }, error => {
+        expect(error.name).to.equal('TemplateLoadError');
+        expect(error.reason).to.equal('status');
+        expect(error.status).to.equal(404);
+      });
+    });
+
+    it('can be aborted', () => {
+      const controller = new AbortController();
+      const promise = ons.preload('/base/abort-template.html', { signal: controller.signal });
+      controller.abort();
+
+      return promise.then(() => {
+        throw new Error('preload should be aborted');
+      }, error => expect(error.reason).to.equal('abort'));
+    });
+
+    describe('retries', () => {
+      const OriginalXHR = window.XMLHttpRequest;
+      let requests;
+
+      beforeEach(() => {
+        requests = 0;
+        window.XMLHttpRequest = function() {
+          const xhr = this;
+          xhr.open = () => requests++;
+          xhr.abort = () => xhr.onabort();
+          xhr.send = () => setImmediate(() => {
+            if (requests < 3) {
+              xhr.onerror();
+            } else {
+              xhr.status = 200;
+              xhr.responseText = '<ons-page>retried</ons-page>';
+              xhr.onload();
+            }
+          });
+        };
+      });
+
+      afterEach(() => {
+        window.XMLHttpRequest = OriginalXHR;
+      });
+
+      it('retries network errors', () => {
+        return ons.preload('retry-template.html', { retries: 2, backoff: 1 }).then(result => {
+          expect(requests).to.equal(3);
+          expect(result[0]).to.be.an.instanceof(DocumentFragment);
+        });
+      });
+
+      it('gives up after the given retries', () => {
+        return ons.preload('retry-template-2.html', { retries: 1, backoff: 1 }).then(() => {
+          throw new Error('preload should fail');
+        }, error => {
+          expect(requests).to.equal(2);
+          expect(error.reason).to.equal('network');
+        });
+      });
+    });
+
+    describe('timeout', () => {
+      const OriginalXHR = window.XMLHttpRequest;
+      let aborted;
+
+      beforeEach(() => {
+        aborted = 0;
+        window.XMLHttpRequest = function() {
+          const xhr = this;
+          xhr.open = () => {};
+          xhr.send = () => {}; // Never answers
+          xhr.abort = () => {
+            aborted++;
+            setImmediate(() => xhr.onabort());
+          };
+        };
+      });
+
+      afterEach(() => {
+        window.XMLHttpRequest = OriginalXHR;
+      });
+
+      it('aborts requests that take too long', () => {
+        return ons.preload('timeout-template.html', { timeout: 10, retries: 0 }).then(() => {
+          throw new Error('preload should time out');
+        }, error => {
+          expect(aborted).to.equal(1);
+          expect(error.name).to.equal('TemplateLoadError');
+          expect(error.reason).to.equal('timeout');
+        });
+      });
+
+      it('retries requests that time out', () => {
+        return ons.preload('timeout-template-2.html', { timeout: 10, retries: 1, backoff: 1 }).then(() => {
+          throw new Error('preload should time out');
+        }, error => {
+          expect(aborted).to.equal(2);
+          expect(error.reason).to.equal('timeout');
+        });
+      });
+    });
+  });
+
+  describe('#registerTemplates()', () => {
+    it('caches the templates', () => {
+      ons.registerTemplates({ 'bundled/page.html': '<ons-page>bundled</ons-page>' });
+      expect(ons._internal.templateStore.get('bundled/page.html')).to.equal('<ons-page>bundled</ons-page>');
+
+      return ons.createElement('bundled/page.html').then(element => {
+        expect(element).to.be.instanceof(window.ons.elements.Page);
+        expect(element.textContent).to.contain('bundled');
+      });
+    });
+
+    it('validates the bundle', () => {
+      expect(() => ons.registerTemplates(null)).to.throw(Error);
+      expect(() => ons.registerTemplates({ 'page.html': 42 })).to.throw(Error);
+    });
+  });
+
+  describe('#setTemplateRequestOptions()', () => {
+    afterEach(() => {
+      ons.setTemplateRequestOptions({ timeout: 0, retries: 0, backoff: 500 });
+    });
+
+    it('changes the default options', () => {
+      ons.setTemplateRequestOptions({ timeout: 1000, retries: 2 });
+      expect(ons._internal.config.templateRequest).to.deep.equal({ timeout: 1000, retries: 2, backoff: 500 });
+    });
+
+    it('validates the options', () => {
+      expect(() => ons.setTemplateRequestOptions({ retries: -1 })).to.throw(Error);
+      expect(() => ons.setTemplateRequestOptions({ timeout: '1' })).to.throw(Error);
+    });
   });
 
   describe('#createElement()', () => {
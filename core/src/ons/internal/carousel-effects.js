@@ -0,0 +1,70 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+/**
+ * Carousel effects receive the progress of an item, 0 when it is the active one,
+ * -1 for the previous position and 1 for the next one, and return the styles of the item.
+ * Items are still laid out in a row: effects that keep items in place translate them
+ * back with `translate${axis}(${-progress * 100}%)`.
+ */
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const fade = ({ progress, axis }) => {
+  const distance = Math.abs(progress);
+  return {
+    transform: `translate${axis}(${-progress * 100}%)`,
+    opacity: clamp(1 - distance, 0, 1),
+    zIndex: Math.round(100 - distance * 10)
+  };
+};
+
+const cube = ({ progress, vertical }) => {
+  const angle = clamp(progress, -1, 1) * 90;
+  return {
+    transformOrigin: vertical
+      ? (progress < 0 ? '50% 100%' : '50% 0%')
+      : (progress < 0 ? '100% 50%' : '0% 50%'),
+    transform: `perspective(1000px) rotate${vertical ? 'X' : 'Y'}(${vertical ? -angle : angle}deg)`,
+    opacity: Math.abs(progress) < 1 ? 1 : 0,
+    zIndex: Math.round(100 - Math.abs(progress) * 10)
+  };
+};
+
+const coverflow = ({ progress, vertical }) => {
+  const limited = clamp(progress, -1, 1);
+  const angle = vertical ? limited * 45 : -limited * 45;
+  return {
+    transform: `perspective(1000px) rotate${vertical ? 'X' : 'Y'}(${angle}deg) scale(${1 - Math.abs(limited) * .2})`,
+    zIndex: Math.round(100 - Math.abs(progress) * 10)
+  };
+};
+
+const stack = ({ progress, axis }) => {
+  if (progress <= 0) {
+    return { zIndex: 100 };
+  }
+
+  const depth = Math.min(progress, 3);
+  return {
+    transform: `translate${axis}(${-progress * 100}%) translate${axis}(${depth * 12}px) scale(${1 - depth * .05})`,
+    opacity: clamp(3 - progress, 0, 1),
+    zIndex: Math.round(100 - progress * 10)
+  };
+};
+
+export default { fade, cube, coverflow, stack };
@@ -16,6 +16,8 @@ limitations under the License.
 */
 
 import platform from '../platform';
+import onsUtil from '../util';
+import navigationGuard from '../navigation-guard';
 
 const util = {
   _ready: false,
@@ -101,6 +103,10 @@ const HandlerRepository = {
     return this._store[id];
   },
 
+  all: function() {
+    return Object.keys(this._store).map(id => this._store[id]);
+  },
+
   has: function(element) {
     if (!element.dataset) {
       return false;
@@ -112,6 +118,35 @@ const HandlerRepository = {
   }
 };
 
+const isAfter = (a, b) => !!(b.compareDocumentPosition(a) & Node.DOCUMENT_POSITION_FOLLOWING); // eslint-disable-line no-bitwise
+
+/**
+ * @param {HTMLElement} element
+ * @return {Array} The element and its ancestors up to `document.body`, with their handlers.
+ */
+const getScopes = element => {
+  const scopes = [];
+  for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+    scopes.push({ element: node, handler: HandlerRepository.has(node) ? HandlerRepository.get(node) : undefined });
+    if (node === document.body) {
+      break;
+    }
+  }
+  scopes.forEach((scope, index) => scope.depth = scopes.length - 1 - index);
+  return scopes;
+};
+
+const isVisible = scopes => scopes.every(({ element, handler }) =>
+  element.style.display !== 'none' && element._isShown !== false
+  && !(handler && handler._isVisible instanceof Function && !handler._isVisible())
+);
+
+export const BackButtonPriority = {
+  DEFAULT: 0,
+  SIDE_MENU: 10,
+  DIALOG: 100
+};
+
 class DeviceBackButtonDispatcher {
   constructor() {
     this._isEnabled = false;
@@ -155,8 +190,11 @@ class DeviceBackButtonDispatcher {
   /**
    * @param {HTMLElement} element
    * @param {Function} callback
+   * @param {Object} [options]
+   * @param {Number|Function} [options.priority] Scopes with higher priority receive the event first.
+   * @param {Function} [options.isVisible] Returns false when the scope cannot receive events.
    */
-  createHandler(element, callback) {
+  createHandler(element, callback, options = {}) {
     if (!(element instanceof HTMLElement)) {
       throw new Error('element must be an instance of HTMLElement');
     }
@@ -168,6 +206,8 @@ class DeviceBackButtonDispatcher {
     const handler = {
       _callback: callback,
       _element: element,
+      _priority: options.priority || 0,
+      _isVisible: options.isVisible || null,
 
       disable: function() {
         HandlerRepository.remove(element);
@@ -185,6 +225,11 @@ class DeviceBackButtonDispatcher {
         return HandlerRepository.get(element) === this;
       },
 
+      getPriority: function() {
+        const priority = this._priority instanceof Function ? this._priority() : this._priority;
+        return typeof priority === 'number' ? priority : 0;
+      },
+
       destroy: function() {
         HandlerRepository.remove(element);
         this._callback = this._element = null;
@@ -196,114 +241,102 @@ class DeviceBackButtonDispatcher {
     return handler;
   }
 
-  _dispatchDeviceBackButtonEvent() {
-    const tree = this._captureTree();
+  /**
+   * Resolves the handler that receives the next back button event and its parent handlers.
+   * Every handler defines a scope (its element and descendants). Hidden scopes are ignored,
+   * the scope with the highest priority wins and the deepest handler inside it is chosen.
+   * Later elements in the document win ties, as they are rendered on top.
+   *
+   * @return {Array} Handlers ordered from the receiver up to the root.
+   */
+  getHandlerChain() {
+    const candidates = HandlerRepository.all()
+      .filter(handler => handler._element && onsUtil.isAttached(handler._element))
+      .map(handler => ({ handler, scopes: getScopes(handler._element) }))
+      .filter(({ scopes }) => isVisible(scopes));
+
+    if (candidates.length === 0) {
+      return [];
+    }
 
-    const element = this._findHandlerLeafElement(tree);
+    const rank = ({ scopes }) => ({
+      priority: Math.max(...scopes.filter(scope => scope.handler).map(({ handler }) => handler.getPriority())),
+      depth: scopes[0].depth
+    });
 
-    let handler = HandlerRepository.get(element);
-    handler._callback(createEvent(element));
+    const winner = candidates.reduce((best, candidate) => {
+      const a = rank(best), b = rank(candidate);
+      if (a.priority !== b.priority) {
+        return b.priority > a.priority ? candidate : best;
+      }
+      if (a.depth !== b.depth) {
+        return b.depth > a.depth ? candidate : best;
+      }
+      return isAfter(candidate.handler._element, best.handler._element) ? candidate : best;
+    });
 
-    function createEvent(element) {
-      return {
-        _element: element,
-        callParentHandler: function() {
-          let parent = this._element.parentNode;
+    return winner.scopes.filter(scope => scope.handler).map(({ handler }) => handler);
+  }
 
-          while (parent) {
-            handler = HandlerRepository.get(parent);
-            if (handler) {
-              return handler._callback(createEvent(parent));
-            }
-            parent = parent.parentNode;
-          }
-        }
-      };
+  _dispatchDeviceBackButtonEvent() {
+    const chain = this.getHandlerChain();
+    if (chain.length > 0) {
+      this.dispatchTo(chain[0]);
     }
   }
 
   /**
-   * @return {Object}
+   * Sends a back button event to a handler, e.g. for keys that act like the back button.
+   *
+   * @param {Object} handler Handler returned by `createHandler()`.
+   * @param {Object} [options]
+   * @param {Boolean} [options.callParentHandler] Set to `false` so `event.callParentHandler()` does nothing.
    */
-  _captureTree() {
-    return createTree(document.body);
-
-    function createTree(element) {
-      const tree = {
-        element: element,
-        children: Array.prototype.concat.apply([], arrayOf(element.children).map(function(childElement) {
-
-          if (childElement.style.display === 'none' || childElement._isShown === false) {
-            return [];
-          }
+  dispatchTo(handler, options = {}) {
+    if (!handler || !(handler._callback instanceof Function)) {
+      return;
+    }
 
-          if (childElement.children.length === 0 && !HandlerRepository.has(childElement)) {
-            return [];
-          }
+    const element = handler._element;
+    const visiblePage = onsUtil.getTopPage(element);
 
-          const result = createTree(childElement);
+    callHandler(handler, element);
 
-          if (result.children.length === 0 && !HandlerRepository.has(result.element)) {
-            return [];
-          }
-
-          return [result];
-        }))
-      };
+    function callHandler(handler, element) {
+      const guardContext = { leavePage: visiblePage };
 
-      if (!HandlerRepository.has(tree.element)) {
-        for (let i = 0; i < tree.children.length; i++){
-          const subTree = tree.children[i];
-          if (HandlerRepository.has(subTree.element)) {
-            return subTree;
-          }
-        }
+      // Exiting the app leaves the visible page, so its guard is awaited first
+      if (element !== document.body || !navigationGuard.has(guardContext, ['onCanLeave'])) {
+        return handler._callback(createEvent(element));
       }
 
-      return tree;
-    }
-
-    function arrayOf(target) {
-      const result = [];
-      for (let i = 0; i < target.length; i++) {
-        result.push(target[i]);
-      }
-      return result;
+      return navigationGuard.check(guardContext, ['onCanLeave'])
+        .then(() => handler._callback(createEvent(element)), error => {
+          if (!navigationGuard.isCanceled(error)) {
+            throw error;
+          }
+        });
     }
-  }
-
-  /**
-   * @param {Object} tree
-   * @return {HTMLElement}
-   */
-  _findHandlerLeafElement(tree) {
-    return find(tree);
-
-    function find(node) {
-      if (node.children.length === 0) {
-        return node.element;
-      }
 
-      if (node.children.length === 1) {
-        return find(node.children[0]);
-      }
-
-      return node.children.map(function(childNode) {
-        return childNode.element;
-      }).reduce(function(left, right) {
-        if (!left) {
-          return right;
-        }
+    function createEvent(element) {
+      return {
+        _element: element,
+        callParentHandler: function() {
+          if (options.callParentHandler === false) {
+            return;
+          }
 
-        const leftZ = parseInt(window.getComputedStyle(left, '').zIndex, 10);
-        const rightZ = parseInt(window.getComputedStyle(right, '').zIndex, 10);
+          let parent = this._element.parentNode;
 
-        if (!isNaN(leftZ) && !isNaN(rightZ)) {
-          return leftZ > rightZ ? left : right;
+          while (parent) {
+            handler = HandlerRepository.get(parent);
+            if (handler) {
+              return callHandler(handler, parent);
+            }
+            parent = parent.parentNode;
+          }
         }
-
-        throw new Error('Capturing backbutton-handler is failure.');
-      }, null);
+      };
     }
   }
 }
@@ -39,4 +39,180 @@ describe('deviceBackButtonDispatcher', () => {
       return expect(promise).to.eventually.be.fulfilled;
     });
   });
+
+  describe('#dispatchTo()', () => {
+    const dispatcher = ons._internal.dbbDispatcher;
+    let parent, child, handlers;
+
+    beforeEach(() => {
+      parent = ons._util.createElement('<div><div></div></div>');
+      child = parent.firstChild;
+      document.body.appendChild(parent);
+      handlers = [];
+    });
+
+    afterEach(() => {
+      handlers.forEach(handler => handler.destroy());
+      parent.remove();
+    });
+
+    it('calls the handler with a back button event', () => {
+      const spy = chai.spy();
+      handlers.push(dispatcher.createHandler(child, spy));
+      dispatcher.dispatchTo(handlers[0]);
+
+      expect(spy).to.have.been.called.once;
+      expect(spy.__spy.calls[0][0]._element).to.equal(child);
+    });
+
+    it('reaches the parent handlers', () => {
+      const spy = chai.spy();
+      handlers.push(dispatcher.createHandler(child, event => event.callParentHandler()));
+      handlers.push(dispatcher.createHandler(parent, spy));
+      dispatcher.dispatchTo(handlers[0]);
+      expect(spy).to.have.been.called.once;
+    });
+
+    it('can keep the event away from the parent handlers', () => {
+      const spy = chai.spy();
+      handlers.push(dispatcher.createHandler(child, event => event.callParentHandler()));
+      handlers.push(dispatcher.createHandler(parent, spy));
+      dispatcher.dispatchTo(handlers[0], { callParentHandler: false });
+      expect(spy).not.to.have.been.called();
+    });
+  });
+
+  describe('#getHandlerChain()', () => {
+    const dispatcher = ons._internal.dbbDispatcher;
+    let container;
+
+    beforeEach(() => {
+      container = ons._util.createElement(`
+        <div>
+          <div id="dbb-outer"><div id="dbb-inner"></div></div>
+          <div id="dbb-sibling"></div>
+        </div>
+      `);
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+      container = null;
+    });
+
+    const get = id => container.querySelector('#' + id);
+    const noop = () => {};
+
+    it('returns the deepest handler followed by its parents', () => {
+      const outer = dispatcher.createHandler(get('dbb-outer'), noop);
+      const inner = dispatcher.createHandler(get('dbb-inner'), noop);
+      const chain = dispatcher.getHandlerChain();
+
+      expect(chain[0]).to.equal(inner);
+      expect(chain[1]).to.equal(outer);
+      outer.destroy();
+      inner.destroy();
+    });
+
+    it('prefers handlers with higher priority', () => {
+      const inner = dispatcher.createHandler(get('dbb-inner'), noop);
+      const sibling = dispatcher.createHandler(get('dbb-sibling'), noop, { priority: () => 10 });
+
+      expect(dispatcher.getHandlerChain()[0]).to.equal(sibling);
+      sibling._priority = 0;
+      expect(dispatcher.getHandlerChain()[0]).to.equal(inner);
+      inner.destroy();
+      sibling.destroy();
+    });
+
+    it('ignores hidden scopes', () => {
+      const inner = dispatcher.createHandler(get('dbb-inner'), noop);
+      const sibling = dispatcher.createHandler(get('dbb-sibling'), noop, { isVisible: () => false });
+
+      get('dbb-outer').style.display = 'none';
+      expect(dispatcher.getHandlerChain()).to.not.include(inner);
+      expect(dispatcher.getHandlerChain()).to.not.include(sibling);
+      inner.destroy();
+      sibling.destroy();
+    });
+
+    it('is exposed as ons.getBackButtonHandlerChain()', () => {
+      const inner = dispatcher.createHandler(get('dbb-inner'), noop, { priority: 5 });
+      const chain = ons.getBackButtonHandlerChain();
+
+      expect(chain[0].element).to.equal(get('dbb-inner'));
+      expect(chain[0].priority).to.equal(5);
+      inner.destroy();
+    });
+
+    describe('with nested tabbar, navigator and dialog', () => {
+      let tabbar, dialog, template;
+
+      beforeEach(done => {
+        template = ons._util.createElement(`<template id="dbb-page"><ons-page>page</ons-page></template>`);
+        document.body.appendChild(template);
+
+        tabbar = ons._util.createElement(`
+          <ons-tabbar animation="none">
+            <div class="tabbar__content">
+              <div>
+                <ons-page><ons-navigator id="dbb-nav1" page="dbb-page"></ons-navigator></ons-page>
+                <ons-page><ons-navigator id="dbb-nav2" page="dbb-page"></ons-navigator></ons-page>
+              </div>
+            </div>
+            <div class="tabbar">
+              <ons-tab active></ons-tab>
+              <ons-tab></ons-tab>
+            </div>
+          </ons-tabbar>
+        `);
+        dialog = ons._util.createElement(`<ons-dialog animation="none">dialog</ons-dialog>`);
+        container.appendChild(tabbar);
+        container.appendChild(dialog);
+
+        setImmediate(() => {
+          tabbar._show(); // Normally triggered by parent page
+          setImmediate(() => setImmediate(done));
+        });
+      });
+
+      afterEach(() => {
+        template.remove();
+        tabbar = dialog = template = null;
+      });
+
+      it('dispatches to the navigator of the active tab', () => {
+        const chain = dispatcher.getHandlerChain();
+        expect(chain[0]._element).to.equal(get('dbb-nav1'));
+        expect(chain[1]._element).to.equal(tabbar);
+      });
+
+      it('follows the active tab', () => {
+        return tabbar.setActiveTab(1).then(() => {
+          expect(dispatcher.getHandlerChain()[0]._element).to.equal(get('dbb-nav2'));
+        });
+      });
+
+      it('prefers visible dialogs', () => {
+        return dialog.show().then(() => {
+          expect(dispatcher.getHandlerChain()[0]._element).to.equal(dialog);
+          return dialog.hide();
+        }).then(() => {
+          expect(dispatcher.getHandlerChain()[0]._element).to.equal(get('dbb-nav1'));
+        });
+      });
+
+      it('gives dialog priority to navigators inside dialogs', () => {
+        const nav = ons._util.createElement(`<ons-navigator page="dbb-page"></ons-navigator>`);
+        dialog.appendChild(nav);
+
+        return dialog.show().then(() => {
+          const chain = dispatcher.getHandlerChain();
+          expect(chain[0]._element).to.equal(nav);
+          expect(chain[1]._element).to.equal(dialog);
+        });
+      });
+    });
+  });
 });
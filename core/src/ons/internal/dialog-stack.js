@@ -0,0 +1,168 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import util from '../util';
+import deviceBackButtonDispatcher from './device-back-button-dispatcher';
+
+const baseZIndex = 10001;
+const coveredClassName = 'ons-dialog-covered';
+const focusableSelector = 'a[href], area[href], button, input, select, textarea, iframe, [tabindex], [contenteditable]';
+
+/**
+ * Visible dialogs ordered from the bottom to the top one, whatever their place in the DOM.
+ * The top dialog is rendered above the others, which hide their masks, receives the Escape key
+ * and keeps the Tab focus inside it. Each entry remembers the element that had the focus
+ * before the dialog was shown.
+ */
+class DialogStack {
+  constructor() {
+    this._entries = [];
+    this._onKeydown = this._onKeydown.bind(this);
+  }
+
+  getDialogs() {
+    return this._entries.map(entry => entry.dialog);
+  }
+
+  getTop() {
+    const entry = this._entries[this._entries.length - 1];
+    return entry ? entry.dialog : null;
+  }
+
+  indexOf(dialog) {
+    return this.getDialogs().indexOf(dialog);
+  }
+
+  /**
+   * @param {HTMLElement} dialog
+   */
+  push(dialog) {
+    if (this.indexOf(dialog) !== -1) {
+      return;
+    }
+
+    const active = document.activeElement;
+    this._entries.push({
+      dialog,
+      zIndex: dialog.style.zIndex,
+      opener: active && active !== document.body && !dialog.contains(active) ? active : null
+    });
+
+    this._entries.length === 1 && document.addEventListener('keydown', this._onKeydown, true);
+    this._update();
+  }
+
+  /**
+   * @param {HTMLElement} dialog
+   * @return {HTMLElement|null} The element to focus once the dialog is hidden.
+   */
+  remove(dialog) {
+    const index = this.indexOf(dialog);
+    if (index === -1) {
+      return null;
+    }
+
+    const [entry] = this._entries.splice(index, 1);
+    dialog.style.zIndex = entry.zIndex;
+    dialog.classList.remove(coveredClassName);
+    entry.tabIndexAdded && dialog.removeAttribute('tabindex');
+
+    this._entries.length === 0 && document.removeEventListener('keydown', this._onKeydown, true);
+    this._update();
+
+    return entry.opener;
+  }
+
+  _update() {
+    const last = this._entries.length - 1;
+    let zIndex = 0;
+    this._entries.forEach(({ dialog, zIndex: customZIndex }, index) => {
+      // A custom z-index is kept while it is above the dialogs below
+      zIndex = Math.max(parseInt(customZIndex, 10) || baseZIndex, zIndex + 1);
+      dialog.style.zIndex = zIndex;
+      dialog.classList.toggle(coveredClassName, index < last);
+    });
+  }
+
+  _getFocusableElements(dialog) {
+    return util.arrayFrom(dialog.querySelectorAll(focusableSelector))
+      .filter(el => el.tabIndex >= 0 && !el.disabled && el.getClientRects().length > 0);
+  }
+
+  /**
+   * Moves the focus inside the dialog unless it is already there.
+   */
+  focus(dialog) {
+    if (dialog !== this.getTop() || dialog.contains(document.activeElement)) {
+      return;
+    }
+
+    // Focusing the first input would open the software keyboard
+    if (!dialog.hasAttribute('tabindex')) {
+      dialog.setAttribute('tabindex', '-1');
+      this._entries[this._entries.length - 1].tabIndexAdded = true;
+    }
+    dialog.focus();
+  }
+
+  /**
+   * Gives the focus back to the opener of a hidden dialog when nothing else took it.
+   */
+  restoreFocus(dialog, opener) {
+    const active = document.activeElement;
+    const top = this.getTop();
+
+    if (opener && util.isAttached(opener) && (!top || top.contains(opener))
+      && (!active || active === document.body || dialog.contains(active))) {
+      opener.focus();
+    }
+  }
+
+  _onKeydown(event) {
+    const top = this.getTop();
+    if (!top || event.defaultPrevented) {
+      return;
+    }
+
+    if (event.key === 'Escape' || event.key === 'Esc') {
+      event.preventDefault();
+      // Handled like the device back button, without reaching the parent handlers
+      deviceBackButtonDispatcher.dispatchTo(top.onDeviceBackButton, { callParentHandler: false });
+    } else if (event.key === 'Tab') {
+      this._trapFocus(top, event);
+    }
+  }
+
+  _trapFocus(dialog, event) {
+    const elements = this._getFocusableElements(dialog);
+    const first = elements[0], last = elements[elements.length - 1];
+    const active = document.activeElement;
+
+    if (elements.length === 0) {
+      event.preventDefault();
+      dialog.focus();
+    } else if (event.shiftKey && (active === first || active === dialog || !dialog.contains(active))) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (active === last || !dialog.contains(active))) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+export default new DialogStack();
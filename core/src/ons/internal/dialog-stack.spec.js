@@ -0,0 +1,164 @@
+import dialogStack from './dialog-stack';
+import deviceBackButtonDispatcher from './device-back-button-dispatcher';
+
+describe('DialogStack', () => {
+  let first, second;
+
+  const createDialog = () => {
+    const dialog = ons._util.createElement(`
+      <div style="z-index: 2">
+        <button class="a">A</button>
+        <button class="b">B</button>
+      </div>
+    `);
+    document.body.appendChild(dialog);
+    return dialog;
+  };
+
+  const keydown = (key, shiftKey = false) => {
+    const event = new KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true });
+    document.activeElement.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    first = createDialog();
+    second = createDialog();
+  });
+
+  afterEach(() => {
+    dialogStack.getDialogs().forEach(dialog => dialogStack.remove(dialog));
+    first.remove();
+    second.remove();
+  });
+
+  describe('#push()', () => {
+    it('orders the dialogs', () => {
+      dialogStack.push(second);
+      dialogStack.push(first);
+      expect(dialogStack.getDialogs()).to.deep.equal([second, first]);
+      expect(dialogStack.getTop()).to.equal(first);
+    });
+
+    it('does not add a dialog twice', () => {
+      dialogStack.push(first);
+      dialogStack.push(first);
+      expect(dialogStack.getDialogs()).to.have.lengthOf(1);
+    });
+
+    it('assigns the z-index', () => {
+      dialogStack.push(first);
+      dialogStack.push(second);
+      expect(parseInt(second.style.zIndex, 10)).to.be.above(parseInt(first.style.zIndex, 10));
+    });
+
+    it('keeps a custom z-index above the dialogs below', () => {
+      first.style.zIndex = '';
+      second.style.zIndex = '20000';
+      dialogStack.push(first);
+      dialogStack.push(second);
+      expect(first.style.zIndex).to.equal('10001');
+      expect(second.style.zIndex).to.equal('20000');
+    });
+
+    it('marks the dialogs below the top one', () => {
+      dialogStack.push(first);
+      dialogStack.push(second);
+      expect(first.classList.contains('ons-dialog-covered')).to.be.true;
+      expect(second.classList.contains('ons-dialog-covered')).to.be.false;
+    });
+  });
+
+  describe('#remove()', () => {
+    it('restores the dialog', () => {
+      dialogStack.push(first);
+      dialogStack.push(second);
+      dialogStack.remove(second);
+      expect(second.style.zIndex).to.equal('2');
+      expect(first.classList.contains('ons-dialog-covered')).to.be.false;
+      expect(dialogStack.getTop()).to.equal(first);
+    });
+
+    it('returns the opener', () => {
+      const opener = first.querySelector('.a');
+      opener.focus();
+      dialogStack.push(second);
+      expect(dialogStack.remove(second)).to.equal(opener);
+    });
+
+    it('removes the tabindex added by #focus()', () => {
+      first.setAttribute('tabindex', '0');
+      dialogStack.push(first);
+      dialogStack.focus(first);
+      dialogStack.push(second);
+      dialogStack.focus(second);
+      expect(second.getAttribute('tabindex')).to.equal('-1');
+
+      dialogStack.remove(second);
+      dialogStack.remove(first);
+      expect(second.hasAttribute('tabindex')).to.be.false;
+      expect(first.getAttribute('tabindex')).to.equal('0');
+    });
+  });
+
+  describe('#restoreFocus()', () => {
+    it('focuses the opener', () => {
+      const opener = first.querySelector('.a');
+      opener.focus();
+      dialogStack.push(second);
+      dialogStack.focus(second);
+      expect(document.activeElement).to.equal(second);
+
+      dialogStack.restoreFocus(second, dialogStack.remove(second));
+      expect(document.activeElement).to.equal(opener);
+    });
+  });
+
+  describe('keyboard', () => {
+    it('traps the focus inside the top dialog', () => {
+      dialogStack.push(first);
+      dialogStack.push(second);
+      second.querySelector('.b').focus();
+
+      const event = keydown('Tab');
+      expect(event.defaultPrevented).to.be.true;
+      expect(document.activeElement).to.equal(second.querySelector('.a'));
+
+      keydown('Tab', true);
+      expect(document.activeElement).to.equal(second.querySelector('.b'));
+    });
+
+    it('sends Escape to the top dialog only', () => {
+      const spy1 = chai.spy(), spy2 = chai.spy();
+      first.onDeviceBackButton = deviceBackButtonDispatcher.createHandler(first, spy1);
+      second.onDeviceBackButton = deviceBackButtonDispatcher.createHandler(second, spy2);
+      dialogStack.push(first);
+      dialogStack.push(second);
+
+      keydown('Escape');
+      expect(spy1).not.to.have.been.called();
+      expect(spy2).to.have.been.called.once;
+
+      const event = spy2.__spy.calls[0][0];
+      expect(event._element).to.equal(second);
+      expect(event.callParentHandler).to.be.a('function');
+
+      first.onDeviceBackButton.destroy();
+      second.onDeviceBackButton.destroy();
+    });
+
+    it('does not reach the parent handlers with Escape', () => {
+      const parentSpy = chai.spy();
+      first.appendChild(second);
+      const parentHandler = deviceBackButtonDispatcher.createHandler(first, parentSpy);
+      second.onDeviceBackButton = deviceBackButtonDispatcher.createHandler(second, event => event.callParentHandler());
+      dialogStack.push(second);
+
+      keydown('Escape');
+      expect(parentSpy).not.to.have.been.called();
+
+      parentHandler.destroy();
+      second.onDeviceBackButton.destroy();
+    });
+  });
+});
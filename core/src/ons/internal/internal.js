@@ -24,7 +24,12 @@ const internal = {};
 internal.config = {
   autoStatusBarFill: true,
   animationsDisabled: false,
-  warningsDisabled: false
+  warningsDisabled: false,
+  templateRequest: {
+    timeout: 0,
+    retries: 0,
+    backoff: 500
+  }
 };
 
 internal.nullElement = window.document.createElement('div');
@@ -114,11 +119,70 @@ internal.waitDOMContentLoaded(function() {
   }
 });
 
+const createRequestError = (page, reason, status = 0, responseText = '') => {
+  const error = new Error(`Failed to load page template "${page}" (${reason}${status ? ' ' + status : ''}).`);
+  error.name = reason === 'abort' ? 'AbortError' : 'TemplateLoadError';
+  error.page = page;
+  error.reason = reason;
+  error.status = status;
+  error.responseText = responseText;
+  return error;
+};
+
 /**
+ * Requests a template once. Rejects with an error whose `reason` is
+ * `"status"`, `"network"`, `"timeout"` or `"abort"`.
+ *
  * @param {String} page
+ * @param {Object} options
  * @return {Promise}
  */
-internal.getTemplateHTMLAsync = function(page) {
+const requestTemplate = (page, { timeout, signal }) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  let timer;
+
+  const onAbort = () => xhr.abort();
+  const finish = (error, html) => {
+    clearTimeout(timer);
+    signal && signal.removeEventListener('abort', onAbort);
+    error ? reject(error) : resolve(html);
+  };
+
+  xhr.open('GET', page, true);
+  xhr.onload = () => {
+    xhr.status >= 400 && xhr.status < 600
+      ? finish(createRequestError(page, 'status', xhr.status, xhr.responseText))
+      : finish(null, xhr.responseText);
+  };
+  xhr.onerror = () => finish(createRequestError(page, 'network'));
+  xhr.onabort = () => finish(createRequestError(page, timer === null ? 'timeout' : 'abort'));
+
+  if (timeout > 0) {
+    timer = setTimeout(() => {
+      timer = null;
+      xhr.abort();
+    }, timeout);
+  }
+
+  signal && signal.addEventListener('abort', onAbort);
+  xhr.send(null);
+});
+
+const shouldRetry = error => error.reason === 'network' || error.reason === 'timeout' || error.status >= 500;
+
+/**
+ * @param {String} page
+ * @param {Object} [options]
+ * @param {Number} [options.timeout] Milliseconds before a request is aborted. `0` disables it.
+ * @param {Number} [options.retries] Number of retries after network errors, timeouts and 5xx responses.
+ * @param {Number} [options.backoff] Milliseconds before the first retry. It is doubled for every subsequent retry.
+ * @param {AbortSignal} [options.signal] Aborts the request and pending retries.
+ * @return {Promise}
+ */
+internal.getTemplateHTMLAsync = function(page, options = {}) {
+  options = util.extend({}, internal.config.templateRequest, options);
+  const { signal } = options;
+
   return new Promise((resolve, reject) => {
     internal.waitDOMContentLoaded(() => {
       const cache = internal.templateStore.get(page);
@@ -137,39 +201,44 @@ internal.getTemplateHTMLAsync = function(page) {
         return resolve(html);
       }
 
-      const xhr = new XMLHttpRequest();
-      xhr.open('GET', page, true);
-      xhr.onload = function() {
-        const html = xhr.responseText;
-        if (xhr.status >= 400 && xhr.status < 600) {
-          reject(html);
-        } else {
-          // Refresh script tags
-          const fragment = util.createFragment(html);
-          util.arrayFrom(fragment.querySelectorAll('script')).forEach(el => {
-            const script = document.createElement('script');
-            script.type = el.type || 'text/javascript';
-            script.appendChild(document.createTextNode(el.text || el.textContent || el.innerHTML));
-            el.parentNode.replaceChild(script, el);
-          });
-
-          internal.templateStore.set(page, fragment);
-          resolve(fragment);
+      const attempt = retries => {
+        if (signal && signal.aborted) {
+          return Promise.reject(createRequestError(page, 'abort'));
         }
+
+        return requestTemplate(page, options).catch(error => {
+          if (retries <= 0 || !shouldRetry(error) || (signal && signal.aborted)) {
+            throw error;
+          }
+
+          const delay = options.backoff * Math.pow(2, options.retries - retries);
+          return new Promise(resolve => setTimeout(resolve, delay)).then(() => attempt(retries - 1));
+        });
       };
-      xhr.onerror = function() {
-        util.throw(`Page template not found: ${page}`);
-      };
-      xhr.send(null);
+
+      attempt(options.retries).then(html => {
+        // Refresh script tags
+        const fragment = util.createFragment(html);
+        util.arrayFrom(fragment.querySelectorAll('script')).forEach(el => {
+          const script = document.createElement('script');
+          script.type = el.type || 'text/javascript';
+          script.appendChild(document.createTextNode(el.text || el.textContent || el.innerHTML));
+          el.parentNode.replaceChild(script, el);
+        });
+
+        internal.templateStore.set(page, fragment);
+        resolve(fragment);
+      }, reject);
     });
   });
 };
 
 /**
  * @param {String} page
+ * @param {Object} [options] Request options passed to `getTemplateHTMLAsync`.
  * @return {Promise}
  */
-internal.getPageHTMLAsync = function(page) {
+internal.getPageHTMLAsync = function(page, options) {
   const pages = pageAttributeExpression.evaluate(page);
 
   const getPage = (page) => {
@@ -177,9 +246,9 @@ internal.getPageHTMLAsync = function(page) {
       return Promise.reject('Must specify a page.');
     }
 
-    return internal.getTemplateHTMLAsync(page)
+    return internal.getTemplateHTMLAsync(page, options)
       .catch(function(error) {
-        if (pages.length === 0) {
+        if (pages.length === 0 || error.reason === 'abort') {
           return Promise.reject(error);
         }
 
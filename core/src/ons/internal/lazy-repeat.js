@@ -17,6 +17,10 @@ limitations under the License.
 
 import util from '../util';
 import platform from '../platform';
+import StickyHeader from './sticky-header';
+
+const loadMoreHooks = { top: 'loadMoreTop', bottom: 'loadMoreBottom' };
+const maxRecycledItems = 50; // Per item type
 
 export class LazyRepeatDelegate {
 
@@ -36,6 +40,63 @@ export class LazyRepeatDelegate {
     return this._userDelegate.itemHeight;
   }
 
+  /**
+   * Offscreen items are reused for other indexes of the same type when the
+   * delegate is able to update them. Setting `recycle` to `false` opts out.
+   *
+   * @return {Boolean}
+   */
+  canRecycle() {
+    const { recycle, getItemType, updateItemContent } = this._userDelegate;
+    return recycle !== false && updateItemContent instanceof Function && (recycle === true || getItemType instanceof Function);
+  }
+
+  /**
+   * @param {Number} index
+   * @return {String}
+   */
+  getItemType(index) {
+    return this._userDelegate.getItemType instanceof Function ? String(this._userDelegate.getItemType(index)) : '';
+  }
+
+  /**
+   * @return {Boolean}
+   */
+  canUpdateItem() {
+    return this._userDelegate.updateItemContent instanceof Function;
+  }
+
+  /**
+   * @return {Boolean}
+   */
+  hasItemKeys() {
+    return this._userDelegate.getItemKey instanceof Function;
+  }
+
+  /**
+   * @param {Number} index
+   * @return {*}
+   */
+  getItemKey(index) {
+    return this._userDelegate.getItemKey(index);
+  }
+
+  /**
+   * @return {Boolean}
+   */
+  hasSections() {
+    return this._userDelegate.getSectionHeaderIndex instanceof Function;
+  }
+
+  /**
+   * @param {Number} index
+   * @return {Number} Index of the header item of the section that contains the item. -1 if there is none.
+   */
+  getSectionHeaderIndex(index) {
+    const headerIndex = this._userDelegate.getSectionHeaderIndex(index);
+    return typeof headerIndex === 'number' ? headerIndex : -1;
+  }
+
   /**
    * @return {Boolean}
    */
@@ -106,6 +167,42 @@ export class LazyRepeatDelegate {
     return 0;
   }
 
+  /**
+   * @param {String} position "top" or "bottom".
+   * @return {Boolean}
+   */
+  hasLoadMore(position) {
+    return this._userDelegate[loadMoreHooks[position]] instanceof Function;
+  }
+
+  /**
+   * @param {String} position "top" or "bottom".
+   * @param {Function} done Takes the number of loaded items.
+   */
+  loadMore(position, done) {
+    this._userDelegate[loadMoreHooks[position]](done);
+  }
+
+  /**
+   * @param {String} position "top" or "bottom".
+   * @return {Element}
+   */
+  createLoadingElement(position) {
+    if (this._userDelegate.createLoadingContent instanceof Function) {
+      const element = this._userDelegate.createLoadingContent(position);
+      if (!(element instanceof Element)) {
+        util.throw('"createLoadingContent" must return an instance of Element');
+      }
+      return element;
+    }
+
+    return util.createElement(`
+      <div class="lazy-repeat__loading" style="display: flex; justify-content: center; width: 100%; padding: 8px 0">
+        <ons-progress-circular indeterminate></ons-progress-circular>
+      </div>
+    `);
+  }
+
   /**
    * @param {Number} index
    * @param {Object} item
@@ -136,8 +233,10 @@ export class LazyRepeatProvider {
   /**
    * @param {Element} wrapperElement
    * @param {LazyRepeatDelegate} delegate
+   * @param {Object} [options]
+   * @param {Number} [options.columns] Number of items per row.
    */
-  constructor(wrapperElement, delegate) {
+  constructor(wrapperElement, delegate, options = {}) {
     if (!(delegate instanceof LazyRepeatDelegate)) {
       util.throw('"delegate" parameter must be an instance of LazyRepeatDelegate');
     }
@@ -160,9 +259,33 @@ export class LazyRepeatProvider {
     this.padding = 0;
     this._topPositions = [0];
     this._renderedItems = {};
+    this._heightCache = {};
+    this._heightTotal = this._heightCount = 0;
+    this._loading = {};
+    this._loadMoreEnded = {};
+    this._loadMoreChecked = false;
+    this._recycledItems = {};
+    this._itemCount = null;
+    this._insertedIndexes = null;
+    this.columns = options.columns;
 
     if (!this._delegate.itemHeight && !this._delegate.calculateItemHeight(0)) {
-      this._unknownItemHeight = true;
+      // Every rendered item is measured. The first one is only an estimate for the rest.
+      this._unknownItemHeight = this._autoHeight = true;
+
+      if (window.ResizeObserver) {
+        this._resizeObserver = new window.ResizeObserver(() => this._updateItemHeights());
+      }
+    }
+
+    if (this._delegate.hasSections()) {
+      this._stickyHeader = new StickyHeader({
+        listElement: wrapperElement,
+        findHeaders: top => this._findStickyHeaders(top),
+        createHeader: index => this._createStickyHeader(index),
+        destroyHeader: index => this._delegate.destroyItem(index, this._stickyItem),
+        listen: false
+      });
     }
 
     this._addEventListeners();
@@ -177,6 +300,32 @@ export class LazyRepeatProvider {
     this._wrapperElement.style.paddingTop = newValue + 'px';
   }
 
+  get columns() {
+    return this._columns;
+  }
+
+  set columns(value) {
+    value = Math.max(1, parseInt(value, 10) || 1);
+    if (value === this._columns) {
+      return;
+    }
+
+    this._columns = value;
+
+    const style = this._wrapperElement.style;
+    style.display = value > 1 ? 'flex' : '';
+    style.flexWrap = value > 1 ? 'wrap' : '';
+    style.alignItems = value > 1 ? 'flex-start' : '';
+
+    if (Object.keys(this._renderedItems).length > 0) {
+      // Positions are per row, so the layout starts over
+      this._removeAllElements();
+      this._topPositions = [0];
+      this.padding = 0;
+      this._render({ forceScrollDown: true });
+    }
+  }
+
   _findPageContentElement(wrapperElement) {
     const pageContent = util.findParent(wrapperElement, '.page__content');
 
@@ -234,29 +383,134 @@ export class LazyRepeatProvider {
   }
 
   get staticItemHeight() {
-    return this._delegate.itemHeight || this._itemHeight;
+    return this._delegate.itemHeight || (this._autoHeight ? this.estimatedItemHeight : this._itemHeight);
   }
+
+  /**
+   * Average height of the measured items.
+   */
+  get estimatedItemHeight() {
+    return this._heightCount > 0 ? Math.round(this._heightTotal / this._heightCount) : this._itemHeight;
+  }
+
   _countItems() {
-    return this._delegate.countItems();
+    // Cached while rendering, as every row height needs it
+    return this._itemCount === null ? this._delegate.countItems() : this._itemCount;
+  }
+
+  _cacheItemHeight(index, height) {
+    if (this._heightCache.hasOwnProperty(index)) {
+      this._heightTotal -= this._heightCache[index];
+    } else {
+      this._heightCount++;
+    }
+
+    this._heightCache[index] = height;
+    this._heightTotal += height;
   }
 
+  /**
+   * Vertical space taken by the item. In grid mode the last item
+   * of every row takes the height of the whole row and the rest take none.
+   */
   _getItemHeight(i) {
+    return this._columns > 1 ? this._getRowHeight(i) : this._getCellHeight(i);
+  }
+
+  _getRowHeight(i) {
+    if ((i + 1) % this._columns !== 0 && i + 1 < this._countItems()) {
+      return 0;
+    }
+
+    let height = 0;
+    for (let j = i - i % this._columns; j <= i; j++) {
+      height = Math.max(height, this._getCellHeight(j, false));
+    }
+    return height;
+  }
+
+  _getCellHeight(i, useTopPositions = true) {
     // Item is rendered
     if (this._renderedItems.hasOwnProperty(i)) {
-      if (!this._renderedItems[i].hasOwnProperty('height')) {
-        this._renderedItems[i].height = this._renderedItems[i].element.offsetHeight;
+      const item = this._renderedItems[i];
+      if (!item.hasOwnProperty('height')) {
+        item.height = item.element.offsetHeight;
+        this._autoHeight && this._cacheItemHeight(i, item.height);
       }
-      return this._renderedItems[i].height;
+      return item.height;
+    }
+
+    // Item is not rendered but was measured before
+    if (this._heightCache.hasOwnProperty(i)) {
+      return this._heightCache[i];
     }
 
     // Item is not rendered, scroll up
-    if (this._topPositions[i + 1] && this._topPositions[i]) {
+    if (useTopPositions && this._topPositions[i + 1] && this._topPositions[i]) {
       return this._topPositions[i + 1] - this._topPositions[i];
     }
     // Item is not rendered, scroll down
     return this.staticItemHeight || this._delegate.calculateItemHeight(i);
   }
 
+  /**
+   * Measures rendered items again and keeps the visible ones in place
+   * when the items above them change their height.
+   *
+   * @param {Array} [measured] Indexes of the items to measure. All the rendered items by default.
+   */
+  _updateItemHeights(measured) {
+    if (!this._autoHeight || !this._renderedItems) {
+      return;
+    }
+
+    const indexes = Object.keys(this._renderedItems).map(key => +key).sort((a, b) => a - b);
+    if (indexes.length === 0 || (measured && measured.length === 0)) {
+      return;
+    }
+
+    const viewTop = this._pageContent.getBoundingClientRect().top - this._wrapperElement.getBoundingClientRect().top;
+    // Heights currently used in the positions. Estimated ones are NaN when unknown.
+    const before = indexes.map(index => this._topPositions[index + 1] - this._topPositions[index]);
+
+    (measured || indexes).forEach(index => {
+      const item = this._renderedItems[index];
+      if (!item) {
+        return;
+      }
+
+      const height = item.element.offsetHeight;
+      if (height !== item.height) {
+        item.height = height;
+        this._cacheItemHeight(index, height);
+      }
+    });
+
+    let changed = false;
+    let shift = 0;
+
+    indexes.forEach((index, i) => {
+      const delta = this._getItemHeight(index) - before[i];
+      if (delta !== 0) {
+        changed = true;
+        if (this._topPositions[index] + before[i] <= viewTop) {
+          shift += delta;
+        }
+      }
+    });
+
+    if (!changed) {
+      return;
+    }
+
+    this._recalculateTopPositions(indexes[0], indexes[indexes.length - 1]);
+
+    if (shift !== 0) {
+      this._pageContent.scrollTop += shift;
+      this.lastScrollTop = this._pageContent.scrollTop;
+    }
+  }
+
   _calculateRenderedHeight() {
     return Object.keys(this._renderedItems).reduce((a, b) => a + this._getItemHeight(+(b)), 0)
   }
@@ -274,6 +528,13 @@ export class LazyRepeatProvider {
   }
 
   refresh() {
+    this._loadMoreEnded = {};
+
+    // Kept rows show the new data through `updateItemContent`
+    if (this._delegate.hasItemKeys() && this._delegate.canUpdateItem()) {
+      return this._refreshKeyed();
+    }
+
     const forceRender = { forceScrollDown: true };
     const firstItemIndex = this._firstItemRendered();
 
@@ -288,6 +549,77 @@ export class LazyRepeatProvider {
     this._wrapperElement.style.height = 'inherit';
   }
 
+  /**
+   * Keeps the elements of the rendered items whose key is still in the data
+   * and updates their content, which may have changed. The rest are removed
+   * and the missing rows rendered.
+   */
+  _refreshKeyed() {
+    const first = this._firstItemRendered();
+    if (!util.isInteger(first)) {
+      return this._render({ forceScrollDown: true });
+    }
+
+    const last = this._lastItemRendered();
+    const count = this._countItems();
+    const previous = new Map();
+    const removed = [];
+    Object.keys(this._renderedItems).forEach(key => {
+      const entry = { index: +key, item: this._renderedItems[key] };
+      if (previous.has(entry.item.key)) {
+        removed.push(entry); // Duplicated key
+      } else {
+        previous.set(entry.item.key, entry);
+      }
+    });
+
+    this._keepAnchor(() => {
+      const rendered = {};
+
+      for (let i = first; i <= last && i < count; i++) {
+        const key = this._delegate.getItemKey(i);
+        const entry = previous.get(key);
+
+        if (entry) {
+          previous.delete(key);
+          rendered[i] = entry.item;
+          delete entry.item.height;
+          this._delegate.updateItem(i, entry.item);
+        }
+      }
+
+      previous.forEach(entry => removed.push(entry));
+      removed.forEach(({ index, item }) => {
+        this._recycleItem(index, item);
+        this._detachItem(index, item);
+      });
+
+      // Measured heights belong to the old indexes
+      this._heightCache = {};
+      this._heightTotal = this._heightCount = 0;
+
+      this._renderedItems = rendered;
+      this._sortElements();
+      this._relayout(first, first);
+    });
+  }
+
+  /**
+   * Moves the rendered elements that are out of order after a keyed refresh.
+   */
+  _sortElements() {
+    const position = element => Array.prototype.indexOf.call(this._wrapperElement.children, element);
+    let previous = null;
+
+    Object.keys(this._renderedItems).map(key => +key).sort((a, b) => a - b).forEach(index => {
+      const element = this._renderedItems[index].element;
+      if (previous && position(element) < position(previous)) {
+        this._wrapperElement.insertBefore(element, previous.nextSibling);
+      }
+      previous = element;
+    });
+  }
+
   _render({forceScrollDown = false, forceFirstIndex, forceLastIndex} = {}) {
     if (this._unknownItemHeight) {
       return this._checkItemHeight(this._render.bind(this, arguments[0]));
@@ -299,10 +631,11 @@ export class LazyRepeatProvider {
 
     const offset = this._wrapperElement.getBoundingClientRect().top;
     const limit = 4 * window.innerHeight - offset;
-    const count = this._countItems();
+    const count = this._itemCount = this._delegate.countItems();
 
     const items = [];
-    const start = forceFirstIndex || Math.max(0, this._calculateStartIndex(offset) - 30); // Recalculate for 0 or undefined
+    let start = forceFirstIndex || Math.max(0, this._calculateStartIndex(offset) - 30); // Recalculate for 0 or undefined
+    start -= start % this._columns; // Rows are rendered entirely
     let i = start;
 
     for (let top = this._topPositions[i]; i < count && top < limit; i++) {
@@ -315,17 +648,26 @@ export class LazyRepeatProvider {
     }
 
     if (this._delegate.hasRenderFunction && this._delegate.hasRenderFunction()) {
-      return this._delegate._render(start, i, () => {
+      this._delegate._render(start, i, () => {
         this.padding = this._topPositions[start];
       });
+      this._itemCount = null;
+      this._checkLoadMore(start === 0, i >= count, isScrollUp);
+      return;
     }
 
+    this._insertedIndexes = [];
+
     if (isScrollUp) {
       for (let j = i - 1; j >= start; j--) {
         keep[j] = true;
         this._renderElement(j, isScrollUp);
       }
     } else {
+      if (start < this._firstItemRendered()) {
+        this.padding = this._topPositions[start];
+      }
+
       const lastIndex = forceLastIndex || Math.max(i - 1, ...Object.keys(this._renderedItems)); // Recalculate for 0 or undefined
       for (let j = start; j <= lastIndex; j++) {
         keep[j] = true;
@@ -334,6 +676,103 @@ export class LazyRepeatProvider {
     }
 
     Object.keys(this._renderedItems).forEach(key => keep[key] || this._removeElement(key, isScrollUp));
+
+    // Items that stay rendered are measured again by the ResizeObserver where it is available
+    this._updateItemHeights(this._resizeObserver ? this._insertedIndexes : undefined);
+    this._insertedIndexes = null;
+    this._itemCount = null;
+    this._checkLoadMore(start === 0, i >= count, isScrollUp);
+    this._stickyHeader && this._stickyHeader.update();
+  }
+
+  /**
+   * The pinned header belongs to the section of the first visible item
+   * once the header item itself is scrolled past.
+   */
+  _findStickyHeaders(top) {
+    const indexes = Object.keys(this._renderedItems).map(key => +key).sort((a, b) => a - b);
+    const getTop = index => this._renderedItems[index].element.getBoundingClientRect().top;
+
+    const first = indexes.filter(index => this._renderedItems[index].element.getBoundingClientRect().bottom > top)[0];
+    if (first === undefined) {
+      return null;
+    }
+
+    const headerIndex = this._delegate.getSectionHeaderIndex(first);
+    if (headerIndex < 0 || (this._renderedItems.hasOwnProperty(headerIndex) && getTop(headerIndex) >= top)) {
+      return null;
+    }
+
+    const next = indexes.filter(index => index > first && this._delegate.getSectionHeaderIndex(index) === index)[0];
+    return { key: headerIndex, nextTop: next === undefined ? null : getTop(next) };
+  }
+
+  _createStickyHeader(index) {
+    this._stickyItem = null;
+    this._delegate.loadItemElement(index, item => this._stickyItem = item);
+    return this._stickyItem && this._stickyItem.element;
+  }
+
+  /**
+   * Lists start at the top, so the top hook waits for a scroll toward it
+   * unless the first render is already scrolled down.
+   *
+   * @param {Boolean} isTopRendered
+   * @param {Boolean} isBottomRendered
+   * @param {Boolean} isScrollUp
+   */
+  _checkLoadMore(isTopRendered, isBottomRendered, isScrollUp) {
+    const { scrollTop, scrollHeight, clientHeight } = this._pageContent;
+    const initial = !this._loadMoreChecked;
+    this._loadMoreChecked = true;
+
+    if (isTopRendered && scrollTop < clientHeight && (isScrollUp || (initial && scrollTop > 0))) {
+      this._loadMore('top');
+    }
+
+    if (isBottomRendered && scrollHeight - scrollTop - clientHeight < clientHeight) {
+      this._loadMore('bottom');
+    }
+  }
+
+  /**
+   * Calls the "loadMoreTop" or "loadMoreBottom" hook and shows a loading element until it is done.
+   * Hooks that load no items are not called again until the next refresh.
+   *
+   * @param {String} position "top" or "bottom".
+   */
+  _loadMore(position) {
+    if (this._loading[position] || this._loadMoreEnded[position] || !this._delegate.hasLoadMore(position)) {
+      return;
+    }
+
+    const placeholder = this._delegate.createLoadingElement(position);
+    this._loading[position] = placeholder;
+
+    if (position === 'top') {
+      this._wrapperElement.insertBefore(placeholder, this._wrapperElement.children[this._insertIndex]);
+    } else {
+      this._wrapperElement.appendChild(placeholder);
+    }
+
+    this._delegate.loadMore(position, (count = 0) => {
+      if (this._loading[position] !== placeholder) {
+        return; // Destroyed
+      }
+
+      this._loadMoreEnded[position] = count === 0;
+
+      this._keepAnchor(() => {
+        placeholder.remove();
+        delete this._loading[position];
+
+        if (position === 'top' && count > 0) {
+          this._insertItems(0, count);
+        } else {
+          this._render({ forceScrollDown: true });
+        }
+      });
+    });
   }
 
   /**
@@ -343,21 +782,103 @@ export class LazyRepeatProvider {
   _renderElement(index, isScrollUp) {
     const item = this._renderedItems[index];
     if (item) {
-      this._delegate.updateItem(index, item); // update if it exists
+      if (!this._delegate.hasItemKeys()) {
+        this._delegate.updateItem(index, item); // update if it exists
+      }
       return;
     }
 
-    this._delegate.loadItemElement(index, item => {
+    const insert = item => {
+      item.type = this._delegate.getItemType(index);
+      if (this._delegate.hasItemKeys()) {
+        item.key = this._delegate.getItemKey(index);
+      }
+
+      if (this._columns > 1) {
+        item.element.style.boxSizing = 'border-box';
+        item.element.style.width = 100 / this._columns + '%';
+      }
+
+      this._wrapperElement.insertBefore(item.element, this._findNextElement(index));
+
       if (isScrollUp) {
-        this._wrapperElement.insertBefore(item.element, this._wrapperElement.children[this._insertIndex])
         this.padding = this._topPositions[index];
-        item.height = this._topPositions[index + 1] - this._topPositions[index];
-      } else {
-        this._wrapperElement.appendChild(item.element);
+        if (!this._autoHeight && this._columns === 1) {
+          item.height = this._topPositions[index + 1] - this._topPositions[index];
+        }
       }
 
       this._renderedItems[index] = item;
+      this._insertedIndexes && this._insertedIndexes.push(index);
+      this._resizeObserver && this._resizeObserver.observe(item.element);
+    };
+
+    const recycledItem = this._takeRecycledItem(index);
+    if (recycledItem) {
+      this._delegate.updateItem(index, recycledItem);
+      insert(recycledItem);
+    } else {
+      this._delegate.loadItemElement(index, insert);
+    }
+  }
+
+  /**
+   * @param {Number} index
+   * @return {Object|null} Offscreen item of the same type.
+   */
+  _takeRecycledItem(index) {
+    if (!this._delegate.canRecycle()) {
+      return null;
+    }
+
+    const pool = this._recycledItems[this._delegate.getItemType(index)];
+    return pool && pool.length > 0 ? pool.pop().item : null;
+  }
+
+  /**
+   * Keeps the item for later use or destroys it.
+   *
+   * @param {Number} index
+   * @param {Object} item
+   */
+  _recycleItem(index, item) {
+    if (this._delegate.canRecycle()) {
+      const pool = this._recycledItems[item.type] = this._recycledItems[item.type] || [];
+
+      if (pool.length < maxRecycledItems) {
+        delete item.height;
+        pool.push({ index, item });
+        return;
+      }
+    }
+
+    this._delegate.destroyItem(index, item);
+  }
+
+  _detachItem(index, item) {
+    this._resizeObserver && this._resizeObserver.unobserve(item.element);
+
+    if (item.element.parentElement) {
+      item.element.parentElement.removeChild(item.element);
+    }
+  }
+
+  /**
+   * Element that follows the item in the DOM.
+   *
+   * @param {Number} index
+   * @return {Element|null}
+   */
+  _findNextElement(index) {
+    let next = Infinity;
+    Object.keys(this._renderedItems).forEach(key => {
+      key = +key;
+      if (key > index && key < next) {
+        next = key;
+      }
     });
+
+    return next < Infinity ? this._renderedItems[next].element : (this._loading.bottom || null);
   }
 
   /**
@@ -367,7 +888,6 @@ export class LazyRepeatProvider {
   _removeElement(index, isScrollUp = true) {
     index = +(index);
     const item = this._renderedItems[index];
-    this._delegate.destroyItem(index, item);
 
     if (isScrollUp) {
       this._topPositions[index + 1] = undefined;
@@ -375,9 +895,8 @@ export class LazyRepeatProvider {
       this.padding = this.padding + this._getItemHeight(index);
     }
 
-    if (item.element.parentElement) {
-      item.element.parentElement.removeChild(item.element);
-    }
+    this._recycleItem(index, item);
+    this._detachItem(index, item);
 
     delete this._renderedItems[index];
   }
@@ -386,6 +905,166 @@ export class LazyRepeatProvider {
     Object.keys(this._renderedItems).forEach(key => this._removeElement(key));
   }
 
+  /**
+   * Runs `fn` and restores the viewport position of the first visible item.
+   */
+  _keepAnchor(fn) {
+    const contentTop = this._pageContent.getBoundingClientRect().top;
+    const anchor = Object.keys(this._renderedItems)
+      .map(key => this._renderedItems[key].element)
+      .filter(element => element.getBoundingClientRect().bottom > contentTop)
+      .sort((a, b) => a.getBoundingClientRect().top - b.getBoundingClientRect().top)[0];
+    const anchorTop = anchor && anchor.getBoundingClientRect().top;
+
+    fn();
+
+    if (anchor && anchor.parentElement) {
+      const shift = anchor.getBoundingClientRect().top - anchorTop;
+      if (shift !== 0) {
+        this._pageContent.scrollTop += shift;
+        this.lastScrollTop = this._pageContent.scrollTop;
+      }
+    }
+  }
+
+  /**
+   * Moves the rendered items and the measured heights from `index` on by `offset` positions.
+   */
+  _shiftIndexes(index, offset) {
+    [this._renderedItems, this._heightCache].forEach(object => {
+      Object.keys(object)
+        .map(key => +key)
+        .filter(key => key >= index)
+        .sort((a, b) => offset > 0 ? b - a : a - b)
+        .forEach(key => {
+          object[key + offset] = object[key];
+          delete object[key];
+        });
+    });
+  }
+
+  /**
+   * Positions the rendered items again after indexes changed from `index` on.
+   *
+   * @param {Number} index
+   * @param {Number} [first] Index where rendering starts.
+   */
+  _relayout(index, first = this._firstItemRendered()) {
+    if (!util.isInteger(first)) {
+      return this._render({ forceScrollDown: true });
+    }
+
+    const start = first - first % this._columns;
+    const from = Math.min(index - index % this._columns, start);
+    this._getTopPosition(from);
+    this._recalculateTopPositions(from, this._lastItemRendered());
+    this.padding = this._topPositions[first];
+    this._render({ forceScrollDown: true, forceFirstIndex: start });
+  }
+
+  /**
+   * Call it after `count` items were added to the data at `index`.
+   *
+   * @param {Number} index
+   * @param {Number} [count]
+   */
+  insertItems(index, count = 1) {
+    this._keepAnchor(() => this._insertItems(index, count));
+  }
+
+  _insertItems(index, count) {
+    this._shiftIndexes(index, count);
+
+    if (index < this._topPositions.length) {
+      this._topPositions = this._topPositions.slice(0, index + 1).concat(new Array(count), this._topPositions.slice(index + 1));
+    }
+
+    this._relayout(index);
+  }
+
+  /**
+   * Call it after `count` items were removed from the data at `index`.
+   *
+   * @param {Number} index
+   * @param {Number} [count]
+   */
+  removeItems(index, count = 1) {
+    this._keepAnchor(() => {
+      for (let i = index; i < index + count; i++) {
+        if (this._renderedItems.hasOwnProperty(i)) {
+          this._removeElement(i);
+        }
+
+        if (this._heightCache.hasOwnProperty(i)) {
+          this._heightTotal -= this._heightCache[i];
+          this._heightCount--;
+          delete this._heightCache[i];
+        }
+      }
+
+      this._shiftIndexes(index + count, -count);
+      this._topPositions.splice(index + 1, count);
+      this._relayout(index);
+    });
+  }
+
+  /**
+   * @param {Number} index
+   * @return {Number} Top position of the item, calculating the unknown ones before it.
+   */
+  _getTopPosition(index) {
+    let i = Math.min(index, this._topPositions.length - 1);
+    while (i > 0 && typeof this._topPositions[i] !== 'number') {
+      i--;
+    }
+
+    let top = this._topPositions[i];
+    for (; i < index; i++) {
+      this._topPositions[i] = top;
+      top += this._getItemHeight(i);
+    }
+
+    this._topPositions[index] = top;
+    return top;
+  }
+
+  /**
+   * @param {Number} index
+   * @param {Object} [options]
+   * @param {String} [options.align] "start", "center" or "end".
+   */
+  scrollToIndex(index, { align = 'start' } = {}) {
+    index = Math.max(0, Math.min(index, this._countItems() - 1));
+
+    const content = this._pageContent;
+    const viewHeight = content.clientHeight;
+    const getOffset = height => align === 'center' ? (viewHeight - height) / 2 : align === 'end' ? viewHeight - height : 0;
+
+    if (!this._renderedItems.hasOwnProperty(index)) {
+      // Jump close to the item so it is rendered
+      const start = Math.max(0, index - 30);
+      const alignedStart = start - start % this._columns;
+      const wrapperTop = this._wrapperElement.getBoundingClientRect().top - content.getBoundingClientRect().top + content.scrollTop;
+
+      this._removeAllElements();
+      const top = wrapperTop + this._getTopPosition(index) - getOffset(this._getItemHeight(index));
+      this._getTopPosition(alignedStart);
+      this.padding = this._topPositions[alignedStart];
+      this._wrapperElement.style.height = Math.max(0, top) + viewHeight + 'px';
+      content.scrollTop = Math.max(0, top);
+      this._render({ forceScrollDown: true, forceFirstIndex: alignedStart });
+      this._wrapperElement.style.height = 'inherit';
+    }
+
+    const item = this._renderedItems[index];
+    if (item) {
+      const rect = item.element.getBoundingClientRect();
+      content.scrollTop += rect.top - content.getBoundingClientRect().top - getOffset(rect.height);
+    }
+
+    this.lastScrollTop = content.scrollTop;
+  }
+
   _recalculateTopPositions(start, end) {
     for (let i = start; i <= end; i++) {
       this._topPositions[i + 1] = this._topPositions[i] + this._getItemHeight(i);
@@ -469,7 +1148,15 @@ export class LazyRepeatProvider {
   }
 
   destroy() {
+    Object.keys(this._loading).forEach(position => this._loading[position].remove());
+    this._loading = {};
     this._removeAllElements();
+    Object.keys(this._recycledItems).forEach(type => {
+      this._recycledItems[type].forEach(({ index, item }) => this._delegate.destroyItem(index, item));
+    });
+    this._recycledItems = {};
+    this._resizeObserver && this._resizeObserver.disconnect();
+    this._stickyHeader && this._stickyHeader.destroy();
     this._delegate.destroy();
     this._parentElement = this._delegate = this._renderedItems = null;
     this._removeEventListeners();
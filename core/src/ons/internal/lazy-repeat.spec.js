@@ -48,6 +48,38 @@ describe('LazyRepeatDelegate', () => {
     });
   });
 
+  describe('#canRecycle()', () => {
+    it('requires \'recycle\' and \'updateItemContent\'', () => {
+      expect(delegate.canRecycle()).to.be.false;
+      userDelegate.recycle = true;
+      expect(delegate.canRecycle()).to.be.false;
+      userDelegate.updateItemContent = () => {};
+      expect(delegate.canRecycle()).to.be.true;
+    });
+
+    it('is enabled by \'getItemType\' and \'updateItemContent\'', () => {
+      userDelegate.getItemType = () => 'item';
+      expect(delegate.canRecycle()).to.be.false;
+      userDelegate.updateItemContent = () => {};
+      expect(delegate.canRecycle()).to.be.true;
+    });
+
+    it('can be disabled with \'recycle: false\'', () => {
+      userDelegate.getItemType = () => 'item';
+      userDelegate.updateItemContent = () => {};
+      userDelegate.recycle = false;
+      expect(delegate.canRecycle()).to.be.false;
+    });
+  });
+
+  describe('#getItemType()', () => {
+    it('returns the same type by default', () => {
+      expect(delegate.getItemType(0)).to.equal(delegate.getItemType(1));
+      userDelegate.getItemType = i => i % 2;
+      expect(delegate.getItemType(0)).not.to.equal(delegate.getItemType(1));
+    });
+  });
+
   describe('#updateItem()', () => {
     it('doesn\'t throw an error', () => {
       expect(() => delegate.updateItem()).to.not.throw(Error);
@@ -215,4 +247,344 @@ describe('LazyRepeatProvider', () => {
       expect(spy).to.have.been.called.once;
     });
   });
+
+  describe('without item height', () => {
+    let autoProvider;
+
+    beforeEach(() => {
+      provider.destroy();
+
+      autoProvider = new LazyRepeatProvider(wrapper, new LazyRepeatDelegate({
+        createItemContent: i => ons._util.createElement(`<div style="height: ${i % 2 ? 20 : 60}px">Item ${i}</div>`),
+        countItems: () => 1000
+      }));
+    });
+
+    afterEach(() => {
+      autoProvider.destroy();
+    });
+
+    it('measures every rendered item', () => {
+      expect(autoProvider._getItemHeight(0)).to.equal(60);
+      expect(autoProvider._getItemHeight(1)).to.equal(20);
+      expect(autoProvider._topPositions[2]).to.equal(80);
+    });
+
+    it('estimates unrendered items with the average height', () => {
+      expect(autoProvider.estimatedItemHeight).to.equal(40);
+      expect(autoProvider._getItemHeight(999)).to.equal(40);
+    });
+
+    it('keeps measured heights of removed items', () => {
+      autoProvider._removeElement(1);
+      expect(autoProvider._getItemHeight(1)).to.equal(20);
+    });
+
+    it('keeps the visible items in place when items above them change', () => {
+      const pageContent = page.querySelector('.page__content');
+      pageContent.scrollTop = 200;
+      autoProvider._render();
+
+      const scrollTop = pageContent.scrollTop;
+      autoProvider._renderedItems[0].element.style.height = '100px';
+      autoProvider._updateItemHeights();
+
+      expect(autoProvider._getItemHeight(0)).to.equal(100);
+      expect(pageContent.scrollTop).to.equal(scrollTop + 40);
+    });
+
+    it('only measures the inserted items when rendering', () => {
+      if (!window.ResizeObserver) {
+        return;
+      }
+
+      const rendered = Object.keys(autoProvider._renderedItems).map(key => +key);
+      const spy = chai.spy.on(autoProvider, '_updateItemHeights');
+      page.querySelector('.page__content').scrollTop = 3000;
+      autoProvider._render();
+
+      expect(spy).to.have.been.called.once;
+      const measured = spy.__spy.calls[0][0];
+      expect(measured.length).to.be.above(0);
+      measured.forEach(index => expect(rendered).not.to.include(index));
+    });
+  });
+
+  describe('#insertItems()', () => {
+    it('moves the rendered items', () => {
+      const element = provider._renderedItems[0].element;
+      provider.insertItems(0, 5);
+      expect(provider._renderedItems[5].element).to.equal(element);
+      expect(provider._topPositions[5]).to.equal(220);
+    });
+
+    it('keeps the visible items in place', () => {
+      const pageContent = page.querySelector('.page__content');
+      pageContent.scrollTop = 440;
+      provider._render();
+
+      const element = provider._renderedItems[20].element;
+      const top = element.getBoundingClientRect().top;
+      provider.insertItems(0, 3);
+
+      expect(provider._renderedItems[23].element).to.equal(element);
+      expect(element.getBoundingClientRect().top).to.equal(top);
+    });
+  });
+
+  describe('#removeItems()', () => {
+    it('destroys the removed items and moves the rest', () => {
+      const spy = chai.spy.on(delegate, 'destroyItem');
+      const element = provider._renderedItems[2].element;
+      provider.removeItems(0, 2);
+      expect(spy).to.have.been.called.twice;
+      expect(provider._renderedItems[0].element).to.equal(element);
+      expect(provider._topPositions[1]).to.equal(44);
+    });
+  });
+
+  describe('#scrollToIndex()', () => {
+    it('renders the item at the top of the page', () => {
+      const pageContent = page.querySelector('.page__content');
+      provider.scrollToIndex(500);
+      const element = provider._renderedItems[500].element;
+      expect(Math.round(element.getBoundingClientRect().top - pageContent.getBoundingClientRect().top)).to.equal(0);
+    });
+  });
+
+  describe('load more hooks', () => {
+    let count, loadMoreProvider, done;
+
+    beforeEach(() => {
+      provider.destroy();
+      count = 10;
+      done = {};
+
+      loadMoreProvider = new LazyRepeatProvider(wrapper, new LazyRepeatDelegate({
+        createItemContent: i => ons._util.createElement(`<ons-list-item>Item ${i}</ons-list-item>`),
+        countItems: () => count,
+        calculateItemHeight: () => 44,
+        loadMoreTop: callback => done.top = callback,
+        loadMoreBottom: callback => done.bottom = callback
+      }));
+    });
+
+    afterEach(() => {
+      loadMoreProvider.destroy();
+    });
+
+    const scrollUp = () => {
+      loadMoreProvider.lastScrollTop = 100;
+      loadMoreProvider._render();
+    };
+
+    it('does not call loadMoreTop on mount', () => {
+      expect(done.top).to.be.undefined;
+      loadMoreProvider._render();
+      expect(done.top).to.be.undefined;
+    });
+
+    it('calls loadMoreTop when scrolling up to the first item', () => {
+      scrollUp();
+      expect(done.top).to.be.a('function');
+    });
+
+    it('shows loading elements until the hooks are done', () => {
+      expect(done.bottom).to.be.a('function');
+      expect(wrapper.querySelectorAll('.lazy-repeat__loading').length).to.equal(1);
+
+      scrollUp();
+      expect(wrapper.querySelectorAll('.lazy-repeat__loading').length).to.equal(2);
+
+      count += 5;
+      done.bottom(5);
+
+      const items = wrapper.querySelectorAll('ons-list-item');
+      expect(loadMoreProvider._renderedItems.hasOwnProperty(14)).to.be.true;
+      expect(items[items.length - 1]).to.equal(loadMoreProvider._renderedItems[14].element);
+    });
+
+    it('inserts the items loaded at the top', () => {
+      scrollUp();
+      const element = loadMoreProvider._renderedItems[0].element;
+      count += 3;
+      done.top(3);
+      expect(loadMoreProvider._renderedItems[3].element).to.equal(element);
+    });
+
+    it('does not call hooks that loaded nothing again', () => {
+      const callback = done.bottom;
+      callback(0);
+      done.bottom = null;
+      loadMoreProvider._render();
+      expect(done.bottom).to.be.null;
+    });
+  });
+
+  describe('recycling', () => {
+    let userDelegate, recyclingDelegate, recyclingProvider;
+
+    beforeEach(() => {
+      provider.destroy();
+
+      userDelegate = {
+        createItemContent: i => ons._util.createElement(`<ons-list-item>Item ${i}</ons-list-item>`),
+        updateItemContent: (i, item) => item.element.textContent = `Item ${i}`,
+        getItemType: i => i % 2 ? 'odd' : 'even',
+        countItems: () => 1000,
+        calculateItemHeight: () => 44,
+        destroyItem: () => {}
+      };
+      recyclingDelegate = new LazyRepeatDelegate(userDelegate);
+      recyclingProvider = new LazyRepeatProvider(wrapper, recyclingDelegate);
+    });
+
+    afterEach(() => {
+      recyclingProvider.destroy();
+    });
+
+    it('reuses offscreen elements of the same type', () => {
+      const elements = Object.keys(recyclingProvider._renderedItems).map(key => recyclingProvider._renderedItems[key].element);
+      recyclingProvider.scrollToIndex(500);
+
+      const item = recyclingProvider._renderedItems[501];
+      expect(elements).to.include(item.element);
+      expect(item.type).to.equal('odd');
+      expect(item.element.textContent).to.equal('Item 501');
+    });
+
+    it('destroys the kept elements', () => {
+      const destroySpy = chai.spy.on(userDelegate, 'destroyItem');
+      recyclingProvider.refresh();
+      recyclingProvider.destroy();
+      expect(destroySpy).to.have.been.called();
+      expect(recyclingProvider._recycledItems).to.deep.equal({});
+    });
+  });
+
+  describe('keyed refresh', () => {
+    let keys, userDelegate, keyedProvider;
+
+    beforeEach(() => {
+      provider.destroy();
+      keys = Array.from({ length: 100 }, (_, i) => 'key' + i);
+
+      userDelegate = {
+        createItemContent: i => ons._util.createElement(`<ons-list-item>${keys[i]}</ons-list-item>`),
+        updateItemContent: (i, item) => item.element.textContent = keys[i],
+        getItemKey: i => keys[i],
+        countItems: () => keys.length,
+        calculateItemHeight: () => 44
+      };
+      keyedProvider = new LazyRepeatProvider(wrapper, new LazyRepeatDelegate(userDelegate));
+    });
+
+    afterEach(() => {
+      keyedProvider.destroy();
+    });
+
+    it('keeps the elements of unchanged rows and updates their content', () => {
+      const element = keyedProvider._renderedItems[3].element;
+      const createSpy = chai.spy.on(userDelegate, 'createItemContent');
+      userDelegate.updateItemContent = (i, item) => item.element.textContent = keys[i] + ' edited';
+      keyedProvider.refresh();
+
+      expect(keyedProvider._renderedItems[3].element).to.equal(element);
+      expect(element.textContent).to.equal('key3 edited');
+      expect(createSpy).not.to.have.been.called();
+    });
+
+    it('moves the rows with a different index', () => {
+      const element = keyedProvider._renderedItems[3].element;
+      const removed = keyedProvider._renderedItems[1].element;
+      keys.splice(1, 1);
+      keys.unshift('new');
+      keyedProvider.refresh();
+
+      expect(keyedProvider._renderedItems[3].element).to.equal(element);
+      expect(keyedProvider._renderedItems[0].element.textContent).to.equal('new');
+      expect(keyedProvider._renderedItems[1].element.textContent).to.equal('key0');
+      expect(removed.parentElement).to.be.null;
+
+      const items = wrapper.querySelectorAll('ons-list-item');
+      expect(items[0].textContent).to.equal('new');
+      expect(items[1].textContent).to.equal('key0');
+    });
+
+    it('recreates the rows without \'updateItemContent\'', () => {
+      const element = keyedProvider._renderedItems[3].element;
+      delete userDelegate.updateItemContent;
+      keyedProvider.refresh();
+
+      expect(keyedProvider._renderedItems[3].element).not.to.equal(element);
+    });
+  });
+
+  describe('sections', () => {
+    let sectionProvider;
+
+    beforeEach(() => {
+      provider.destroy();
+
+      // A header every 10 items
+      sectionProvider = new LazyRepeatProvider(wrapper, new LazyRepeatDelegate({
+        createItemContent: i => ons._util.createElement(i % 10 ? `<ons-list-item>Item ${i}</ons-list-item>` : `<ons-list-header>Section ${i / 10}</ons-list-header>`),
+        getSectionHeaderIndex: i => i - i % 10,
+        countItems: () => 1000,
+        calculateItemHeight: () => 44
+      }));
+    });
+
+    afterEach(() => {
+      sectionProvider.destroy();
+    });
+
+    it('pins the header of the first visible item', () => {
+      sectionProvider.scrollToIndex(55);
+      expect(sectionProvider._stickyHeader.key).to.equal(50);
+      expect(page.querySelector('.list__sticky-header').textContent).to.equal('Section 5');
+    });
+
+    it('creates headers that are not rendered', () => {
+      sectionProvider.scrollToIndex(500);
+      sectionProvider._removeElement(500);
+      sectionProvider._stickyHeader.update();
+      expect(sectionProvider._stickyHeader.key).to.equal(500);
+    });
+  });
+
+  describe('#columns', () => {
+    beforeEach(() => {
+      provider.columns = 3;
+    });
+
+    it('lays out items in rows', () => {
+      expect(wrapper.style.display).to.equal('flex');
+      expect(provider._topPositions[1]).to.equal(0);
+      expect(provider._topPositions[3]).to.equal(44);
+      expect(provider._getItemHeight(0)).to.equal(0);
+      expect(provider._getItemHeight(2)).to.equal(44);
+    });
+
+    it('renders entire rows', () => {
+      const pageContent = page.querySelector('.page__content');
+      pageContent.scrollTop = 5000;
+      provider._render();
+      pageContent.scrollTop = 5000;
+      provider._render();
+      expect(provider._firstItemRendered() % 3).to.equal(0);
+    });
+
+    it('counts the items once per render', () => {
+      const spy = chai.spy.on(delegate, 'countItems');
+      provider._render();
+      expect(spy).to.have.been.called.once;
+    });
+
+    it('goes back to a single column', () => {
+      provider.columns = 1;
+      expect(wrapper.style.display).to.equal('');
+      expect(provider._topPositions[1]).to.equal(44);
+    });
+  });
 });
@@ -0,0 +1,244 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import util from '../util';
+import GestureDetector from '../gesture-detector';
+
+const autoScrollEdge = 48; // px from the edges of the page content
+const autoScrollSpeed = 12; // max px per frame
+const transition = 'transform .2s ease-out';
+
+/**
+ * Lets the user drag the items of a list to a new position.
+ * Items with a `.list-item__handle` element are lifted by dragging the handle,
+ * other items are lifted by holding them. The DOM is not modified here:
+ * `onReorder` receives the old and new indexes once the item is dropped.
+ */
+export default class ListReorder {
+
+  /**
+   * @param {Object} params
+   * @param {Element} params.listElement
+   * @param {Function} params.onReorder Receives `from`, `to` and the item element.
+   */
+  constructor({ listElement, onReorder }) {
+    this._listElement = listElement;
+    this._onReorder = onReorder;
+    this._state = null;
+
+    util.bindListeners(this, ['_onTouch', '_onHold', '_onDrag', '_onRelease', '_onClick']);
+
+    this._gestureDetector = new GestureDetector(listElement, { dragMinDistance: 1, holdTimeout: 400, passive: false });
+    this._gestureDetector.on('touch', this._boundOnTouch);
+    this._gestureDetector.on('hold', this._boundOnHold);
+    this._gestureDetector.on('drag', this._boundOnDrag);
+    this._gestureDetector.on('release', this._boundOnRelease);
+    listElement.addEventListener('click', this._boundOnClick, true);
+  }
+
+  _getItems() {
+    return util.arrayFrom(this._listElement.children).filter(el => el.tagName === 'ONS-LIST-ITEM');
+  }
+
+  _findItem(target) {
+    return target.parentNode === this._listElement
+      ? target
+      : util.findParent(target, el => el.parentNode === this._listElement, el => el === this._listElement);
+  }
+
+  _onTouch(event) {
+    const item = event.gesture && this._findItem(event.target);
+    this._touched = null;
+
+    if (item && item.tagName === 'ONS-LIST-ITEM' && !this._state) {
+      const handle = item.querySelector('.list-item__handle');
+      const onHandle = !!handle && (handle === event.target || handle.contains(event.target));
+      // Items with a handle can only be dragged from it
+      if (!handle || onHandle) {
+        this._touched = { item, onHandle };
+      }
+    }
+  }
+
+  _onHold(event) {
+    if (this._touched && !this._touched.onHandle) {
+      this._lift(this._touched.item, event.gesture.center.clientY);
+    }
+  }
+
+  _onDrag(event) {
+    if (!this._state && this._touched && this._touched.onHandle) {
+      this._lift(this._touched.item, event.gesture.center.clientY - event.gesture.deltaY);
+    }
+
+    if (this._state) {
+      event.stopPropagation();
+      event.gesture.preventDefault();
+      if (!this._state.dragging) {
+        this._state.dragging = true;
+        util.iosPreventScroll(this._gestureDetector);
+      }
+      this._state.clientY = event.gesture.center.clientY;
+      this._move();
+      this._updateAutoScroll();
+    }
+  }
+
+  _onRelease() {
+    this._touched = null;
+    this._state && this._drop();
+  }
+
+  _onClick(event) {
+    if (this._suppressClick) {
+      event.stopPropagation();
+      event.preventDefault();
+    }
+  }
+
+  _lift(item, clientY) {
+    const items = this._getItems();
+    const pageContent = util.findParent(this._listElement, '.page__content');
+
+    this._state = {
+      item,
+      items,
+      from: items.indexOf(item),
+      to: items.indexOf(item),
+      tops: items.map(el => el.offsetTop),
+      heights: items.map(el => el.offsetHeight),
+      pageContent,
+      startScrollTop: pageContent ? pageContent.scrollTop : 0,
+      startY: clientY,
+      clientY
+    };
+
+    items.forEach(el => el !== item && (el.style.transition = transition));
+    item.classList.add('list-item--reordering');
+  }
+
+  _getScrollDelta() {
+    const { pageContent, startScrollTop } = this._state;
+    return pageContent ? pageContent.scrollTop - startScrollTop : 0;
+  }
+
+  _move() {
+    const { item, items, from, tops, heights, startY, clientY } = this._state;
+    const offset = clientY - startY + this._getScrollDelta();
+    const center = tops[from] + heights[from] / 2 + offset;
+
+    let to = from;
+    items.forEach((el, i) => {
+      const middle = tops[i] + heights[i] / 2;
+      if (i < from && center < middle) {
+        to = Math.min(to, i);
+      } else if (i > from && center > middle) {
+        to = Math.max(to, i);
+      }
+    });
+
+    items.forEach((el, i) => {
+      if (el !== item) {
+        const shift = i > from && i <= to ? -heights[from] : i < from && i >= to ? heights[from] : 0;
+        el.style.transform = shift ? `translate3d(0, ${shift}px, 0)` : '';
+      }
+    });
+
+    item.style.transform = `translate3d(0, ${offset}px, 0)`;
+    this._state.to = to;
+  }
+
+  _updateAutoScroll() {
+    const { pageContent, clientY } = this._state;
+    if (!pageContent) {
+      return;
+    }
+
+    const rect = pageContent.getBoundingClientRect();
+    const speed = clientY < rect.top + autoScrollEdge
+      ? -Math.min(1, (rect.top + autoScrollEdge - clientY) / autoScrollEdge)
+      : clientY > rect.bottom - autoScrollEdge
+        ? Math.min(1, (clientY - rect.bottom + autoScrollEdge) / autoScrollEdge)
+        : 0;
+
+    this._state.scrollSpeed = Math.round(speed * autoScrollSpeed);
+
+    if (this._state.scrollSpeed && !this._state.frame) {
+      const step = () => {
+        const state = this._state;
+        if (!state || !state.scrollSpeed) {
+          state && (state.frame = null);
+          return;
+        }
+
+        const scrollTop = state.pageContent.scrollTop;
+        state.pageContent.scrollTop += state.scrollSpeed;
+        if (state.pageContent.scrollTop !== scrollTop) {
+          this._move();
+        }
+        state.frame = requestAnimationFrame(step);
+      };
+      this._state.frame = requestAnimationFrame(step);
+    }
+  }
+
+  _drop() {
+    const state = this._state;
+    const { item, items, from, to, heights } = state;
+    this._state = null;
+
+    cancelAnimationFrame(state.frame);
+
+    const sum = (start, end) => heights.slice(start, end).reduce((a, b) => a + b, 0);
+    const target = to > from ? sum(from + 1, to + 1) : -sum(to, from);
+
+    this._suppressClick = true;
+    setTimeout(() => this._suppressClick = false, 300);
+
+    const finish = () => {
+      this._onReorder(from, to, item);
+
+      items.forEach(el => {
+        el.style.transition = el.style.transform = '';
+      });
+      item.classList.remove('list-item--reordering');
+    };
+
+    item.style.transition = transition;
+    item.style.transform = `translate3d(0, ${target}px, 0)`;
+    setTimeout(finish, 200);
+  }
+
+  destroy() {
+    if (this._state) {
+      cancelAnimationFrame(this._state.frame);
+      this._state.items.forEach(el => {
+        el.style.transition = el.style.transform = '';
+      });
+      this._state.item.classList.remove('list-item--reordering');
+    }
+
+    this._gestureDetector.off('touch', this._boundOnTouch);
+    this._gestureDetector.off('hold', this._boundOnHold);
+    this._gestureDetector.off('drag', this._boundOnDrag);
+    this._gestureDetector.off('release', this._boundOnRelease);
+    this._gestureDetector.dispose();
+    this._listElement.removeEventListener('click', this._boundOnClick, true);
+
+    this._listElement = this._gestureDetector = this._state = this._touched = null;
+  }
+}
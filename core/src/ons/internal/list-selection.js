@@ -0,0 +1,283 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import util from '../util';
+import GestureDetector from '../gesture-detector';
+
+const marks = {
+  single: 'radio-button',
+  multiple: 'checkbox'
+};
+
+/**
+ * Selection of the `ons-list-item` children of a list.
+ * In `single` mode tapping an item selects it. In `multiple` mode holding an item
+ * enters the selection mode, then taps toggle items until none is selected.
+ * Items show a radio button or a checkbox and expose their state with `aria-selected`.
+ * On a reorderable list holding an item lifts it instead of entering the selection mode.
+ */
+export default class ListSelection {
+
+  /**
+   * @param {Object} params
+   * @param {Element} params.listElement
+   * @param {String} params.type Either `single` or `multiple`.
+   * @param {Function} params.onChange Called when the selection or the selection mode change.
+   */
+  constructor({ listElement, type, onChange }) {
+    this._listElement = listElement;
+    this._onChange = onChange;
+    this._selecting = false;
+    this._savedAttributes = new WeakMap();
+
+    util.bindListeners(this, ['_onHold', '_onTouch', '_onClick', '_onKeydown', '_onContextMenu']);
+
+    this._gestureDetector = new GestureDetector(listElement, { holdTimeout: 500, passive: true });
+    this._gestureDetector.on('hold', this._boundOnHold);
+    this._gestureDetector.on('touch', this._boundOnTouch);
+    listElement.addEventListener('click', this._boundOnClick, true);
+    listElement.addEventListener('keydown', this._boundOnKeydown);
+    listElement.addEventListener('contextmenu', this._boundOnContextMenu);
+
+    this.type = type;
+  }
+
+  get type() {
+    return this._type;
+  }
+
+  set type(type) {
+    this._type = type === 'single' ? 'single' : 'multiple';
+    this._selecting = this._type === 'single' || this.getSelectedItems().length > 0;
+
+    if (this._type === 'single') {
+      this.getSelectedItems().slice(1).forEach(item => this._setSelected(item, false));
+    }
+
+    this._listElement.setAttribute('role', 'listbox');
+    this._listElement.setAttribute('aria-multiselectable', this._type === 'multiple');
+    this._getItems().forEach(item => this.updateItem(item));
+    this._updateSelecting();
+  }
+
+  get selecting() {
+    return this._selecting;
+  }
+
+  set selecting(value) {
+    value = this._type === 'single' || !!value;
+    if (value !== this._selecting) {
+      this._selecting = value;
+      !value && this._getItems().forEach(item => this._setSelected(item, false));
+      this._updateSelecting();
+      this._onChange();
+    }
+  }
+
+  _getItems() {
+    return util.arrayFrom(this._listElement.children).filter(el => el.tagName === 'ONS-LIST-ITEM');
+  }
+
+  _findItem(target) {
+    const item = target.parentNode === this._listElement
+      ? target
+      : util.findParent(target, el => el.parentNode === this._listElement, el => el === this._listElement);
+    return item && item.tagName === 'ONS-LIST-ITEM' ? item : null;
+  }
+
+  _isSelected(item) {
+    return item.getAttribute('aria-selected') === 'true';
+  }
+
+  getSelectedItems() {
+    return this._getItems().filter(item => this._isSelected(item));
+  }
+
+  setSelectedItems(items) {
+    const all = this._getItems();
+    items = this._type === 'single' ? items.slice(0, 1) : items;
+
+    all.forEach(item => this._setSelected(item, items.indexOf(item) !== -1));
+    this._selecting = this._type === 'single' || items.length > 0;
+    this._updateSelecting();
+    this._onChange();
+  }
+
+  /**
+   * Applies the selectable state to an item. Called for every item, also when
+   * items are attached to the list later.
+   */
+  updateItem(item) {
+    const selected = this._isSelected(item);
+    // Remember the values set by the app to restore them on destroy
+    if (!this._savedAttributes.has(item)) {
+      this._savedAttributes.set(item, { role: item.getAttribute('role'), tabindex: item.getAttribute('tabindex') });
+    }
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', selected);
+    item.hasAttribute('tabindex') || item.setAttribute('tabindex', '0');
+    item.classList.toggle('list-item--selected', selected);
+
+    const top = util.findChild(item, '.list-item__top') || item;
+    // The item is not compiled yet, it calls this again when connected
+    if (!util.findChild(top, '.list-item__center')) {
+      return;
+    }
+
+    let mark = util.findChild(top, '.list-item__selection');
+    const className = marks[this._type];
+
+    if (!mark || !mark.querySelector(`.${className}`)) {
+      mark && mark.remove();
+      const material = util.hasModifier(this._listElement, 'material') || util.hasModifier(item, 'material');
+      const modifier = material ? `${className}--material` : '';
+
+      mark = util.createElement(`
+        <div class="list-item__left list-item__selection">
+          <span class="${className} ${modifier}">
+            <input type="${this._type === 'single' ? 'radio' : 'checkbox'}" class="${className}__input ${modifier && modifier + '__input'}" tabindex="-1" aria-hidden="true">
+            <span class="${className}__checkmark ${modifier && modifier + '__checkmark'}"></span>
+          </span>
+        </div>
+      `);
+      top.insertBefore(mark, util.findChild(top, '.list-item__left'));
+    }
+
+    mark.querySelector('input').checked = selected;
+  }
+
+  _removeItem(item) {
+    const saved = this._savedAttributes.get(item) || {};
+    Object.keys(saved).forEach(attr => saved[attr] === null ? item.removeAttribute(attr) : item.setAttribute(attr, saved[attr]));
+    this._savedAttributes.delete(item);
+    item.removeAttribute('aria-selected');
+    item.classList.remove('list-item--selected');
+    const mark = util.findChild(util.findChild(item, '.list-item__top') || item, '.list-item__selection');
+    mark && mark.remove();
+  }
+
+  _setSelected(item, selected) {
+    item.setAttribute('aria-selected', selected);
+    this.updateItem(item);
+  }
+
+  _updateSelecting() {
+    this._listElement.classList.toggle('list--selecting', this._selecting);
+  }
+
+  /**
+   * Selects, unselects or toggles an item as if the user tapped it.
+   */
+  toggle(item, selected = !this._isSelected(item)) {
+    if (this._type === 'single') {
+      if (!selected || this._isSelected(item)) {
+        return;
+      }
+      this.getSelectedItems().forEach(el => this._setSelected(el, false));
+    }
+
+    this._setSelected(item, selected);
+
+    if (this._type === 'multiple') {
+      this._selecting = this.getSelectedItems().length > 0;
+      this._updateSelecting();
+    }
+
+    this._onChange();
+  }
+
+  _onTouch() {
+    this._held = false;
+  }
+
+  _onHold(event) {
+    const item = event.gesture && this._findItem(event.target);
+    // The reorder hold fires first and wins
+    if (item && this._type === 'multiple' && !this._selecting && !item.classList.contains('list-item--reordering')) {
+      this._held = true;
+      this.toggle(item, true);
+    }
+  }
+
+  _onClick(event) {
+    const item = this._findItem(event.target);
+
+    // The click that ends a hold already selected the item
+    if (item && this._held) {
+      this._held = false;
+      event.stopPropagation();
+      event.preventDefault();
+    } else if (item && this._selecting) {
+      event.stopPropagation();
+      event.preventDefault();
+      this.toggle(item);
+    }
+  }
+
+  _onContextMenu(event) {
+    if (this._type === 'multiple' && this._findItem(event.target)) {
+      event.preventDefault();
+    }
+  }
+
+  _onKeydown(event) {
+    const item = event.target.parentNode === this._listElement && this._findItem(event.target);
+    if (!item) {
+      return;
+    }
+
+    switch (event.key) {
+      case ' ':
+      case 'Enter':
+        this.toggle(item);
+        break;
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        const items = this._getItems();
+        const next = items[items.indexOf(item) + (event.key === 'ArrowDown' ? 1 : -1)];
+        next && next.focus();
+        break;
+      }
+      case 'Escape':
+        if (!this._selecting || this._type === 'single') {
+          return;
+        }
+        this.selecting = false;
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  destroy() {
+    this._getItems().forEach(item => this._removeItem(item));
+    this._listElement.classList.remove('list--selecting');
+    this._listElement.removeAttribute('role');
+    this._listElement.removeAttribute('aria-multiselectable');
+
+    this._gestureDetector.off('hold', this._boundOnHold);
+    this._gestureDetector.off('touch', this._boundOnTouch);
+    this._gestureDetector.dispose();
+    this._listElement.removeEventListener('click', this._boundOnClick, true);
+    this._listElement.removeEventListener('keydown', this._boundOnKeydown);
+    this._listElement.removeEventListener('contextmenu', this._boundOnContextMenu);
+
+    this._listElement = this._gestureDetector = null;
+  }
+}
@@ -0,0 +1,90 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+/**
+ * Least recently used store of detached page elements, keyed by page name.
+ * Only one element is kept per key.
+ */
+export default class PageCache {
+
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.limit] Maximum number of stored pages.
+   * @param {Function} [options.onEvict] Called with every element that leaves the cache without being reused.
+   */
+  constructor({ limit = 10, onEvict = () => {} } = {}) {
+    this._entries = new Map();
+    this._limit = limit;
+    this._onEvict = onEvict;
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  get limit() {
+    return this._limit;
+  }
+
+  set limit(value) {
+    this._limit = Math.max(0, value);
+    this._trim();
+  }
+
+  has(key) {
+    return this._entries.has(key);
+  }
+
+  /**
+   * Removes the element from the cache and returns it.
+   *
+   * @param {String} key
+   * @return {HTMLElement|null}
+   */
+  take(key) {
+    const element = this._entries.get(key) || null;
+    this._entries.delete(key);
+    return element;
+  }
+
+  /**
+   * @param {String} key
+   * @param {HTMLElement} element
+   */
+  put(key, element) {
+    if (this._entries.has(key)) {
+      this._onEvict(this.take(key));
+    }
+
+    this._entries.set(key, element);
+    this._trim();
+  }
+
+  clear() {
+    const elements = [];
+    this._entries.forEach(element => elements.push(element));
+    this._entries.clear();
+    elements.forEach(this._onEvict);
+  }
+
+  _trim() {
+    while (this._entries.size > this._limit) {
+      const oldest = this._entries.keys().next().value;
+      this._onEvict(this.take(oldest));
+    }
+  }
+}
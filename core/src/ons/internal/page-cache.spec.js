@@ -0,0 +1,62 @@
+import PageCache from './page-cache';
+
+describe('PageCache', () => {
+  let cache, evicted;
+
+  beforeEach(() => {
+    evicted = [];
+    cache = new PageCache({ limit: 2, onEvict: element => evicted.push(element) });
+  });
+
+  describe('#take()', () => {
+    it('returns and removes the stored element', () => {
+      const page = document.createElement('div');
+      cache.put('a', page);
+      expect(cache.take('a')).to.equal(page);
+      expect(cache.has('a')).to.be.false;
+      expect(cache.take('a')).to.be.null;
+    });
+  });
+
+  describe('#put()', () => {
+    it('evicts the least recently stored elements', () => {
+      const pages = [1, 2, 3].map(() => document.createElement('div'));
+      cache.put('a', pages[0]);
+      cache.put('b', pages[1]);
+      cache.put('c', pages[2]);
+
+      expect(cache.size).to.equal(2);
+      expect(cache.has('a')).to.be.false;
+      expect(evicted).to.deep.equal([pages[0]]);
+    });
+
+    it('replaces elements with the same key', () => {
+      const pages = [1, 2].map(() => document.createElement('div'));
+      cache.put('a', pages[0]);
+      cache.put('a', pages[1]);
+
+      expect(cache.size).to.equal(1);
+      expect(cache.take('a')).to.equal(pages[1]);
+      expect(evicted).to.deep.equal([pages[0]]);
+    });
+  });
+
+  describe('#limit', () => {
+    it('trims the cache', () => {
+      cache.put('a', document.createElement('div'));
+      cache.put('b', document.createElement('div'));
+      cache.limit = 0;
+      expect(cache.size).to.equal(0);
+      expect(evicted).to.have.lengthOf(2);
+    });
+  });
+
+  describe('#clear()', () => {
+    it('evicts every element', () => {
+      cache.put('a', document.createElement('div'));
+      cache.clear();
+      expect(cache.size).to.equal(0);
+      expect(evicted).to.have.lengthOf(1);
+    });
+  });
+});
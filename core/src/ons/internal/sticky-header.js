@@ -0,0 +1,118 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import util from '../util';
+
+/**
+ * Pins a copy of the current section header of a list to the top of the
+ * page content until the next header or the end of the list pushes it out.
+ * The copy lives in an overlay next to `.page__content`, so the original
+ * header does not need to be in the DOM.
+ */
+export default class StickyHeader {
+
+  /**
+   * @param {Object} params
+   * @param {Element} params.listElement
+   * @param {Function} params.findHeaders Receives the top of the visible area and returns `{key, nextTop}`.
+   *   `key` identifies the header to pin (`null` for none) and `nextTop` is the top of the following header.
+   * @param {Function} params.createHeader Receives a key and returns a new header element.
+   * @param {Function} [params.destroyHeader] Receives the key and the element when it is not pinned anymore.
+   * @param {Boolean} [params.listen] Update on scroll. Owners that already listen can call `update()` instead.
+   */
+  constructor({ listElement, findHeaders, createHeader, destroyHeader = () => {}, listen = true }) {
+    this._listElement = listElement;
+    this._findHeaders = findHeaders;
+    this._createHeader = createHeader;
+    this._destroyHeader = destroyHeader;
+    this._key = null;
+    this._header = null;
+
+    this._pageContent = util.findParent(listElement, '.page__content');
+
+    this._overlay = util.createElement('<div class="list__sticky-header" style="position: absolute; z-index: 1; display: none"></div>');
+
+    this.update = this.update.bind(this);
+    this._listen = listen && !!this._pageContent;
+
+    if (this._pageContent) {
+      this._pageContent.parentNode.insertBefore(this._overlay, this._pageContent.nextSibling);
+    }
+
+    if (this._listen) {
+      util.addEventListener(this._pageContent, 'scroll', this.update, { passive: true });
+      window.addEventListener('resize', this.update);
+    }
+  }
+
+  get key() {
+    return this._key;
+  }
+
+  update() {
+    if (!this._pageContent) {
+      return;
+    }
+
+    const contentRect = this._pageContent.getBoundingClientRect();
+    const listRect = this._listElement.getBoundingClientRect();
+    const { key = null, nextTop = Infinity } = listRect.bottom > contentRect.top ? this._findHeaders(contentRect.top) || {} : {};
+
+    this._setHeader(key);
+
+    if (key === null) {
+      return;
+    }
+
+    const parentRect = this._overlay.parentNode.getBoundingClientRect();
+    const limit = Math.min(nextTop === null ? Infinity : nextTop, listRect.bottom);
+    const shift = Math.min(0, limit - contentRect.top - this._overlay.offsetHeight);
+
+    this._overlay.style.top = contentRect.top - parentRect.top + 'px';
+    this._overlay.style.left = listRect.left - parentRect.left + 'px';
+    this._overlay.style.width = listRect.width + 'px';
+    this._overlay.style.transform = shift ? `translate3d(0, ${shift}px, 0)` : '';
+  }
+
+  _setHeader(key) {
+    if (key === this._key) {
+      return;
+    }
+
+    if (this._header) {
+      this._header.remove();
+      this._destroyHeader(this._key, this._header);
+    }
+
+    this._key = key;
+    this._header = key === null ? null : this._createHeader(key);
+    this._header && this._overlay.appendChild(this._header);
+    this._overlay.style.display = this._header ? '' : 'none';
+  }
+
+  destroy() {
+    this._setHeader(null);
+    this._overlay.remove();
+
+    if (this._listen) {
+      util.removeEventListener(this._pageContent, 'scroll', this.update, { passive: true });
+      window.removeEventListener('resize', this.update);
+    }
+
+    this._listElement = this._pageContent = this._overlay = null;
+  }
+}
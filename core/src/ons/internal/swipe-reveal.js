@@ -32,6 +32,8 @@ export default class SwipeReveal {
     this.elementHandler = params.elementHandler || params.element;
     this.getThreshold = params.getThreshold || (() => .5);
     this.getSide = params.getSide || (() => 'left');
+    this.getWidth = params.getWidth || (() => widthToPx(this.element.style.width || '100%'));
+    this.getOpenDistance = params.getOpenDistance || (() => this._width);
 
     this.handleGesture = this.handleGesture.bind(this);
 
@@ -65,8 +67,8 @@ export default class SwipeReveal {
       event.consume && event.consume();
       event.consumed = true;
 
-      this._width = widthToPx(this.element.style.width || '100%');
-      this._startDistance = this._distance = (!(this.isInitialState instanceof Function) || this.isInitialState()) ? 0 : this._width;
+      this._width = this.getWidth();
+      this._startDistance = this._distance = (!(this.isInitialState instanceof Function) || this.isInitialState()) ? 0 : this.getOpenDistance();
 
       util.iosPreventScroll(this.gestureDetector);
     }
@@ -23,7 +23,8 @@ export default class Swiper {
     // Parameters
     const FALSE = (() => false);
     `getInitialIndex getBubbleWidth isVertical isOverScrollable isCentered
-    isAutoScrollable refreshHook preChangeHook postChangeHook overScrollHook`
+    isAutoScrollable isLooped refreshHook preChangeHook postChangeHook overScrollHook
+    dragStartHook dragEndHook getItemCount getBufferSize renderHook getEffect`
       .split(/\s+/)
       .forEach(key => this[key] = params[key] || FALSE);
 
@@ -78,7 +79,7 @@ export default class Swiper {
     this.updateAutoRefresh(autoRefresh);
 
     // Setup initial layout
-    this._scroll = this._offset = this._lastActiveIndex = 0;
+    this._scroll = this._offset = this._lastActiveIndex = this._loopOffset = this._cloneCount = 0;
     this._updateLayout();
     this._setupInitialIndex();
     setImmediate(() => this.initialized && this._setupInitialIndex());
@@ -92,24 +93,32 @@ export default class Swiper {
 
   dispose() {
     this.initialized = false;
+    cancelAnimationFrame(this._effectFrame);
     this.updateSwipeable(false);
     this.updateAutoRefresh(false);
 
     this._gestureDetector && this._gestureDetector.dispose();
+    this.target && this._removeClones();
     this.target = this.blocker = this._gestureDetector = this._mutationObserver = null;
 
     this.setupResize(false);
   }
 
   onResize() {
-    const i = this._scroll / this.targetSize;
+    const i = (this._scroll - this._loopOffset) / this.targetSize;
     this._reset();
     this.setActiveIndex(i);
     this.refresh();
   }
 
   get itemCount() {
-    return this.target.children.length;
+    const count = this.getItemCount();
+    return typeof count === 'number' ? count : this.target.children.length - this._cloneCount * 2;
+  }
+
+  // Virtual swipers only keep the items around the active one in the DOM
+  _isVirtual() {
+    return typeof this.getItemCount() === 'number';
   }
 
   get itemNumSize() {
@@ -120,7 +129,7 @@ export default class Swiper {
   }
 
   get maxScroll() {
-    const max = this.itemCount * this.itemNumSize - this.targetSize;
+    const max = (this.itemCount + this._cloneCount * 2) * this.itemNumSize - this.targetSize;
     return Math.ceil(max < 0 ? 0 : max); // Need to return an integer value.
   }
 
@@ -139,6 +148,7 @@ export default class Swiper {
     this._reset();
     this._lastActiveIndex = Math.max(Math.min(Number(this.getInitialIndex()), this.itemCount), 0);
     this._scroll = this._offset + this.itemNumSize * this._lastActiveIndex;
+    this._renderItems(this._lastActiveIndex);
     this._scrollTo(this._scroll);
   }
 
@@ -148,7 +158,7 @@ export default class Swiper {
 
   setActiveIndex(index, options = {}) {
     this._setSwiping(true);
-    index = Math.max(0, Math.min(index, this.itemCount - 1));
+    index = this._cloneCount ? this._getLoopIndex(index) : Math.max(0, Math.min(index, this.itemCount - 1));
     const scroll = Math.max(0, Math.min(this.maxScroll, this._offset + this.itemNumSize * index));
 
     if (platform.isUIWebView()) {
@@ -193,6 +203,11 @@ export default class Swiper {
       return this._lastActiveIndex;
     }
 
+    if (this._cloneCount) {
+      const index = Math.floor(scroll / size);
+      return (index % count + count) % count;
+    }
+
     if (scroll <= 0) {
       return 0;
     }
@@ -206,6 +221,31 @@ export default class Swiper {
     return count - 1;
   }
 
+  // Picks the position of the logical index closest to the current one, which may be a clone
+  _getLoopIndex(index) {
+    const count = this.itemCount;
+    const current = (this._scroll - this._offset) / this.itemNumSize;
+    index = (Math.round(index) % count + count) % count;
+
+    return [index - count, index + count]
+      .filter(i => i >= -this._cloneCount && i < count + this._cloneCount)
+      .reduce((result, i) => Math.abs(i - current) < Math.abs(result - current) ? i : result, index);
+  }
+
+  // Jumps from a clone to the real item it shows
+  _wrapScroll() {
+    if (this._cloneCount) {
+      const size = this.itemNumSize,
+        period = this.itemCount * size,
+        position = this._scroll - this._offset;
+
+      if (position < -size / 2 || position >= period - size / 2) {
+        this._scroll += position < 0 ? period : -period;
+        this._scrollTo(this._scroll);
+      }
+    }
+  }
+
   setupResize(add) {
     window[(add ? 'add' : 'remove') + 'EventListener']('resize', this.onResize, true);
   }
@@ -249,8 +289,8 @@ export default class Swiper {
 
   _canConsumeGesture(gesture) {
     const d = gesture.direction;
-    const isFirst = this._scroll === 0 && !this.isOverScrollable();
-    const isLast = this._scroll === this.maxScroll && !this.isOverScrollable();
+    const isFirst = this._scroll === 0 && !this.isOverScrollable() && !this._cloneCount;
+    const isLast = this._scroll === this.maxScroll && !this.isOverScrollable() && !this._cloneCount;
 
     return this.isVertical()
       ? ((d === 'down' && !isFirst) || (d === 'up' && !isLast))
@@ -271,6 +311,7 @@ export default class Swiper {
             consume && consume();
             event.consumed = true;
             this._started = true; // Avoid starting drag from outside
+            this.dragStartHook();
             this.shouldBlock && this.toggleBlocker(true);
             this._setSwiping(true);
             util.iosPreventScroll(this._gestureDetector);
@@ -292,10 +333,13 @@ export default class Swiper {
     this._continued = true; // Fix for random 'dragend' without 'drag'
     event.stopPropagation();
 
-    this._scrollTo(this._scroll - this._getDelta(event), { throttle: true });
+    const scroll = this._scroll - this._getDelta(event);
+    this._isVirtual() && this._renderItems(this._lastActiveIndex, this.getActiveIndex(Math.round(scroll)));
+    this._scrollTo(scroll, { throttle: true });
   }
 
   onDragEnd(event) {
+    this._started && this.dragEndHook();
     this._started = false;
     if (!event.gesture || this._ignoreDrag || !this._continued) {
       this._ignoreDrag = true; // onDragEnd might fire before onDragStart's setImmediate
@@ -336,10 +380,13 @@ export default class Swiper {
 
     this._scroll = canceled ? this._offset + e.lastActiveIndex * this.itemNumSize : scroll;
     this._lastActiveIndex = canceled ? e.lastActiveIndex : e.activeIndex;
+    this._renderItems(e.lastActiveIndex, this._lastActiveIndex);
 
     return this._scrollTo(this._scroll, options).then(() => {
       if (scroll === this._scroll && !canceled) {
         this._setSwiping(false);
+        this._wrapScroll();
+        this._renderItems(this._lastActiveIndex);
         change && this.postChangeHook(e);
       } else if (options.reject) {
         this._setSwiping(false);
@@ -362,13 +409,76 @@ export default class Swiper {
     }
 
     const opt = options.animation  === 'none' ? {} : options.animationOptions;
-    this.scrollHook && this.itemNumSize > 0 && this.scrollHook((scroll / this.itemNumSize).toFixed(2), options.animationOptions || {});
+    this.scrollHook && this.itemNumSize > 0 && this.scrollHook(((scroll - this._loopOffset) / this.itemNumSize).toFixed(2), options.animationOptions || {});
 
-    return new Promise(resolve =>
+    const promise = new Promise(resolve =>
       animit(this.target)
         .queue({ transform: this._getTransform(scroll) }, opt)
         .play(resolve)
     );
+
+    this._animateEffect(scroll, opt && opt.duration > 0 ? promise : null);
+    return promise;
+  }
+
+  /**
+   * Applies the effect on every frame while the target is animated,
+   * reading the position from its computed transform.
+   */
+  _animateEffect(scroll, promise) {
+    cancelAnimationFrame(this._effectFrame);
+
+    if (!this.getEffect() && !this._effectApplied) {
+      return;
+    }
+
+    if (promise) {
+      const frame = () => {
+        this._applyEffect(this._getCurrentScroll(scroll));
+        this._effectFrame = requestAnimationFrame(frame);
+      };
+      frame();
+      promise.then(() => {
+        cancelAnimationFrame(this._effectFrame);
+        this.target && this._applyEffect(scroll);
+      });
+    } else {
+      this._applyEffect(scroll);
+    }
+  }
+
+  _getCurrentScroll(fallback) {
+    const match = window.getComputedStyle(this.target).transform.match(/matrix(3d)?\(([^)]+)\)/);
+    if (!match) {
+      return fallback;
+    }
+
+    const values = match[2].split(',').map(parseFloat);
+    const index = (match[1] ? 12 : 4) + (this.isVertical() ? 1 : 0);
+    return -values[index];
+  }
+
+  _applyEffect(scroll) {
+    const effect = this.getEffect();
+    const styles = ['transform', 'transformOrigin', 'opacity', 'zIndex'];
+    const size = this.itemNumSize;
+    const indexes = this._isVirtual() && this._renderedIndexes;
+    const position = (scroll - this._offset + this._loopOffset) / size;
+
+    util.arrayFrom(this.target.children).forEach((element, i) => {
+      const result = effect && size
+        ? effect({
+          element,
+          progress: (indexes ? indexes[i] : i) - position,
+          axis: this.dM.axis,
+          vertical: this.isVertical()
+        }) || {}
+        : {};
+
+      styles.forEach(style => element.style[style] = result.hasOwnProperty(style) ? result[style] : '');
+    });
+
+    this._effectApplied = !!effect;
   }
 
   _getAutoScroll(scroll, velocity, matchesDirection) {
@@ -381,7 +491,7 @@ export default class Swiper {
     }
 
     let arr = [];
-    for (let s = offset; s < max; s += size) {
+    for (let s = offset - this._loopOffset; s < max; s += size) {
       arr.push(s);
     }
     arr.push(max);
@@ -413,9 +523,16 @@ export default class Swiper {
   }
 
   refresh() {
+    const looped = this._cloneCount > 0;
+    this._renderedIndexes = null;
     this._reset();
     this._updateLayout();
 
+    // Clones move the items, so the position is taken from the active index
+    if (looped || this._cloneCount) {
+      this._scroll = this._offset + this.itemNumSize * Math.max(0, Math.min(this._lastActiveIndex, this.itemCount - 1));
+    }
+
     if (util.isInteger(this._scroll)) {
       const scroll = this._normalizeScroll(this._scroll);
       scroll !== this._scroll ? this._killOverScroll(scroll) : this._changeTo(scroll);
@@ -448,14 +565,93 @@ export default class Swiper {
   _updateLayout() {
     this.dM = directionMap[this.isVertical() ? 'vertical' : 'horizontal'];
     this.target.classList.toggle('ons-swiper-target--vertical', this.isVertical());
+    this._removeClones();
 
     for (let c = this.target.children[0]; c; c = c.nextElementSibling) {
       c.style[this.dM.size.toLowerCase()] = this.itemSize;
     }
 
-    if (this.isCentered()) {
-      this._offset = (this.targetSize - this.itemNumSize) / -2 || 0;
+    this._isVirtual() && this._positionItems();
+
+    this._addClones();
+    this._offset = (this.isCentered() ? (this.targetSize - this.itemNumSize) / -2 || 0 : 0) + this._loopOffset;
+  }
+
+  // Looping copies the first and last items to the opposite ends so the transition is seamless
+  _addClones() {
+    const items = util.arrayFrom(this.target.children),
+      count = items.length,
+      size = this.itemNumSize;
+
+    this._cloneCount = this.isLooped() && !this._isVirtual() && count > 1 && size > 0
+      ? Math.min(count, Math.max(1, Math.ceil(this.targetSize / size)) + (this.isCentered() ? 1 : 0))
+      : 0;
+    this._loopOffset = this._cloneCount * size;
+
+    const createClone = item => {
+      const clone = item.cloneNode(true);
+      clone.classList.add('ons-swiper-clone');
+      clone.removeAttribute('id');
+      clone.setAttribute('aria-hidden', 'true');
+      return clone;
+    };
+
+    items.slice(0, this._cloneCount).forEach(item => this.target.appendChild(createClone(item)));
+    items.slice(count - this._cloneCount).forEach(item => this.target.insertBefore(createClone(item), items[0]));
+
+    // Clones must not trigger auto-refresh
+    this._mutationObserver && this._mutationObserver.takeRecords();
+  }
+
+  /**
+   * Asks `renderHook` for the items around the given indexes, in order.
+   * The indexes of the rendered items are kept to place them with margins.
+   */
+  _renderItems(...activeIndexes) {
+    if (!this._isVirtual() || !this.itemNumSize) {
+      return;
     }
+
+    const count = this.itemCount;
+    const extra = Math.ceil(this.targetSize / this.itemNumSize) - 1 + (Number(this.getBufferSize()) || 0);
+    const rendered = {};
+
+    activeIndexes.forEach(index => {
+      for (let i = Math.max(0, index - extra); i <= Math.min(count - 1, index + extra); i++) {
+        rendered[i] = true;
+      }
+    });
+
+    const indexes = Object.keys(rendered).map(Number).sort((a, b) => a - b);
+    if (this._renderedIndexes && this._renderedIndexes.join() === indexes.join()) {
+      return;
+    }
+
+    this._renderedIndexes = indexes;
+    this.renderHook(indexes);
+    this._updateLayout();
+
+    // Rendering must not trigger auto-refresh
+    this._mutationObserver && this._mutationObserver.takeRecords();
+  }
+
+  _positionItems() {
+    const indexes = this._renderedIndexes || [];
+    const margin = this.isVertical() ? 'marginTop' : 'marginLeft';
+
+    util.arrayFrom(this.target.children).forEach((element, i) => {
+      const gap = i < indexes.length ? indexes[i] - (i ? indexes[i - 1] + 1 : 0) : 0;
+      element.style.marginTop = element.style.marginLeft = '';
+      element.style[margin] = gap ? gap * this.itemNumSize + 'px' : '';
+    });
+  }
+
+  _removeClones() {
+    util.arrayFrom(this.target.children)
+      .filter(element => element.classList.contains('ons-swiper-clone'))
+      .forEach(element => element.remove());
+
+    this._cloneCount = this._loopOffset = 0;
   }
 }
 
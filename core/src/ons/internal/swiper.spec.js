@@ -271,6 +271,70 @@ describe('Swiper', () => {
     });
   });
 
+  describe('loop', () => {
+    beforeEach(() => {
+      swiper.isLooped = TRUE;
+      swiper.refresh();
+    });
+
+    it('does not count clones', () => {
+      expect(swiper.target.children.length).to.equal(5);
+      expect(swiper.itemCount).to.equal(3);
+    });
+
+    it('can always consume gestures', () => {
+      swiper.setActiveIndex(0);
+      expect(swiper._canConsumeGesture({ direction: 'right' })).to.be.true;
+    });
+
+    it('wraps the active index', () => {
+      swiper.setActiveIndex(-1);
+      expect(swiper.getActiveIndex()).to.equal(2);
+      swiper.setActiveIndex(3);
+      expect(swiper.getActiveIndex()).to.equal(0);
+    });
+
+    it('jumps back from clones after changing', () => {
+      return swiper.setActiveIndex(-1).then(() => {
+        expect(swiper._scroll).to.equal(swiper._offset + 2 * swiper.itemNumSize);
+      });
+    });
+  });
+
+  describe('virtual items', () => {
+    let rendered;
+
+    beforeEach(() => {
+      rendered = [];
+      swiper.getItemCount = () => 20;
+      swiper.renderHook = indexes => {
+        rendered.push(indexes);
+        swiper.target.innerHTML = indexes.map(i => `<div>Item ${i}</div>`).join('');
+      };
+      swiper.refresh();
+    });
+
+    it('uses the logical item count', () => {
+      expect(swiper.itemCount).to.equal(20);
+      expect(swiper.maxScroll).to.equal(19 * swiper.itemNumSize);
+    });
+
+    it('renders the items around the active one', () => {
+      expect(rendered.pop()).to.deep.equal([0]);
+      swiper.getBufferSize = () => 2;
+      return swiper.setActiveIndex(10).then(() => {
+        expect(rendered.pop()).to.deep.equal([8, 9, 10, 11, 12]);
+        expect(swiper.target.children[0].style.marginLeft).to.equal(8 * swiper.itemNumSize + 'px');
+      });
+    });
+
+    it('does not clone items', () => {
+      swiper.isLooped = TRUE;
+      swiper.refresh();
+      expect(swiper._cloneCount).to.equal(0);
+    });
+  });
+
   describe('#itemCount', () => {
     it('returns the amount of item', () => {
       expect(swiper.itemCount).to.equal(3);
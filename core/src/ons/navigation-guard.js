@@ -0,0 +1,108 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+/**
+ * Rejection reason of transitions that were canceled by a navigation guard.
+ * Written as a plain constructor since transpiled `Error` subclasses break `instanceof`.
+ *
+ * @param {String} [message]
+ * @param {Object} [context]
+ */
+export function NavigationCanceledError(message, context = {}) {
+  this.name = 'NavigationCanceledError';
+  this.message = message || 'Navigation was canceled by a guard.';
+  this.page = context.page || null;
+  this.guard = context.guard || null;
+  this.stack = (new Error(this.message)).stack;
+}
+
+NavigationCanceledError.prototype = Object.create(Error.prototype);
+NavigationCanceledError.prototype.constructor = NavigationCanceledError;
+
+const pageKeys = { onCanLeave: 'leavePage', onCanEnter: 'enterPage' };
+
+const getGuard = (context, name) => {
+  const page = context[pageKeys[name]];
+  return page && page[name] instanceof Function ? page[name] : null;
+};
+
+const navigationGuard = {
+  /**
+   * @param {Object} context
+   * @param {Array} names Guard names, `'onCanLeave'` and/or `'onCanEnter'`.
+   * @return {Boolean}
+   */
+  has(context, names) {
+    return names.some(name => !!getGuard(context, name));
+  },
+
+  /**
+   * Runs the given guards in order. `onCanLeave` is called on `context.leavePage`
+   * and `onCanEnter` on `context.enterPage`. Guards may return a boolean or a
+   * promise and only `false` cancels the transition.
+   *
+   * @param {Object} context Passed to every guard.
+   * @param {Array} names
+   * @return {Promise} Rejects with NavigationCanceledError when a guard cancels.
+   */
+  check(context, names) {
+    return names.reduce((promise, name) => promise.then(() => {
+      const guard = getGuard(context, name);
+      if (!guard) {
+        return;
+      }
+
+      const page = context[pageKeys[name]];
+      return Promise.resolve(guard.call(page, context)).then(result => {
+        if (result === false) {
+          throw new NavigationCanceledError(`Navigation was canceled by ${name}.`, { page, guard: name });
+        }
+      });
+    }), Promise.resolve());
+  },
+
+  /**
+   * Calls `callback` after the guards pass. It is called right away when
+   * there are no guards so unguarded transitions stay synchronous.
+   *
+   * @param {Object} context
+   * @param {Array} names
+   * @param {Function} callback
+   * @param {Function} [onCancel] Called with the error before rejecting.
+   * @return {*}
+   */
+  run(context, names, callback, onCancel) {
+    if (!this.has(context, names)) {
+      return callback();
+    }
+
+    return this.check(context, names).then(callback, error => {
+      onCancel && onCancel(error);
+      throw error;
+    });
+  },
+
+  /**
+   * @param {*} error
+   * @return {Boolean}
+   */
+  isCanceled(error) {
+    return error instanceof NavigationCanceledError;
+  }
+};
+
+export default navigationGuard;
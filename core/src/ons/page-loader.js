@@ -18,13 +18,13 @@ import util from './util';
 import internal from './internal';
 
 // Default implementation for global PageLoader.
-function loadPage({page, parent, params = {}}, done) {
-  internal.getPageHTMLAsync(page).then(html => {
+function loadPage({page, parent, params = {}, signal}, done, fail) {
+  internal.getPageHTMLAsync(page, { signal }).then(html => {
     const pageElement = util.createElement(html);
     parent.appendChild(pageElement);
 
     done(pageElement);
-  });
+  }, fail);
 }
 
 function unloadPage(element) {
@@ -62,15 +62,19 @@ export class PageLoader {
    * @param {any} options.page
    * @param {Element} options.parent A location to load page.
    * @param {Object} [options.params] Extra parameters for ons-page.
+   * @param {AbortSignal} [options.signal] Cancels the request of the page.
    * @param {Function} done Take an object that has "element" property and "unload" function.
+   * @param {Function} [fail] Called with the error when the page cannot be loaded.
    */
-  load({page, parent, params = {}}, done) {
-    this._loader({page, parent, params}, pageElement => {
+  load({page, parent, params = {}, signal}, done, fail) {
+    this._loader({page, parent, params, signal}, pageElement => {
       if (!(pageElement instanceof Element)) {
         throw Error('pageElement must be an instance of Element.');
       }
 
       done(pageElement);
+    }, error => {
+      fail instanceof Function ? fail(error) : util.warn(error);
     });
   }
 
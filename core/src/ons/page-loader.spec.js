@@ -13,5 +13,21 @@ describe('page-loader', () => {
       loader.internalLoader = load;
       expect(loader.internalLoader).to.be.equal(load);
     });
+
+    it('passes load errors to \'fail\'', () => {
+      const error = new Error('fail');
+      const loader = new ons.PageLoader((options, done, fail) => fail(error));
+      const fail = chai.spy();
+      loader.load({ page: 'page.html', parent: document.body }, () => {}, fail);
+      expect(fail).to.have.been.called.with(error);
+    });
+
+    it('warns about load errors without \'fail\'', () => {
+      const loader = new ons.PageLoader((options, done, fail) => fail(new Error('fail')));
+      const spy = chai.spy.on(ons._util, 'warn');
+      expect(() => loader.load({ page: 'page.html', parent: document.body }, () => {})).not.to.throw();
+      expect(spy).to.have.been.called.once;
+      chai.spy.restore(ons._util, 'warn');
+    });
   });
 });
@@ -0,0 +1,108 @@
+/*
+Copyright 2013-2015 ASIAL CORPORATION
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import util from './util';
+import { NavigationCanceledError } from './navigation-guard';
+
+const showProgress = element => {
+  if (!element) {
+    return () => {};
+  }
+
+  const display = element.style.display;
+  const indeterminate = element.hasAttribute('indeterminate');
+
+  element.style.display = '';
+  element.setAttribute('indeterminate', '');
+
+  return () => {
+    element.style.display = display;
+    util.toggleAttribute(element, 'indeterminate', indeterminate);
+  };
+};
+
+const pageResolver = {
+  /**
+   * @param {Boolean|HTMLElement} [option] `true` looks for an `ons-progress-bar` inside `container`.
+   * @param {HTMLElement} [container]
+   * @return {HTMLElement|null}
+   */
+  getProgressElement(option, container) {
+    if (option instanceof HTMLElement) {
+      return option;
+    }
+
+    return option === true && container ? container.querySelector('ons-progress-bar') : null;
+  },
+
+  /**
+   * Runs a resolver function. It receives `context` extended with an
+   * `AbortSignal` (where supported) and the progress element stays visible
+   * until it settles.
+   *
+   * @param {Function} resolve
+   * @param {Object} context
+   * @param {HTMLElement} [progress]
+   * @return {Object} Task with a `promise` and an `abort()` method. Aborted tasks reject with NavigationCanceledError.
+   */
+  start(resolve, context, progress) {
+    const controller = window.AbortController ? new window.AbortController() : null;
+    const hideProgress = showProgress(progress);
+    const aborted = util.defer();
+    let settled = false;
+
+    const settle = () => {
+      settled = true;
+      hideProgress();
+    };
+
+    const promise = Promise.race([
+      Promise.resolve().then(() => resolve({ ...context, signal: controller ? controller.signal : null })),
+      aborted.promise
+    ]);
+
+    return {
+      promise: promise.then(result => {
+        settle();
+        return result;
+      }, error => {
+        settle();
+        throw error;
+      }),
+
+      abort() {
+        if (!settled) {
+          controller && controller.abort();
+          aborted.reject(new NavigationCanceledError('Navigation was aborted while resolving data.'));
+        }
+      }
+    };
+  },
+
+  /**
+   * @param {Object} [data]
+   * @param {*} result Resolved value. Objects are merged into `data`.
+   * @return {Object}
+   */
+  mergeData(data, result) {
+    return result && typeof result === 'object'
+      ? util.extend({}, data || {}, result)
+      : data;
+  }
+};
+
+export default pageResolver;
@@ -47,6 +47,14 @@ declare namespace ons {
    * @description Enable device back button event handler
    */
   function enableDeviceBackButtonHandler(): void;
+  /**
+   * @description Returns the handlers involved in the next device back button event, starting with the receiver
+   */
+  function getBackButtonHandlerChain(): Array<{ element: HTMLElement, priority: number }>;
+  /**
+   * @description Returns the open dialogs, from the bottom one to the top one
+   */
+  function getOpenDialogs(): Array<HTMLElement>;
   /**
    * @description Enable status bar fill feature on iOS7 and above (except for iPhone X)
    */
@@ -97,7 +105,15 @@ declare namespace ons {
    * @description Separated files need to be requested on demand and this can slightly delay pushing new pages. This method requests and caches templates for later use.
    * @return Promise that resolves when all the templates are cached.
    */
-  function preload(...args: any[]): Promise<DocumentFragment[]>;
+  function preload(templatePaths: string | string[], options?: TemplateRequestOptions & { signal?: AbortSignalLike }): Promise<DocumentFragment[]>;
+  /**
+   * @description Caches a bundle of templates that maps page names to HTML strings
+   */
+  function registerTemplates(templates: { [page: string]: string }): void;
+  /**
+   * @description Sets the default options used to request external page templates
+   */
+  function setTemplateRequestOptions(options: TemplateRequestOptions): void;
   /**
    * @description Create a new element from a template. Both inline HTML and external files are supported although the return value differs.
    * @return If the provided template was an inline HTML string, it returns the new element. Otherwise, it returns a promise that resolves to the new element.
@@ -382,6 +398,14 @@ declare namespace ons {
 
   var GestureDetector: any;
 
+  /**
+   * @description Rejection reason of transitions canceled by `onCanLeave` or `onCanEnter`
+   */
+  class NavigationCanceledError extends Error {
+    page: HTMLElement | null;
+    guard: 'onCanLeave' | 'onCanEnter' | null;
+  }
+
   interface OnsActionSheetElement extends HTMLElement {
     show(...args: any[]): any;
     hide(...args: any[]): any;
@@ -463,6 +487,14 @@ declare namespace ons {
      */
     backButtonHandler: any;
     onDeviceBackButton: any;
+    /**
+     * @description Navigation guard called before the page is left. Returning `false` cancels the transition.
+     */
+    onCanLeave: ((context: NavigationGuardContext) => boolean | Promise<boolean>) | null;
+    /**
+     * @description Navigation guard called before the page is shown. Returning `false` cancels the transition.
+     */
+    onCanEnter: ((context: NavigationGuardContext) => boolean | Promise<boolean>) | null;
     /**
      * @description User's custom data passed to `pushPage()`-like methods.
      */
@@ -541,6 +573,38 @@ declare namespace ons {
      * @description Whether the carousel is centered or not.
      **/
     centered: boolean;
+    /**
+     * @description Whether the carousel wraps around or not.
+     **/
+    loop: boolean;
+    /**
+     * @description Time in milliseconds between the changes of `autoplay`.
+     **/
+    autoplayInterval: number;
+    /**
+     * @description Starts showing the next item periodically.
+     */
+    play(): void;
+    /**
+     * @description Stops showing the next item periodically.
+     */
+    pause(): void;
+    /**
+     * @description Creates the items on demand, only the visible items and `bufferSize` items on each side are in the DOM.
+     **/
+    delegate: CarouselDelegate | null;
+    /**
+     * @description Number of items kept in the DOM on each side of the visible ones when a `delegate` is set.
+     **/
+    bufferSize: number;
+    /**
+     * @description Transition effect of the items, or `null` when they slide linearly.
+     **/
+    effect: string | null;
+    /**
+     * @description Adds an effect for the `effect` attribute. Static method, called as `ons.elements.Carousel.registerEffect()`.
+     */
+    registerEffect(name: string, effect: (options: { progress: number, element: HTMLElement, axis: string, vertical: boolean }) => { transform?: string, transformOrigin?: string, opacity?: string | number, zIndex?: string | number }): void;
   }
 
   /**
@@ -753,6 +817,19 @@ declare namespace ons {
      * @description Page URL or index of an existing page in navigator's stack.
      */
     bringPageTop(item: any, options?: Object): Promise<HTMLElement>;
+    /**
+     * @description Takes a snapshot of the page stack that can be passed later to `restoreState()`.
+     */
+    getState(): NavigatorState;
+    /**
+     * @param {Object} state Object previously returned by `getState()`.
+     * @description Rebuilds the page stack from a snapshot without animations.
+     */
+    restoreState(state: NavigatorState): Promise<HTMLElement>;
+    /**
+     * @description Destroys the pages kept by the `keep-alive` attribute or option.
+     */
+    clearPageCache(): void;
 
     pageLoader: any;
     page: any;
@@ -770,6 +847,10 @@ declare namespace ons {
      * @description Default options object. Attributes have priority over this property.
      */
     options: NavigatorOptions;
+    /**
+     * @description List of routes used in router mode.
+     */
+    routes: NavigatorRoute[];
     /**
      * @param {Number} index Decimal ratio of the current swipe.
      * @param {Object} animationOptions Object containing duration and timing.
@@ -806,6 +887,14 @@ declare namespace ons {
      * @description Returns tab index on current active tab. If active tab is not found, returns -1
      */
     getActiveTabIndex(): number;
+    /**
+     * @description Takes a snapshot of the tabbar that can be passed later to `restoreState()`.
+     */
+    getState(): { activeIndex: number };
+    /**
+     * @description Activates the tab stored in the snapshot without animation.
+     */
+    restoreState(state: { activeIndex: number }): Promise<HTMLElement>;
     visible: any;
     /**
      * @description true if the tabbar is swipeable.
@@ -817,6 +906,24 @@ declare namespace ons {
      * @description Hook called whenever the user slides the tabbar.
      **/
     onSwipe?: Function;
+    /**
+     * @description Back-button handler. By default the event is passed to the parent handler.
+     */
+    onDeviceBackButton: any;
+  }
+
+  /**
+   * @description Represents a tab inside tab bar. Each ons-tab represents a page
+   */
+  interface OnsTabElement extends HTMLElement {
+    /**
+     * @description Function that loads the data of the tab page before it is loaded. The resolved object is stored in the page as `data`.
+     */
+    resolve: ((context: PageResolverContext) => Object | Promise<Object>) | null;
+    /**
+     * @description Progress indicator displayed while `resolve` runs. `true` uses the first `<ons-progress-bar>` of the page that contains the tabbar.
+     */
+    resolveProgress: boolean | HTMLElement;
   }
 
   /**
@@ -885,6 +992,15 @@ declare namespace ons {
      * @return Resolves to the splitter side element or false if not in collapse mode
      */
     toggle(options?: SplitterSideOptions): Promise<HTMLElement | boolean>;
+    /**
+     * @description Takes a snapshot of the splitter side that can be passed later to `restoreState()`.
+     */
+    getState(): { open: boolean };
+    /**
+     * @description Opens or closes the menu without animation depending on the snapshot.
+     * @return Resolves to the splitter side element or false if not in collapse mode
+     */
+    restoreState(state: { open: boolean }): Promise<HTMLElement | boolean>;
     /**
      * @description Show the page specified in pageUrl in the right section
      * @param {*} page Page URL. Can be either an HTML document or an <ons-template>.
@@ -905,12 +1021,69 @@ declare namespace ons {
      * @description Refresh the list. Use this method when the data has changed.
      */
     refresh(): void;
+    /**
+     * @description Updates the list after items were added to the data without moving the visible items.
+     */
+    insertItems(index: number, count?: number): void;
+    /**
+     * @description Updates the list after items were removed from the data without moving the visible items.
+     */
+    removeItems(index: number, count?: number): void;
+    /**
+     * @description Scrolls the page to the item, rendering it if needed.
+     */
+    scrollToIndex(index: number, options?: { align?: 'start' | 'center' | 'end' }): void;
     /**
      * @Specify a delegate object to load and unload item elements.
      */
     delegate: LazyRepeatOptions;
   }
 
+  interface OnsListIndexElement extends HTMLElement {
+    /**
+     * @description Builds the letters again. Call it when the sections of the list change.
+     */
+    refresh(): void;
+    /**
+     * @description Scrolls the page to the section of the letter.
+     */
+    scrollToLetter(letter: string): boolean;
+    /**
+     * @description Maps letters to item indexes of an ons-lazy-repeat.
+     */
+    delegate: { getItemIndex(letter: string): number; getLetters?(): string[] } | null;
+    /**
+     * @description Displayed letters.
+     */
+    readonly letters: string[];
+  }
+
+  /**
+   * @description Content that can be zoomed with a pinch or a double tap and panned while zoomed
+   */
+  interface OnsZoomableElement extends HTMLElement {
+    /**
+     * @description Changes the zoom level.
+     */
+    zoomTo(zoom: number, options?: { x?: number, y?: number, animation?: string }): Promise<void>;
+    /**
+     * @description Goes back to the minimum zoom level.
+     */
+    resetZoom(options?: { animation?: string }): Promise<void>;
+    /**
+     * @description Current zoom level.
+     */
+    readonly zoom: number;
+    /**
+     * @description Minimum zoom level.
+     */
+    readonly minZoom: number;
+    /**
+     * @description Maximum zoom level.
+     */
+    readonly maxZoom: number;
+  }
+
   interface OnsButtonElement extends HTMLElement {
     /**
      * @description A boolean value that specifies if the button is disabled or not.
@@ -1137,15 +1310,42 @@ declare namespace ons {
     visible: boolean;
   }
 
+  interface OnsListElement extends HTMLElement {
+    /**
+     * @description Selected items of a selectable list
+     */
+    selectedItems: HTMLElement[];
+    /**
+     * @description Whether taps select items
+     */
+    selectionMode: boolean;
+  }
+
   interface OnsListItemElement extends HTMLElement {
     /**
      * @description Show the expandable content if element is expandable
      */
-    showExpansion(): void;
+    showExpansion(): Promise<void>;
     /**
      * @description Hide the expandable content if element is expandable
      */
-    hideExpansion(): void;
+    hideExpansion(): Promise<void>;
+    /**
+     * @description Loads the expandable content the first time the item is expanded
+     */
+    loadExpandableContent?: (listItem: HTMLElement) => Promise<HTMLElement | string | void>;
+    /**
+     * @description Reveal the swipe actions of one side
+     */
+    openSwipeActions(side?: 'left' | 'right'): Promise<void>;
+    /**
+     * @description Hide the swipe actions
+     */
+    closeSwipeActions(): Promise<void>;
+    /**
+     * @description Side of the revealed swipe actions
+     */
+    readonly swipeActionsSide: 'left' | 'right' | null;
   }
 
 }
@@ -1169,6 +1369,12 @@ interface AlertOptions {
   id?: string;
 }
 
+interface CarouselDelegate {
+  createItemContent(index: number): HTMLElement;
+  countItems(): number;
+  destroyItem?(index: number, element: HTMLElement): void;
+}
+
 interface CarouselOptions{
   callback?: Function;
   animation?: String;
@@ -1212,7 +1418,62 @@ interface PushPageOptions {
   animation?: string,
   animationOptions?: Object,
   callback?: Function,
-  data?: Object
+  data?: Object,
+  path?: string,
+  resolve?: (context: PageResolverContext) => Object | Promise<Object>,
+  resolveProgress?: boolean | HTMLElement,
+  keepAlive?: boolean
+}
+
+interface TemplateRequestOptions {
+  timeout?: number;
+  retries?: number;
+  backoff?: number;
+}
+
+/**
+ * Structural type of `AbortSignal`, which is not available in every TypeScript `lib`.
+ */
+interface AbortSignalLike {
+  aborted: boolean;
+  addEventListener(type: string, listener: Function): void;
+  removeEventListener(type: string, listener: Function): void;
+}
+
+interface PageResolverContext {
+  page: any;
+  data?: Object;
+  signal: AbortSignalLike | null;
+  navigator?: HTMLElement;
+  tabbar?: HTMLElement;
+  tab?: HTMLElement;
+}
+
+interface NavigatorState {
+  pages: {
+    page: string | null,
+    pageHTML: string | null,
+    data: Object,
+    scrollTop: number
+  }[];
+}
+
+interface NavigationGuardContext {
+  leavePage?: HTMLElement;
+  enterPage?: HTMLElement;
+  navigator?: HTMLElement;
+  tabbar?: HTMLElement;
+}
+
+interface NavigatorRoute {
+  /**
+   * @description URL path with optional params. E.g. `'/users/:id'`.
+   */
+  path: string;
+  /**
+   * @description Page loaded for the path.
+   */
+  page: any;
 }
 
 interface TabbarOptions {
@@ -1256,7 +1517,7 @@ interface LazyRepeatOptions {
    */
   countItems?: number;
   /**
-   * @description Should return the height of an item. The index is provided as an argument. This is important when rendering lists where the items have different height. The function is optional and if it isn't present the height of the first item will be automatically calculated and used for all other items.
+   * @description Should return the height of an item. The index is provided as an argument. This is important when rendering lists where the items have different height. The function is optional and if it isn't present every rendered item is measured automatically and the average height is used as an estimate for the rest.
    */
   calculateItemHeight?: number;
   /**
@@ -1267,6 +1528,38 @@ interface LazyRepeatOptions {
    * @description Function which recieves an index and the scope for the item. Can be used to configure values in the item scope.
    */
   configureItemScope?: number;
+  /**
+   * @description Called with the index and the item object when a rendered item must show the data of an index.
+   */
+  updateItemContent?(index: number, item: { element: HTMLElement }): void;
+  /**
+   * @description Reuse the elements of items that leave the screen. Requires `updateItemContent`.
+   */
+  recycle?: boolean;
+  /**
+   * @description Returns the type of an item. Recycled elements are only reused for items of the same type.
+   */
+  getItemType?(index: number): string;
+  /**
+   * @description Returns a stable key for the item at an index so `refresh()` only touches the rows that changed.
+   */
+  getItemKey?(index: number): string | number;
+  /**
+   * @description Returns the index of the header item of the section that contains the item. Section headers are pinned to the top of the page.
+   */
+  getSectionHeaderIndex?(index: number): number;
+  /**
+   * @description Called when the user scrolls close to the first item. Call `done` with the number of items added at the beginning of the data.
+   */
+  loadMoreTop?(done: (count: number) => void): void;
+  /**
+   * @description Called when the user scrolls close to the last item. Call `done` with the number of items added at the end of the data.
+   */
+  loadMoreBottom?(done: (count: number) => void): void;
+  /**
+   * @description Returns the element shown while loading more items.
+   */
+  createLoadingContent?(position: 'top' | 'bottom'): HTMLElement;
 }
 
 interface SplitterContentOptions {
@@ -708,7 +708,19 @@ function buildDocs() {
 
 exports['build-docs'] = buildDocs;
 
+////////////////////////////////////////
+// scripts-test
+////////////////////////////////////////
+function scriptsTest(done) {
+  // Tests the command line scripts in Node.js
+  spawn('node_modules/.bin/mocha', ['scripts/*.spec.js'], {stdio: 'inherit'})
+    .on('error', error => done(new Error(error.message)))
+    .on('exit', code => done(code !== 0 ? new Error('mocha exited with code ' + code) : undefined));
+}
+
+exports['scripts-test'] = scriptsTest;
+
 ////////////////////////////////////////
 // test
 ////////////////////////////////////////
-exports.test = gulp.series(coreDtsTest, unitTest);
+exports.test = gulp.series(coreDtsTest, scriptsTest, unitTest);
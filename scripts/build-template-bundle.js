@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+// Build a template bundle for ons.registerTemplates()
+// Scans a directory for .html page files and writes a `{ pageName: html }` bundle.
+// Page names are the file paths relative to the directory, optionally prefixed.
+//
+// Example
+//
+//     node ./scripts/build-template-bundle.js www/pages --prefix pages/ --out www/js/templates.js
+//
+// Options
+//
+//     --out <file>       Output file. Prints to stdout by default.
+//     --format <format>  "js" (default) registers the bundle when loaded with a <script> tag
+//                        and exports it in CommonJS. "esm" and "json" only contain the bundle.
+//     --prefix <prefix>  String prepended to every page name. E.g. "pages/".
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const formats = {
+  json: bundle => JSON.stringify(bundle, null, 2) + '\n',
+  esm: bundle => `export default ${JSON.stringify(bundle, null, 2)};\n`,
+  js: bundle => [
+    '(function(bundle) {',
+    '  if (typeof module === \'object\' && module.exports) {',
+    '    module.exports = bundle;',
+    '  } else {',
+    '    window.ons.registerTemplates(bundle);',
+    '  }',
+    `})(${JSON.stringify(bundle, null, 2)});`,
+    ''
+  ].join('\n')
+};
+
+const parseArgs = argv => {
+  const args = { format: 'js', prefix: '' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.indexOf('--') === 0) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args.dir = arg;
+    }
+  }
+
+  return args;
+};
+
+const findPages = dir => fs.readdirSync(dir)
+  .sort()
+  .reduce((files, name) => {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      return files.concat(findPages(file));
+    }
+    return /\.html$/i.test(name) ? files.concat(file) : files;
+  }, []);
+
+const buildBundle = (dir, prefix = '') => findPages(dir).reduce((bundle, file) => {
+  const name = prefix + path.relative(dir, file).split(path.sep).join('/');
+  bundle[name] = fs.readFileSync(file, 'utf8').trim();
+  return bundle;
+}, {});
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.dir || !formats[args.format]) {
+    console.error('Usage: build-template-bundle.js <dir> [--out <file>] [--format js|esm|json] [--prefix <prefix>]');
+    process.exit(1);
+  }
+
+  const bundle = buildBundle(args.dir, args.prefix);
+  const output = formats[args.format](bundle);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+    process.stdout.write(`${Object.keys(bundle).length} templates written to ${args.out}\n`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+module.exports = { buildBundle, formats };
@@ -0,0 +1,63 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+const { expect } = require('chai');
+
+const script = path.join(__dirname, 'build-template-bundle.js');
+const fixtures = path.join(__dirname, 'fixtures', 'templates');
+const run = (...args) => execFileSync(process.execPath, [script, fixtures, ...args], { encoding: 'utf8' });
+
+const expected = {
+  'detail/item.html': '<ons-page>\n  Detail\n</ons-page>',
+  'home.html': '<ons-page>Home</ons-page>'
+};
+
+describe('build-template-bundle', () => {
+  it('bundles the html files of a directory', () => {
+    const { buildBundle } = require('./build-template-bundle');
+    expect(buildBundle(fixtures)).to.deep.equal(expected);
+  });
+
+  it('writes json', () => {
+    expect(JSON.parse(run('--format', 'json'))).to.deep.equal(expected);
+  });
+
+  it('writes an ES module', () => {
+    const output = run('--format', 'esm');
+    expect(output.indexOf('export default ')).to.equal(0);
+    expect(JSON.parse(output.slice('export default '.length).replace(/;\s*$/, ''))).to.deep.equal(expected);
+  });
+
+  it('writes a script that registers the bundle', () => {
+    const registered = [];
+    vm.runInNewContext(run(), { window: { ons: { registerTemplates: bundle => registered.push(bundle) } } });
+    expect(registered).to.deep.equal([expected]);
+  });
+
+  it('writes a script that exports the bundle in CommonJS', () => {
+    const module = { exports: {} };
+    vm.runInNewContext(run('--format', 'js'), { module });
+    expect(module.exports).to.deep.equal(expected);
+  });
+
+  it('prefixes the page names', () => {
+    expect(Object.keys(JSON.parse(run('--format', 'json', '--prefix', 'pages/'))))
+      .to.deep.equal(['pages/detail/item.html', 'pages/home.html']);
+  });
+
+  it('writes the output file', () => {
+    const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ons-templates-')), 'templates.json');
+    expect(run('--format', 'json', '--out', out)).to.equal(`2 templates written to ${out}\n`);
+    expect(JSON.parse(fs.readFileSync(out, 'utf8'))).to.deep.equal(expected);
+    fs.unlinkSync(out);
+    fs.rmdirSync(path.dirname(out));
+  });
+
+  it('fails with an unknown format', () => {
+    expect(() => execFileSync(process.execPath, [script, fixtures, '--format', 'xml'], { stdio: 'ignore' })).to.throw();
+  });
+});